@@ -1,29 +1,215 @@
-import { useState, useRef, useEffect } from 'react'
+import { useState, useRef, useEffect, useMemo } from 'react'
 import { useImageProcessor } from './hooks/useImageProcessor'
 import { useAnimatedGIF } from './hooks/useAnimatedGIF'
+import { useEditHistory } from './hooks/useEditHistory'
+import { useDrawingTool } from './hooks/useDrawingTool'
+import { useSessionAutosave } from './hooks/useSessionAutosave'
+import { useFileIntake } from './hooks/useFileIntake'
 import ProcessingProgress from './components/ProcessingProgress'
 import AnimationControls from './components/AnimationControls'
+import HistoryPanel from './components/HistoryPanel'
+import ToolPalette from './components/ToolPalette'
+import SessionRestorePrompt from './components/SessionRestorePrompt'
+import UploadQueue from './components/UploadQueue'
+import SVGExportPanel from './components/SVGExportPanel'
+import SpriteSheetPanel from './components/SpriteSheetPanel'
+import TextExportPanel from './components/TextExportPanel'
+import TextImportPanel from './components/TextImportPanel'
+import AdjustmentPanel from './components/AdjustmentPanel'
+import FramingEditor from './components/FramingEditor'
+import { downloadBlob, readImageDimensions, calculateGridDimensions, getErrorMessage, CUSTOM_GRID_LIMITS } from './utils/imageProcessor'
+import { DITHER_MODES } from './utils/dithering'
+import { applyCheckboxDiff } from './utils/stateDiff'
+import { createProjectFile, readProjectFile, PROJECT_FORMAT } from './utils/projectFile'
+import { sortUploads } from './utils/fileIntake'
+import { SVG_EXPORT_DEFAULTS } from './utils/svgExporter'
+import { SPRITE_SHEET_DEFAULTS } from './utils/spriteSheet'
+import {
+  LEVEL_OPTIONS,
+  getDefaultCutPoints,
+  isValidCutPoints,
+  getCellLevel,
+  getCellTone,
+  getCellFill,
+  getPaintValue,
+  invertCellState
+} from './utils/quantization'
+import { PALETTE_METHODS, PALETTE_PRESETS, COLOR_MODE_CONFIG, COLOR_MODE_DEFAULTS } from './utils/palette'
+import { exportAsJSON } from './utils/jsonExporter'
+import { ADJUSTMENT_CONTROLS, ADJUSTMENT_DEFAULTS, EQUALIZATION_MODES } from './utils/adjustments'
+import { EDGE_METHODS, EDGE_DEFAULTS, EDGE_LIMITS } from './utils/edgeDetection'
+import { ADAPTIVE_METHODS, ADAPTIVE_DEFAULTS, ADAPTIVE_LIMITS, getAdaptiveMethod } from './utils/adaptiveThreshold'
+import { FRAMING_DEFAULTS, getFramedDimensions, validateFraming } from './utils/framing'
+import { getFileCacheKey } from './utils/processingCache'
 import './App.css'
 
+const ASPECT_MODES = [
+  { value: 'square', label: 'Square' },
+  { value: 'auto', label: 'Auto (from image)' },
+  { value: 'custom', label: 'Custom' }
+]
+
+const RESOLUTION_SIZES = {
+  'Low (30x30)': 30,
+  'Medium (50x50)': 50,
+  'High (80x80)': 80
+}
+
+const EXPORT_SIZES = ['Small', 'Medium', 'Large']
+
+// Resolve grid width and height from the resolution, aspect mode and source image
+// Auto mode follows the framed part of the source, so cropping changes the grid shape
+const resolveGridDimensions = (aspectMode, gridSize, customDimensions, sourceDimensions, framing = null) => {
+  if (aspectMode === 'custom') return customDimensions
+  if (aspectMode === 'auto' && sourceDimensions) {
+    const { width, height } = getFramedDimensions(sourceDimensions, framing)
+    return calculateGridDimensions(gridSize, width, height)
+  }
+  return { width: gridSize, height: gridSize }
+}
+
+// Adjustments from a project file; projects saved before adjustments existed load unadjusted
+const restoreAdjustments = (saved) => ({
+  ...Object.fromEntries(ADJUSTMENT_CONTROLS.map(({ key, min, max }) => [
+    key,
+    typeof saved?.[key] === 'number' && saved[key] >= min && saved[key] <= max ? saved[key] : ADJUSTMENT_DEFAULTS[key]
+  ])),
+  equalization: EQUALIZATION_MODES.some(({ value }) => value === saved?.equalization)
+    ? saved.equalization
+    : ADJUSTMENT_DEFAULTS.equalization
+})
+
+// Settings from a project file, falling back to the current value for anything unknown
+const restoreProjectSettings = (saved, current) => ({
+  resolution: saved.resolution in RESOLUTION_SIZES ? saved.resolution : current.resolution,
+  aspectMode: ASPECT_MODES.some(({ value }) => value === saved.aspectMode) ? saved.aspectMode : current.aspectMode,
+  customDimensions: Number.isInteger(saved.customDimensions?.width) && Number.isInteger(saved.customDimensions?.height)
+    ? { width: saved.customDimensions.width, height: saved.customDimensions.height }
+    : current.customDimensions,
+  threshold: Number.isInteger(saved.threshold) && saved.threshold >= 0 && saved.threshold <= 255
+    ? saved.threshold
+    : current.threshold,
+  ditherMode: DITHER_MODES.some(({ value }) => value === saved.ditherMode) ? saved.ditherMode : current.ditherMode,
+  adjustments: restoreAdjustments(saved.adjustments),
+  exportSize: EXPORT_SIZES.includes(saved.exportSize) ? saved.exportSize : current.exportSize
+})
+
+// Color mode settings from a project file, falling back to the defaults for anything unknown
+const restoreColorSettings = (saved) => ({
+  method: PALETTE_METHODS.some(({ value }) => value === saved?.method) ? saved.method : COLOR_MODE_DEFAULTS.method,
+  colorCount: Number.isInteger(saved?.colorCount) && saved.colorCount >= COLOR_MODE_CONFIG.MIN_COLORS &&
+    saved.colorCount <= COLOR_MODE_CONFIG.MAX_COLORS
+    ? saved.colorCount
+    : COLOR_MODE_DEFAULTS.colorCount,
+  preset: PALETTE_PRESETS.some(({ value }) => value === saved?.preset) ? saved.preset : COLOR_MODE_DEFAULTS.preset
+})
+
+// Adaptive threshold settings from a project file, or null when it used the global threshold
+const restoreAdaptiveSettings = (saved) => {
+  const method = getAdaptiveMethod(saved?.method)
+  if (!method) return null
+  return {
+    method: method.value,
+    windowSize: Number.isInteger(saved.windowSize) && saved.windowSize % 2 === 1 &&
+      saved.windowSize >= ADAPTIVE_LIMITS.MIN_WINDOW && saved.windowSize <= ADAPTIVE_LIMITS.MAX_WINDOW
+      ? saved.windowSize
+      : ADAPTIVE_DEFAULTS.windowSize,
+    k: typeof saved.k === 'number' && saved.k >= method.minK && saved.k <= method.maxK ? saved.k : method.defaultK
+  }
+}
+
+// Framing from a project file; invalid or missing framing keeps the whole image
+const restoreFraming = (saved) => {
+  const { rotation, flipHorizontal, flipVertical, crop, zoom, panX, panY } = { ...FRAMING_DEFAULTS, ...saved }
+  const framing = { rotation, flipHorizontal: Boolean(flipHorizontal), flipVertical: Boolean(flipVertical), crop, zoom, panX, panY }
+  try {
+    validateFraming(framing)
+    return framing
+  } catch {
+    return FRAMING_DEFAULTS
+  }
+}
+
+// Edge settings from a project file, or null when it was converted by threshold
+const restoreEdgeSettings = (saved) => {
+  if (!EDGE_METHODS.some(({ value }) => value === saved?.method)) return null
+  const isLevel = (value) => typeof value === 'number' && value >= EDGE_LIMITS.MIN_THRESHOLD && value <= 255
+  const low = isLevel(saved.low) ? saved.low : EDGE_DEFAULTS.low
+  const high = isLevel(saved.high) && saved.high >= low ? saved.high : Math.max(low, EDGE_DEFAULTS.high)
+  return {
+    method: saved.method,
+    low,
+    high,
+    thickness: Number.isInteger(saved.thickness) && saved.thickness >= EDGE_LIMITS.MIN_THICKNESS &&
+      saved.thickness <= EDGE_LIMITS.MAX_THICKNESS
+      ? saved.thickness
+      : EDGE_DEFAULTS.thickness
+  }
+}
+
 function App() {
   const [resolution, setResolution] = useState('Medium (50x50)')
   const [threshold, setThreshold] = useState(128)
+  const [ditherMode, setDitherMode] = useState('none')
+  // Tone and detail adjustments applied to the grayscale before thresholding
+  const [adjustments, setAdjustments] = useState(ADJUSTMENT_DEFAULTS)
+  // Adjusted grayscale of the last static result, shown as the adjustment preview
+  const [adjustedImageData, setAdjustedImageData] = useState(null)
+  // Tone levels per cell; more than 2 replaces the threshold with cut points
+  const [levels, setLevels] = useState(2)
+  const [cutPoints, setCutPoints] = useState(() => getDefaultCutPoints(3))
+  // Local threshold settings for binary grids, or null for the global threshold
+  const [adaptiveSettings, setAdaptiveSettings] = useState(null)
+  // Edge settings for line-art conversion, or null to threshold
+  const [edgeSettings, setEdgeSettings] = useState(null)
+  // Color mode settings, or null for grayscale; color cells hold indices into the palette
+  const [colorSettings, setColorSettings] = useState(null)
+  // Palette of the last color result, lightest (background) first
+  const [palette, setPalette] = useState(null)
+  const [brushColor, setBrushColor] = useState(1)
   const [checkboxStates, setCheckboxStates] = useState([])
   const [uploadedImage, setUploadedImage] = useState(null)
   const [exportSize, setExportSize] = useState('Medium')
   const [gridSize, setGridSize] = useState(50)
+  const [aspectMode, setAspectMode] = useState('square')
+  const [customDimensions, setCustomDimensions] = useState({ width: 50, height: 50 })
+  // Text typed into the custom size inputs; committed on blur or Enter so partial values don't reprocess
+  const [customDimensionDrafts, setCustomDimensionDrafts] = useState({})
+  const [sourceDimensions, setSourceDimensions] = useState(null)
+  // Rotation, flips, crop and zoom/pan applied to the source before conversion
+  const [framing, setFraming] = useState(FRAMING_DEFAULTS)
   const [lastProcessedFile, setLastProcessedFile] = useState(null)
   const [isGIF, setIsGIF] = useState(false)
+  const [drawingTool, setDrawingTool] = useState('pencil')
+  const [includeSourceInProject, setIncludeSourceInProject] = useState(true)
+  const [projectError, setProjectError] = useState(null)
+  const [uploadQueue, setUploadQueue] = useState([])
+  const [uploadRejections, setUploadRejections] = useState([])
+  const [svgOptions, setSvgOptions] = useState(SVG_EXPORT_DEFAULTS)
+  const [showTextImport, setShowTextImport] = useState(false)
+  // Text renderer for the text copies added to frame ZIPs, or null for none
+  const [frameTextFormat, setFrameTextFormat] = useState(null)
+  const [spriteSheetOptions, setSpriteSheetOptions] = useState(SPRITE_SHEET_DEFAULTS)
   const fileInputRef = useRef(null)
+  const projectInputRef = useRef(null)
+  // Settings an opened project was saved with; its states are kept instead of reprocessing them
+  const restoredProjectRef = useRef(null)
+  // Latest grid states per frame, read when a finished reprocess is recorded in history
+  const gridStatesRef = useRef([])
+  // File and grid shape of the last processed result; reprocessing the same shape is undoable
+  const processedShapeRef = useRef(null)
 
   // Use the image processing hook
   const {
     isProcessing: isImageProcessing,
     error: imageError,
     processingProgress: imageProgress,
+    processingStage: imageStage,
     processImageFile,
     exportImage,
     exportText,
+    exportSVG,
+    exportHTML,
     clearError: clearImageError,
     resetProcessing: resetImageProcessing
   } = useImageProcessor()
@@ -36,8 +222,10 @@ function App() {
     frames,
     error: gifError,
     processingProgress: gifProgress,
+    processingStage: gifStage,
     frameCount,
     playbackSpeed,
+    loopCount,
     processGIF,
     startAnimation,
     stopAnimation,
@@ -46,50 +234,141 @@ function App() {
     goToFrame,
     setSpeed,
     getCurrentFrameStates,
+    updateFrame,
     exportCurrentFrame,
     exportAllFrames,
-    clearFrames
+    exportSprites,
+    exportAnimation,
+    exportAllFramesSVG,
+    exportAnimationSVG,
+    exportAnimationHTML,
+    setLoopCount,
+    clearFrames,
+    restoreFrames
   } = useAnimatedGIF()
 
+  // Apply undo/redo diffs to the static grid or to the GIF frames they were recorded on
+  const applyHistoryChanges = (changes) => {
+    changes.forEach(({ frameIndex, diff }) => {
+      if (isGIF) {
+        updateFrame(frameIndex, (states) => applyCheckboxDiff(states, diff))
+      } else {
+        setCheckboxStates((states) => applyCheckboxDiff(states, diff))
+      }
+    })
+  }
+
+  const isProcessing = isImageProcessing || isGIFProcessing
+
+  // Accept files dropped on the grid area or pasted from the clipboard
+  const { getDropZoneProps, isDragActive } = useFileIntake((files) => handleFiles(files), {
+    enabled: !isProcessing
+  })
+
+  // Use the edit history hook
+  const {
+    entries: historyEntries,
+    position: historyPosition,
+    canUndo,
+    canRedo,
+    recordEdit,
+    undo,
+    redo,
+    jumpTo: jumpToHistory,
+    clearHistory
+  } = useEditHistory(applyHistoryChanges, { enabled: !isProcessing })
+
+  useEffect(() => {
+    gridStatesRef.current = isGIF ? frames.map(frame => frame.checkboxStates) : [checkboxStates]
+  }, [isGIF, frames, checkboxStates])
+
   // Update grid size when resolution changes
   useEffect(() => {
-    const sizeMap = {
-      'Low (30x30)': 30,
-      'Medium (50x50)': 50,
-      'High (80x80)': 80
-    }
-    setGridSize(sizeMap[resolution])
+    setGridSize(RESOLUTION_SIZES[resolution])
   }, [resolution])
 
-  // Initialize checkbox states when grid size changes
+  const { width: gridWidth, height: gridHeight } = resolveGridDimensions(aspectMode, gridSize, customDimensions, sourceDimensions, framing)
+
+  // Color grids render and export from the palette; their indices count as levels elsewhere (text, invert)
+  const isColorMode = colorSettings !== null
+  // Edge mode checks edge cells, so its grids are always binary
+  const isEdgeMode = edgeSettings !== null && !isColorMode
+  const isAdaptiveMode = adaptiveSettings !== null && levels <= 2 && !isColorMode && !isEdgeMode
+  const activePalette = isColorMode ? palette : null
+  const cellLevels = activePalette ? activePalette.length : isEdgeMode ? 2 : levels
+  const renderOptions = { levels: cellLevels, palette: activePalette }
+
+  // Initialize checkbox states when grid dimensions change, keeping states that already fit (e.g. from a project)
   useEffect(() => {
-    const newStates = Array(gridSize * gridSize).fill(false)
-    setCheckboxStates(newStates)
-  }, [gridSize])
+    setCheckboxStates(prev => (
+      prev.length === gridWidth * gridHeight ? prev : Array(gridWidth * gridHeight).fill(false)
+    ))
+  }, [gridWidth, gridHeight])
 
   // Handle file upload with GIF detection
-  const handleFileUpload = async (event) => {
-    const file = event.target.files[0]
-    if (!file) return
+  const loadFile = async (file) => {
+    // Unreadable files still go through processing so validation reports the error
+    const dimensions = await readImageDimensions(file).catch(() => null)
 
-    try {
-      setLastProcessedFile(file)
-      
-      // Check if it's a GIF
-      if (file.type === 'image/gif') {
-        setIsGIF(true)
-        clearFrames() // Clear any existing frames
-        await processGIF(file, gridSize, threshold)
-      } else {
-        setIsGIF(false)
-        const result = await processImageFile(file, gridSize, threshold)
-        setCheckboxStates(result.checkboxStates)
-        setThreshold(result.threshold)
-        setUploadedImage(file)
-      }
-    } catch (err) {
+    // A new document starts a new history
+    clearHistory()
+    processedShapeRef.current = null
 
+    // Check if it's a GIF
+    if (file.type === 'image/gif') {
+      setIsGIF(true)
+      clearFrames() // Clear any existing frames
+    } else {
+      setIsGIF(false)
+      setUploadedImage(file)
     }
+
+    // The reprocess effect below converts the file once the grid dimensions are resolved
+    setSourceDimensions(dimensions)
+    setFraming(FRAMING_DEFAULTS)
+    setLastProcessedFile(file)
+  }
+
+  // Validate picked, dropped or pasted files, queue the accepted ones and load the first
+  const handleFiles = async (files) => {
+    if (files.length === 0) return
+
+    const { accepted, rejected } = await sortUploads(files)
+    setUploadRejections(rejected)
+    if (accepted.length === 0) return
+
+    setUploadQueue(prev => {
+      const queued = new Set(prev.map(getFileCacheKey))
+      return [...prev, ...accepted.filter(file => !queued.has(getFileCacheKey(file)))]
+    })
+    loadFile(accepted[0])
+  }
+
+  const handleFileUpload = (event) => {
+    const files = Array.from(event.target.files)
+    event.target.value = ''
+    handleFiles(files)
+  }
+
+  // Remove a file from the upload queue
+  const removeQueuedFile = (index) => {
+    setUploadQueue(prev => prev.filter((_, i) => i !== index))
+  }
+
+  // Keep the typed custom dimension until it is committed
+  const handleCustomDimensionChange = (dimension, value) => {
+    setCustomDimensionDrafts(prev => ({ ...prev, [dimension]: value }))
+  }
+
+  // Commit a typed custom dimension, clamped to the supported range; empty or invalid text keeps the current size
+  const commitCustomDimension = (dimension) => {
+    const draft = customDimensionDrafts[dimension]
+    if (draft === undefined) return
+    setCustomDimensionDrafts(prev => ({ ...prev, [dimension]: undefined }))
+    const parsed = parseInt(draft)
+    if (Number.isNaN(parsed)) return
+    const size = Math.min(CUSTOM_GRID_LIMITS.max, Math.max(CUSTOM_GRID_LIMITS.min, parsed))
+    setCustomDimensions(prev => prev[dimension] === size ? prev : { ...prev, [dimension]: size })
   }
 
   // Update checkbox states based on current frame for GIFs
@@ -113,68 +392,189 @@ function App() {
 
 
 
-  // Reprocess image when threshold or grid size changes
+  // Process the file when it is uploaded and reprocess when settings or grid dimensions change.
+  // Each run cancels the previous one, so only the newest settings reach the grid.
   useEffect(() => {
-    if (lastProcessedFile && !isGIF) {
+    if (lastProcessedFile) {
+      // An opened project already holds the states for these settings
+      const restored = restoredProjectRef.current
+      if (restored) {
+        restoredProjectRef.current = null
+        if (restored.file === lastProcessedFile && restored.gridWidth === gridWidth && restored.gridHeight === gridHeight &&
+          restored.threshold === threshold && restored.ditherMode === ditherMode &&
+          JSON.stringify(restored.adjustments) === JSON.stringify(adjustments) &&
+          restored.levels === levels && restored.cutPoints.join() === cutPoints.join() &&
+          JSON.stringify(restored.adaptive) === JSON.stringify(adaptiveSettings) &&
+          JSON.stringify(restored.framing) === JSON.stringify(framing) &&
+          JSON.stringify(restored.edges) === JSON.stringify(edgeSettings) &&
+          JSON.stringify(restored.color) === JSON.stringify(colorSettings)) {
+          return
+        }
+      }
+
+      const controller = new AbortController()
+      const options = { ditherMode, levels, cutPoints: levels > 2 ? cutPoints : null, adjustments, adaptive: adaptiveSettings,
+        edges: edgeSettings, color: colorSettings, framing, signal: controller.signal }
+
       const reprocessImage = async () => {
         try {
-          const result = await processImageFile(lastProcessedFile, gridSize, threshold)
-          setCheckboxStates(result.checkboxStates)
-        } catch (err) {
-          
+          const beforeStates = gridStatesRef.current
+          let afterStates
+          if (isGIF) {
+            const result = await processGIF(lastProcessedFile, gridWidth, gridHeight, threshold, options)
+            setPalette(result.palette)
+            afterStates = result.frames.map(frame => frame.checkboxStates)
+          } else {
+            const result = await processImageFile(lastProcessedFile, gridWidth, gridHeight, threshold, options)
+            setPalette(result.palette)
+            setAdjustedImageData(result.imageData)
+            setCheckboxStates(result.checkboxStates)
+            afterStates = [result.checkboxStates]
+          }
+
+          // Reprocessing the same file at the same grid shape overwrites edits, so it is recorded;
+          // a new file or grid shape starts over
+          const shape = { file: lastProcessedFile, gridWidth, gridHeight, frameCount: afterStates.length }
+          const previousShape = processedShapeRef.current
+          const isSameShape = previousShape &&
+            previousShape.file === shape.file &&
+            previousShape.gridWidth === shape.gridWidth &&
+            previousShape.gridHeight === shape.gridHeight &&
+            previousShape.frameCount === shape.frameCount &&
+            beforeStates.length === afterStates.length &&
+            beforeStates.every((states, frameIndex) => states?.length === afterStates[frameIndex].length)
+
+          if (isSameShape) {
+            recordEdit('Reprocess', afterStates.map((after, frameIndex) => ({
+              frameIndex,
+              before: beforeStates[frameIndex],
+              after
+            })))
+          } else {
+            clearHistory()
+          }
+          processedShapeRef.current = shape
+        } catch {
+          // Error state is set by the hooks; cancelled runs are superseded by a newer one
         }
       }
       
       reprocessImage()
+
+      return () => controller.abort()
     }
-  }, [threshold, gridSize, lastProcessedFile, isGIF, processImageFile])
+  }, [threshold, ditherMode, adjustments, levels, cutPoints, adaptiveSettings, edgeSettings, colorSettings, framing, gridWidth, gridHeight, lastProcessedFile, isGIF, processImageFile, processGIF, recordEdit, clearHistory])
 
-  // Auto-calculate threshold
+  // Replace grid states and record the change in history
+  // Each edit is {frameIndex, after}; static images always use frame 0
+  const commitEdits = (label, edits) => {
+    if (isGIF) {
+      recordEdit(label, edits.map(({ frameIndex, after }) => ({
+        frameIndex,
+        before: frames[frameIndex].checkboxStates,
+        after
+      })))
+      edits.forEach(({ frameIndex, after }) => updateFrame(frameIndex, after))
+    } else {
+      const [{ after }] = edits
+      recordEdit(label, [{ frameIndex: 0, before: checkboxStates, after }])
+      setCheckboxStates(after)
+    }
+  }
+
+  // Auto-calculate threshold, or cut points with multi-level Otsu
   const calculateAutoThreshold = async () => {
     if (!lastProcessedFile) return
 
     try {
-      if (isGIF) {
-        // For GIFs, we'll use the first frame for auto threshold
-        const result = await processImageFile(lastProcessedFile, gridSize, null)
-        setThreshold(result.threshold)
+      // For GIFs, we'll use the first frame for auto threshold
+      const result = await processImageFile(lastProcessedFile, gridWidth, gridHeight, null, { ditherMode, levels, cutPoints: null, adjustments, framing })
+      if (levels > 2) {
+        setCutPoints(result.cutPoints)
       } else {
-        const result = await processImageFile(lastProcessedFile, gridSize, null)
         setThreshold(result.threshold)
-        setCheckboxStates(result.checkboxStates)
+      }
+      if (!isGIF) {
+        commitEdits(levels > 2 ? 'Auto cut points' : 'Auto threshold', [{ frameIndex: 0, after: result.checkboxStates }])
       }
     } catch (err) {
       
     }
   }
 
-  // Toggle individual checkbox
-  const toggleCheckbox = (index) => {
-    if (isGIF) {
-      // For GIFs, update the current frame's checkbox states
-      const updatedFrames = [...frames]
-      if (updatedFrames[currentFrame]) {
-        updatedFrames[currentFrame].checkboxStates[index] = !updatedFrames[currentFrame].checkboxStates[index]
-        // Update the frames state (this would need to be exposed from the hook)
-      }
-    } else {
-      const newStates = [...checkboxStates]
-      newStates[index] = !newStates[index]
-      setCheckboxStates(newStates)
+  // Switch the number of tone levels, starting from evenly spaced cut points
+  const changeLevels = (nextLevels) => {
+    setLevels(nextLevels)
+    if (nextLevels > 2) {
+      setCutPoints(getDefaultCutPoints(nextLevels))
     }
   }
 
+  // Move one cut point, keeping them strictly ascending
+  const changeCutPoint = (index, value) => {
+    setCutPoints(prev => prev.map((cut, i) => {
+      if (i !== index) return cut
+      const min = i === 0 ? 1 : prev[i - 1] + 1
+      const max = i === prev.length - 1 ? 255 : prev[i + 1] - 1
+      return Math.min(max, Math.max(min, value))
+    }))
+  }
+
+  // Switch the adaptive method, starting from its usual k
+  const changeAdaptiveMethod = (method) => {
+    setAdaptiveSettings(prev => ({ ...prev, method, k: getAdaptiveMethod(method).defaultK }))
+  }
+
+  // Switch between grayscale and a palette method, keeping the other color settings
+  const changeColorMethod = (method) => {
+    setColorSettings(prev => (method === 'none' ? null : { ...(prev ?? COLOR_MODE_DEFAULTS), method }))
+    if (method !== 'none') setEdgeSettings(null)
+  }
+
+  // Switch between thresholding and an edge method, keeping the other edge settings
+  const changeEdgeMethod = (method) => {
+    setEdgeSettings(prev => (method === 'threshold' ? null : { ...(prev ?? EDGE_DEFAULTS), method }))
+    if (method !== 'threshold') setColorSettings(null)
+  }
+
+  // Move an edge threshold, keeping low at most high
+  const changeEdgeThreshold = (name, value) => {
+    setEdgeSettings(prev => ({
+      ...prev,
+      [name]: name === 'low' ? Math.min(value, prev.high) : Math.max(value, prev.low)
+    }))
+  }
+
+  // Route grid pointer events to the active drawing tool; strokes edit the current frame for GIFs
+  const { previewStates, gridHandlers } = useDrawingTool({
+    tool: drawingTool,
+    gridWidth,
+    gridHeight,
+    enabled: !isProcessing,
+    // Color grids paint the brush color and erase to the background color
+    paintValues: activePalette
+      ? { checked: Math.min(brushColor, activePalette.length - 1), unchecked: 0 }
+      : { checked: getPaintValue(true, cellLevels), unchecked: getPaintValue(false, cellLevels) },
+    beginStroke: () => {
+      if (!isGIF) return { states: checkboxStates, frameIndex: 0 }
+      return frames[currentFrame] ? { states: frames[currentFrame].checkboxStates, frameIndex: currentFrame } : null
+    },
+    commitStroke: (label, states, { frameIndex }) => {
+      commitEdits(isGIF ? `${label} (frame ${frameIndex + 1})` : label, [{ frameIndex, after: states }])
+    }
+  })
+  const displayedStates = previewStates ?? checkboxStates
+
   // Invert all checkboxes
   const invertColors = () => {
     if (isGIF) {
       // For GIFs, invert all frames
-      const updatedFrames = frames.map(frame => ({
-        ...frame,
-        checkboxStates: frame.checkboxStates.map(state => !state)
-      }))
-      // Update frames (would need to be exposed from hook)
+      commitEdits('Invert all frames', frames.map((frame, frameIndex) => ({
+        frameIndex,
+        after: frame.checkboxStates.map(state => invertCellState(state, cellLevels))
+      })))
     } else {
-      setCheckboxStates(checkboxStates.map(state => !state))
+      commitEdits('Invert', [{ frameIndex: 0, after: checkboxStates.map(state => invertCellState(state, cellLevels)) }])
     }
   }
 
@@ -182,13 +582,12 @@ function App() {
   const clearCheckboxes = () => {
     if (isGIF) {
       // For GIFs, clear all frames
-      const updatedFrames = frames.map(frame => ({
-        ...frame,
-        checkboxStates: Array(gridSize * gridSize).fill(false)
-      }))
-      // Update frames (would need to be exposed from hook)
+      commitEdits('Clear all frames', frames.map((frame, frameIndex) => ({
+        frameIndex,
+        after: Array(frame.checkboxStates.length).fill(getPaintValue(false, cellLevels))
+      })))
     } else {
-      setCheckboxStates(Array(gridSize * gridSize).fill(false))
+      commitEdits('Clear', [{ frameIndex: 0, after: Array(gridWidth * gridHeight).fill(getPaintValue(false, cellLevels)) }])
     }
   }
 
@@ -196,9 +595,12 @@ function App() {
   const saveAsPixels = async () => {
     try {
       if (isGIF) {
-        await exportCurrentFrame(exportSize)
+        const blob = await exportCurrentFrame(exportSize, renderOptions)
+        if (blob) {
+          downloadBlob(blob, `checkbox-frame-${currentFrame + 1}-${gridWidth}x${gridHeight}.png`)
+        }
       } else {
-        await exportImage(checkboxStates, gridSize, exportSize)
+        await exportImage(checkboxStates, gridWidth, gridHeight, exportSize, renderOptions)
       }
     } catch (err) {
       
@@ -211,33 +613,286 @@ function App() {
       if (isGIF) {
         // For GIFs, export current frame as text
         const currentStates = getCurrentFrameStates()
-        exportText(currentStates, gridSize)
+        exportText(currentStates, gridWidth, gridHeight)
       } else {
-        exportText(checkboxStates, gridSize)
+        exportText(checkboxStates, gridWidth, gridHeight)
       }
     } catch (err) {
       
     }
   }
 
-  // Export all GIF frames
+  // Save as a standalone HTML page of real checkboxes; GIFs get an embedded player
+  const saveAsHTML = () => {
+    try {
+      if (isGIF) {
+        const blob = exportAnimationHTML(renderOptions)
+        if (blob) {
+          downloadBlob(blob, `checkbox-animation-${gridWidth}x${gridHeight}.html`)
+        }
+      } else {
+        exportHTML(checkboxStates, gridWidth, gridHeight, renderOptions)
+      }
+    } catch {
+      // Error state is set by the hooks
+    }
+  }
+
+  // Save cell values as JSON, with the palette of color grids; GIFs include every frame
+  const saveAsJSON = () => {
+    if (isGIF && frames.length === 0) return
+    const json = exportAsJSON(isGIF ? frames : [{ checkboxStates }], gridWidth, gridHeight, { ...renderOptions, loopCount })
+    const name = isGIF ? `checkbox-animation-${gridWidth}x${gridHeight}` : `checkbox-pattern-${gridWidth}x${gridHeight}`
+    downloadBlob(new Blob([json], { type: 'application/json' }), `${name}.json`)
+  }
+
+  // Download text from the text export panel
+  const downloadText = (text, extension, allFrames) => {
+    const name = isGIF
+      ? allFrames ? `checkbox-frames-${gridWidth}x${gridHeight}` : `checkbox-frame-${currentFrame + 1}-${gridWidth}x${gridHeight}`
+      : `checkbox-pattern-${gridWidth}x${gridHeight}`
+    const type = extension === 'md' ? 'text/markdown' : 'text/plain'
+    downloadBlob(new Blob([text], { type: `${type};charset=utf-8` }), `${name}.${extension}`)
+  }
+
+  // Export all GIF frames as one ZIP
   const handleExportAllFrames = async () => {
     try {
-      const blobs = await exportAllFrames(exportSize)
-      // Download all frames as a zip or individual files
-      blobs.forEach((blob, index) => {
-        const url = URL.createObjectURL(blob)
-        const link = document.createElement('a')
-        link.href = url
-        link.download = `frame_${index + 1}.png`
-        document.body.appendChild(link)
-        link.click()
-        document.body.removeChild(link)
-        URL.revokeObjectURL(url)
+      const blob = await exportAllFrames(exportSize, { ...renderOptions, textRenderer: frameTextFormat })
+      if (blob) {
+        downloadBlob(blob, `checkbox-frames-${gridWidth}x${gridHeight}.zip`)
+      }
+    } catch {
+      // Error state is set by the hook
+    }
+  }
+
+  // Export GIF frames as a sprite sheet atlas with its JSON descriptor
+  const handleExportSpriteSheet = async () => {
+    const baseName = `checkbox-sprites-${gridWidth}x${gridHeight}`
+    try {
+      const blob = await exportSprites(exportSize, { ...spriteSheetOptions, ...renderOptions, baseName })
+      if (blob) {
+        downloadBlob(blob, `${baseName}.zip`)
+      }
+    } catch {
+      // Error state is set by the hook
+    }
+  }
+
+  // Save the grid, or the current GIF frame, as SVG
+  const saveAsSVG = () => {
+    try {
+      if (isGIF) {
+        exportSVG(getCurrentFrameStates(), gridWidth, gridHeight, { ...svgOptions, ...renderOptions },
+          `checkbox-frame-${currentFrame + 1}-${gridWidth}x${gridHeight}.svg`)
+      } else {
+        exportSVG(checkboxStates, gridWidth, gridHeight, { ...svgOptions, ...renderOptions })
+      }
+    } catch {
+      // Error state is set by the hook
+    }
+  }
+
+  // Export every GIF frame as its own SVG, bundled in one ZIP
+  const handleExportAllFramesSVG = async () => {
+    try {
+      const blob = await exportAllFramesSVG(svgOptions, { ...renderOptions, textRenderer: frameTextFormat })
+      if (blob) {
+        downloadBlob(blob, `checkbox-frames-svg-${gridWidth}x${gridHeight}.zip`)
+      }
+    } catch {
+      // Error state is set by the hook
+    }
+  }
+
+  // Export GIF frames as one animated SVG
+  const handleExportAnimatedSVG = () => {
+    try {
+      const blob = exportAnimationSVG({ ...svgOptions, ...renderOptions })
+      if (blob) {
+        downloadBlob(blob, `checkbox-animation-${gridWidth}x${gridHeight}.svg`)
+      }
+    } catch {
+      // Error state is set by the hook
+    }
+  }
+
+  // Export GIF frames as one animated GIF
+  const handleExportAnimatedGIF = async () => {
+    try {
+      const blob = await exportAnimation(exportSize, renderOptions)
+      if (blob) {
+        downloadBlob(blob, `checkbox-animation-${gridWidth}x${gridHeight}.gif`)
+      }
+    } catch {
+      // Error state is set by the hook
+    }
+  }
+
+  // Current work as project contents, shared by Save Project and autosave.
+  // GIF frame states already live in frames, so playback does not change the snapshot.
+  const staticStates = isGIF ? null : checkboxStates
+  const projectSnapshot = useMemo(() => ({
+    gridWidth,
+    gridHeight,
+    settings: { resolution, aspectMode, customDimensions, threshold, cutPoints, ditherMode, adjustments, adaptive: adaptiveSettings, edges: edgeSettings,
+      color: colorSettings, framing, exportSize },
+    levels,
+    palette: activePalette,
+    checkboxStates: staticStates ?? [],
+    frames: isGIF ? frames : null,
+    loopCount,
+    sourceFile: lastProcessedFile,
+    sourceDimensions
+  }), [gridWidth, gridHeight, resolution, aspectMode, customDimensions, threshold, cutPoints, ditherMode, adjustments, adaptiveSettings, edgeSettings, colorSettings, framing, exportSize,
+    levels, activePalette, staticStates, isGIF, frames, loopCount, lastProcessedFile, sourceDimensions])
+
+  // Autosave once there is an image or an edit, and offer the previous session back on load
+  const {
+    previousSession,
+    autosaveStatus,
+    takePreviousSession,
+    discardPreviousSession
+  } = useSessionAutosave(projectSnapshot, {
+    enabled: !isProcessing && (lastProcessedFile !== null || historyEntries.length > 0) && (!isGIF || frames.length > 0)
+  })
+
+  // Save grid, settings, edits and frames as a project file
+  const saveProject = async () => {
+    setProjectError(null)
+    try {
+      const blob = await createProjectFile({
+        ...projectSnapshot,
+        sourceFile: includeSourceInProject ? lastProcessedFile : null
       })
+      const baseName = lastProcessedFile?.name.replace(/\.[^.]+$/, '') || `checkbox-project-${gridWidth}x${gridHeight}`
+      downloadBlob(blob, `${baseName}${PROJECT_FORMAT.EXTENSION}`)
     } catch (err) {
-      
+      setProjectError(getErrorMessage(err))
+    }
+  }
+
+  // Restore settings, states and frames from a project file or autosaved session; sessions store their source image apart
+  const loadProject = async (file, source = null) => {
+    setProjectError(null)
+    try {
+      const project = await readProjectFile(file)
+      applyProject(source ? { ...project, sourceFile: source.file, sourceDimensions: source.dimensions } : project)
+    } catch (err) {
+      setProjectError(getErrorMessage(err))
+    }
+  }
+
+  // Load a parsed project into the editor
+  const applyProject = (project) => {
+    const settings = restoreProjectSettings(project.settings, {
+      resolution, aspectMode, customDimensions, threshold, ditherMode, exportSize
+    })
+    const savedGridSize = RESOLUTION_SIZES[settings.resolution]
+    const projectFraming = restoreFraming(project.settings.framing)
+    const resolved = resolveGridDimensions(settings.aspectMode, savedGridSize, settings.customDimensions, project.sourceDimensions, projectFraming)
+    const savedDimensions = { width: project.gridWidth, height: project.gridHeight }
+    // Color projects store palette indices; their tone levels start over at binary
+    const projectPalette = project.palette ?? null
+    const projectColor = projectPalette ? restoreColorSettings(project.settings.color) : null
+    const projectEdges = projectPalette ? null : restoreEdgeSettings(project.settings.edges)
+    const projectAdaptive = restoreAdaptiveSettings(project.settings.adaptive)
+    const projectLevels = projectPalette ? 2 : project.levels ?? 2
+    const projectCutPoints = isValidCutPoints(project.settings.cutPoints, projectLevels)
+      ? project.settings.cutPoints
+      : getDefaultCutPoints(Math.max(3, projectLevels))
+    // Fall back to a custom grid if the saved settings no longer resolve to the saved grid
+    const fitsSettings = resolved.width === savedDimensions.width && resolved.height === savedDimensions.height
+
+    setResolution(settings.resolution)
+    setGridSize(savedGridSize)
+    setAspectMode(fitsSettings ? settings.aspectMode : 'custom')
+    setCustomDimensions(fitsSettings ? settings.customDimensions : savedDimensions)
+    setThreshold(settings.threshold)
+    setDitherMode(settings.ditherMode)
+    setAdjustments(settings.adjustments)
+    setLevels(projectLevels)
+    setCutPoints(projectCutPoints)
+    setColorSettings(projectColor)
+    setEdgeSettings(projectEdges)
+    setAdaptiveSettings(projectAdaptive)
+    setPalette(projectPalette)
+    setExportSize(settings.exportSize)
+    setSourceDimensions(project.sourceDimensions)
+    setFraming(projectFraming)
+    setIsGIF(project.isGIF)
+    setUploadedImage(project.isGIF ? null : project.sourceFile)
+    setLastProcessedFile(project.sourceFile)
+    setCheckboxStates(project.checkboxStates)
+
+    if (project.isGIF) {
+      restoreFrames(project.frames, {
+        loopCount: project.loopCount,
+        gridWidth: project.gridWidth,
+        gridHeight: project.gridHeight,
+        sourceFile: project.sourceFile
+      })
+    } else {
+      clearFrames()
     }
+
+    clearHistory()
+    processedShapeRef.current = project.sourceFile
+      ? {
+          file: project.sourceFile,
+          gridWidth: project.gridWidth,
+          gridHeight: project.gridHeight,
+          frameCount: project.isGIF ? project.frames.length : 1
+        }
+      : null
+    restoredProjectRef.current = project.sourceFile
+      ? {
+          file: project.sourceFile,
+          gridWidth: project.gridWidth,
+          gridHeight: project.gridHeight,
+          threshold: settings.threshold,
+          ditherMode: settings.ditherMode,
+          adjustments: settings.adjustments,
+          levels: projectLevels,
+          cutPoints: projectCutPoints,
+          adaptive: projectAdaptive,
+          framing: projectFraming,
+          edges: projectEdges,
+          color: projectColor
+        }
+      : null
+  }
+
+  // Load a pattern parsed from text as an editable custom-size grid
+  const importTextPattern = ({ gridWidth: width, gridHeight: height, frames: importedFrames }) => {
+    const isAnimation = importedFrames.length > 1
+    applyProject({
+      gridWidth: width,
+      gridHeight: height,
+      settings: { aspectMode: 'custom', customDimensions: { width, height } },
+      isGIF: isAnimation,
+      checkboxStates: importedFrames[0].checkboxStates,
+      frames: isAnimation ? importedFrames : null,
+      loopCount: 0,
+      sourceFile: null,
+      sourceDimensions: null
+    })
+    setProjectError(null)
+    setShowTextImport(false)
+  }
+
+  // Open a project file
+  const openProject = (event) => {
+    const file = event.target.files[0]
+    event.target.value = ''
+    if (file) loadProject(file)
+  }
+
+  // Restore the autosaved session offered on load
+  const restorePreviousSession = () => {
+    const session = takePreviousSession()
+    if (session) loadProject(session.blob, session.source)
   }
 
   // Retry processing
@@ -246,7 +901,9 @@ function App() {
       clearFrames()
       if (lastProcessedFile) {
         try {
-          await processGIF(lastProcessedFile, gridSize, threshold)
+          const result = await processGIF(lastProcessedFile, gridWidth, gridHeight, threshold, { ditherMode, levels, cutPoints: levels > 2 ? cutPoints : null, adjustments,
+            adaptive: adaptiveSettings, edges: edgeSettings, color: colorSettings, framing })
+          setPalette(result.palette)
         } catch (err) {
           
         }
@@ -255,7 +912,10 @@ function App() {
       clearImageError()
       if (lastProcessedFile) {
         try {
-          const result = await processImageFile(lastProcessedFile, gridSize, threshold)
+          const result = await processImageFile(lastProcessedFile, gridWidth, gridHeight, threshold, { ditherMode, levels, cutPoints: levels > 2 ? cutPoints : null, adjustments,
+            adaptive: adaptiveSettings, edges: edgeSettings, color: colorSettings, framing })
+          setPalette(result.palette)
+          setAdjustedImageData(result.imageData)
           setCheckboxStates(result.checkboxStates)
           setThreshold(result.threshold)
         } catch (err) {
@@ -266,9 +926,9 @@ function App() {
   }
 
   // Get current processing state
-  const isProcessing = isImageProcessing || isGIFProcessing
   const error = imageError || gifError
   const processingProgress = isGIFProcessing ? gifProgress : imageProgress
+  const processingStage = isGIFProcessing ? gifStage : imageStage
 
   return (
     <div className="app-container">
@@ -281,6 +941,14 @@ function App() {
           )}
         </div>
 
+        {previousSession && (
+          <SessionRestorePrompt
+            savedAt={previousSession.savedAt}
+            onRestore={restorePreviousSession}
+            onDiscard={discardPreviousSession}
+          />
+        )}
+
         {/* Control Panel */}
         <div className="control-panel">
           {/* Resolution Selection */}
@@ -298,34 +966,332 @@ function App() {
                 </button>
               ))}
             </div>
+            <div className="aspect-container">
+              {ASPECT_MODES.map(({ value, label }) => (
+                <button
+                  key={value}
+                  className={`aspect-btn ${aspectMode === value ? 'active' : ''}`}
+                  onClick={() => setAspectMode(value)}
+                  disabled={isProcessing}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            {aspectMode === 'custom' && (
+              <div className="custom-size-container">
+                <input
+                  type="number"
+                  min={CUSTOM_GRID_LIMITS.min}
+                  max={CUSTOM_GRID_LIMITS.max}
+                  value={customDimensionDrafts.width ?? customDimensions.width}
+                  onChange={(e) => handleCustomDimensionChange('width', e.target.value)}
+                  onBlur={() => commitCustomDimension('width')}
+                  onKeyDown={(e) => e.key === 'Enter' && commitCustomDimension('width')}
+                  className="custom-size-input"
+                  aria-label="Grid width"
+                />
+                <span className="custom-size-separator">×</span>
+                <input
+                  type="number"
+                  min={CUSTOM_GRID_LIMITS.min}
+                  max={CUSTOM_GRID_LIMITS.max}
+                  value={customDimensionDrafts.height ?? customDimensions.height}
+                  onChange={(e) => handleCustomDimensionChange('height', e.target.value)}
+                  onBlur={() => commitCustomDimension('height')}
+                  onKeyDown={(e) => e.key === 'Enter' && commitCustomDimension('height')}
+                  className="custom-size-input"
+                  aria-label="Grid height"
+                />
+              </div>
+            )}
+            <p className="grid-size-info">Grid: {gridWidth} × {gridHeight}</p>
           </div>
 
-          {/* Brightness Threshold */}
+          {/* Conversion: filled by threshold, or outlines traced by edge detection */}
           <div className="control-section">
-            <div className="section-title">Brightness Threshold</div>
-            <div className="threshold-container">
-              <span className="threshold-label">Dark</span>
-              <input
-                type="range"
-                min="0"
-                max="255"
-                value={threshold}
-                onChange={(e) => setThreshold(parseInt(e.target.value))}
-                className="threshold-slider"
+            <div className="section-title">Conversion</div>
+            <div className="dither-container">
+              <select
+                value={edgeSettings?.method ?? 'threshold'}
+                onChange={(e) => changeEdgeMethod(e.target.value)}
+                className="dither-select"
                 disabled={isProcessing}
-              />
-              <span className="threshold-label">Light</span>
-              <div className="threshold-value">
-                <span className="threshold-number">{threshold}/255</span>
-                <button
-                  onClick={calculateAutoThreshold}
-                  className="auto-btn"
-                  disabled={!uploadedImage || isProcessing}
+              >
+                <option value="threshold">Filled (threshold)</option>
+                {EDGE_METHODS.map(({ value, label }) => (
+                  <option key={value} value={value}>Edges: {label}</option>
+                ))}
+              </select>
+            </div>
+            {isEdgeMode && (
+              <div className="cut-points color-options">
+                {[['low', 'Weak'], ['high', 'Strong']].map(([name, label]) => (
+                  <div className="threshold-container" key={name}>
+                    <span className="threshold-label">{label}</span>
+                    <input
+                      type="range"
+                      min={EDGE_LIMITS.MIN_THRESHOLD}
+                      max="255"
+                      value={edgeSettings[name]}
+                      onChange={(e) => changeEdgeThreshold(name, parseInt(e.target.value))}
+                      className="threshold-slider"
+                      aria-label={`${label} edge threshold`}
+                      disabled={isProcessing}
+                    />
+                    <span className="threshold-number">{edgeSettings[name]}/255</span>
+                  </div>
+                ))}
+                <div className="threshold-container">
+                  <span className="threshold-label">Lines</span>
+                  <input
+                    type="range"
+                    min={EDGE_LIMITS.MIN_THICKNESS}
+                    max={EDGE_LIMITS.MAX_THICKNESS}
+                    value={edgeSettings.thickness}
+                    onChange={(e) => setEdgeSettings(prev => ({ ...prev, thickness: parseInt(e.target.value) }))}
+                    className="threshold-slider"
+                    aria-label="Line thickness"
+                    disabled={isProcessing}
+                  />
+                  <span className="threshold-number">{edgeSettings.thickness} px</span>
+                </div>
+              </div>
+            )}
+          </div>
+
+          {/* Tone Levels */}
+          <div className="control-section">
+            <div className="section-title">Tone Levels</div>
+            <div className="dither-container">
+              <select
+                value={levels}
+                onChange={(e) => changeLevels(parseInt(e.target.value))}
+                className="dither-select"
+                disabled={isProcessing || isColorMode || isEdgeMode}
+              >
+                {LEVEL_OPTIONS.map(({ value, label }) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {/* Color Mode: cells take the nearest color of a small palette instead of a gray level */}
+          <div className="control-section">
+            <div className="section-title">Color Mode</div>
+            <div className="dither-container">
+              <select
+                value={colorSettings?.method ?? 'none'}
+                onChange={(e) => changeColorMethod(e.target.value)}
+                className="dither-select"
+                disabled={isProcessing}
+              >
+                <option value="none">Off (grayscale)</option>
+                {PALETTE_METHODS.map(({ value, label }) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            {isColorMode && (colorSettings.method === 'preset' ? (
+              <div className="dither-container color-options">
+                <select
+                  value={colorSettings.preset}
+                  onChange={(e) => setColorSettings(prev => ({ ...prev, preset: e.target.value }))}
+                  className="dither-select"
+                  aria-label="Palette preset"
+                  disabled={isProcessing}
                 >
-                  Auto
-                </button>
+                  {PALETTE_PRESETS.map(({ value, label, colors }) => (
+                    <option key={value} value={value}>{label} ({colors.length} colors)</option>
+                  ))}
+                </select>
               </div>
+            ) : (
+              <div className="threshold-container color-options">
+                <span className="threshold-label">Colors</span>
+                <input
+                  type="range"
+                  min={COLOR_MODE_CONFIG.MIN_COLORS}
+                  max={COLOR_MODE_CONFIG.MAX_COLORS}
+                  value={colorSettings.colorCount}
+                  onChange={(e) => setColorSettings(prev => ({ ...prev, colorCount: parseInt(e.target.value) }))}
+                  className="threshold-slider"
+                  aria-label="Palette size"
+                  disabled={isProcessing}
+                />
+                <span className="threshold-number">{colorSettings.colorCount}</span>
+              </div>
+            ))}
+          </div>
+
+          {/* Brightness Threshold, or one cut point between each pair of levels */}
+          <div className="control-section">
+            <div className="section-title">
+              {levels > 2 ? 'Cut Points' : isAdaptiveMode ? 'Adaptive Threshold' : 'Brightness Threshold'}
             </div>
+            {levels > 2 ? (
+              <div className="cut-points">
+                {cutPoints.map((cut, index) => (
+                  <div className="threshold-container" key={index}>
+                    <span className="threshold-label">{index + 1}</span>
+                    <input
+                      type="range"
+                      min="1"
+                      max="255"
+                      value={cut}
+                      onChange={(e) => changeCutPoint(index, parseInt(e.target.value))}
+                      className="threshold-slider"
+                      aria-label={`Cut point ${index + 1}`}
+                      disabled={isProcessing || isColorMode || isEdgeMode}
+                    />
+                    <span className="threshold-number">{cut}/255</span>
+                  </div>
+                ))}
+                <div className="threshold-value">
+                  <button
+                    onClick={calculateAutoThreshold}
+                    className="auto-btn"
+                    disabled={!uploadedImage || isProcessing || isColorMode || isEdgeMode}
+                    title="Multi-level Otsu"
+                  >
+                    Auto
+                  </button>
+                </div>
+              </div>
+            ) : isAdaptiveMode ? (
+              <div className="cut-points">
+                <div className="dither-container">
+                  <select
+                    value={adaptiveSettings.method}
+                    onChange={(e) => changeAdaptiveMethod(e.target.value)}
+                    className="dither-select"
+                    aria-label="Adaptive method"
+                    disabled={isProcessing}
+                  >
+                    {ADAPTIVE_METHODS.map(({ value, label }) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="threshold-container">
+                  <span className="threshold-label">Window</span>
+                  <input
+                    type="range"
+                    min={ADAPTIVE_LIMITS.MIN_WINDOW}
+                    max={ADAPTIVE_LIMITS.MAX_WINDOW}
+                    step="2"
+                    value={adaptiveSettings.windowSize}
+                    onChange={(e) => setAdaptiveSettings(prev => ({ ...prev, windowSize: parseInt(e.target.value) }))}
+                    className="threshold-slider"
+                    aria-label="Window size"
+                    disabled={isProcessing}
+                  />
+                  <span className="threshold-number">{adaptiveSettings.windowSize}×{adaptiveSettings.windowSize}</span>
+                </div>
+                <div className="threshold-container">
+                  <span className="threshold-label">k</span>
+                  <input
+                    type="range"
+                    min={getAdaptiveMethod(adaptiveSettings.method).minK}
+                    max={getAdaptiveMethod(adaptiveSettings.method).maxK}
+                    step="0.01"
+                    value={adaptiveSettings.k}
+                    onChange={(e) => setAdaptiveSettings(prev => ({ ...prev, k: parseFloat(e.target.value) }))}
+                    className="threshold-slider"
+                    aria-label="k"
+                    disabled={isProcessing}
+                  />
+                  <span className="threshold-number">{adaptiveSettings.k.toFixed(2)}</span>
+                </div>
+                <div className="threshold-value">
+                  <button
+                    onClick={() => setAdaptiveSettings(null)}
+                    className="auto-btn"
+                    disabled={isProcessing}
+                    title="Use one threshold for the whole image"
+                  >
+                    Global
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div className="threshold-container">
+                <span className="threshold-label">Dark</span>
+                <input
+                  type="range"
+                  min="0"
+                  max="255"
+                  value={threshold}
+                  onChange={(e) => setThreshold(parseInt(e.target.value))}
+                  className="threshold-slider"
+                  disabled={isProcessing || isColorMode || isEdgeMode}
+                />
+                <span className="threshold-label">Light</span>
+                <div className="threshold-value">
+                  <span className="threshold-number">{threshold}/255</span>
+                  <button
+                    onClick={calculateAutoThreshold}
+                    className="auto-btn"
+                    disabled={!uploadedImage || isProcessing || isColorMode || isEdgeMode}
+                  >
+                    Auto
+                  </button>
+                  <button
+                    onClick={() => setAdaptiveSettings(ADAPTIVE_DEFAULTS)}
+                    className="auto-btn"
+                    disabled={isProcessing || isColorMode || isEdgeMode}
+                    title="Local thresholds for shadows and uneven lighting"
+                  >
+                    Adaptive
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+
+          {/* Dithering */}
+          <div className="control-section">
+            <div className="section-title">Dithering</div>
+            <div className="dither-container">
+              <select
+                value={ditherMode}
+                onChange={(e) => setDitherMode(e.target.value)}
+                className="dither-select"
+                disabled={isProcessing || isColorMode || isEdgeMode || isAdaptiveMode}
+              >
+                {DITHER_MODES.map(({ value, label }) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {/* Framing: which part of the source becomes the grid */}
+          {lastProcessedFile && (
+            <div className="control-section">
+              <div className="section-title">Framing</div>
+              <FramingEditor
+                file={lastProcessedFile}
+                framing={framing}
+                onFramingChange={setFraming}
+                gridAspect={aspectMode === 'auto' ? null : gridWidth / gridHeight}
+                disabled={isProcessing}
+              />
+            </div>
+          )}
+
+          {/* Adjustments before thresholding; color mode quantizes the unadjusted colors */}
+          <div className="control-section">
+            <div className="section-title">Adjustments</div>
+            <AdjustmentPanel
+              adjustments={adjustments}
+              onAdjustmentsChange={setAdjustments}
+              previewImageData={lastProcessedFile && !isColorMode
+                ? (isGIF ? frames[currentFrame]?.imageData : adjustedImageData) ?? null
+                : null}
+              disabled={isProcessing || isColorMode}
+            />
           </div>
 
           {/* Upload Section */}
@@ -335,6 +1301,7 @@ function App() {
                 ref={fileInputRef}
                 type="file"
                 accept="image/jpeg,image/png,image/gif,image/webp"
+                multiple
                 onChange={handleFileUpload}
                 className="file-input"
               />
@@ -346,10 +1313,64 @@ function App() {
                 {isProcessing ? 'Processing...' : 'Upload Image'}
               </button>
               <p className="file-support">
-                Supports JPG, PNG, GIF, WebP 
-                GIFs are not yet supported
+                Supports JPG, PNG, GIF (animated), WebP • Drop files on the grid or paste with Ctrl+V
               </p>
+              <UploadQueue
+                files={uploadQueue}
+                activeFile={lastProcessedFile}
+                rejections={uploadRejections}
+                onSelect={loadFile}
+                onRemove={removeQueuedFile}
+                onDismissRejections={() => setUploadRejections([])}
+                disabled={isProcessing}
+              />
+            </div>
+            <div className="project-section">
+              <input
+                ref={projectInputRef}
+                type="file"
+                accept={`${PROJECT_FORMAT.EXTENSION},.json,${PROJECT_FORMAT.MIME_TYPE}`}
+                onChange={openProject}
+                className="file-input"
+              />
+              <button
+                onClick={() => projectInputRef.current?.click()}
+                className="control-btn"
+                disabled={isProcessing}
+              >
+                Open Project
+              </button>
+              <button
+                onClick={saveProject}
+                className="control-btn"
+                disabled={isProcessing || checkboxStates.length === 0}
+              >
+                Save Project
+              </button>
+              <button
+                onClick={() => setShowTextImport(!showTextImport)}
+                className="control-btn"
+                disabled={isProcessing}
+              >
+                Import Text
+              </button>
+              <label className="project-option">
+                <input
+                  type="checkbox"
+                  checked={includeSourceInProject}
+                  onChange={(e) => setIncludeSourceInProject(e.target.checked)}
+                />
+                Include source image
+              </label>
             </div>
+            {projectError && <p className="project-error">{projectError}</p>}
+            {showTextImport && (
+              <TextImportPanel
+                onImport={importTextPattern}
+                onClose={() => setShowTextImport(false)}
+                disabled={isProcessing}
+              />
+            )}
           </div>
         </div>
 
@@ -360,37 +1381,79 @@ function App() {
             currentFrame={currentFrame}
             frameCount={frameCount}
             playbackSpeed={playbackSpeed}
+            loopCount={loopCount}
             onPlay={startAnimation}
             onPause={pauseAnimation}
             onStop={stopAnimation}
             onFrameChange={goToFrame}
             onSpeedChange={setSpeed}
+            onLoopCountChange={setLoopCount}
             onExportFrame={saveAsPixels}
             onExportAll={handleExportAllFrames}
+            frameTextFormat={frameTextFormat}
+            onFrameTextFormatChange={setFrameTextFormat}
+            onExportGIF={handleExportAnimatedGIF}
             disabled={isProcessing}
           />
         )}
 
         {/* Checkbox Grid */}
         {checkboxStates.length > 0 && (
-          <div className="checkbox-container">
+          <div
+            {...getDropZoneProps({
+              className: `checkbox-container ${isDragActive ? 'drag-active' : ''}`
+            })}
+          >
+            {isDragActive && (
+              <div className="drop-overlay">Drop images or GIFs to load them</div>
+            )}
+            <ToolPalette
+              activeTool={drawingTool}
+              onToolChange={setDrawingTool}
+              palette={activePalette}
+              brushColor={activePalette ? Math.min(brushColor, activePalette.length - 1) : brushColor}
+              onBrushColorChange={setBrushColor}
+              disabled={isProcessing}
+            />
             <div 
               className="checkbox-grid"
               key={`grid-${isGIF ? currentFrame : 'static'}`}
               style={{
-                gridTemplateColumns: `repeat(${gridSize}, 14px)`,
-                gridTemplateRows: `repeat(${gridSize}, 14px)`
+                gridTemplateColumns: `repeat(${gridWidth}, 14px)`,
+                gridTemplateRows: `repeat(${gridHeight}, 14px)`
               }}
+              {...gridHandlers}
             >
-              {checkboxStates.map((isChecked, index) => (
-                <div
-                  key={`${isGIF ? currentFrame : 'static'}-${index}`}
-                  className={`checkbox-item ${isChecked ? 'checked' : ''}`}
-                  onClick={() => toggleCheckbox(index)}
-                >
-                  {isChecked && '✓'}
-                </div>
-              ))}
+              {displayedStates.map((state, index) => {
+                if (activePalette) {
+                  return (
+                    <div
+                      key={`${isGIF ? currentFrame : 'static'}-${index}`}
+                      className="checkbox-item color-cell"
+                      style={{ '--cell-color': getCellFill(state, cellLevels, activePalette) }}
+                      data-index={index}
+                      data-level={getCellLevel(state)}
+                    />
+                  )
+                }
+
+                // Multi-level cells between empty and the darkest level render as indeterminate, shaded by tone
+                const tone = getCellTone(state, cellLevels)
+                const isChecked = tone === 1
+                const isIndeterminate = tone > 0 && !isChecked
+                return (
+                  <div
+                    key={`${isGIF ? currentFrame : 'static'}-${index}`}
+                    className={`checkbox-item ${isChecked ? 'checked' : ''} ${isIndeterminate ? 'indeterminate' : ''}`}
+                    style={isIndeterminate ? { '--tone': tone } : undefined}
+                    data-index={index}
+                    data-level={getCellLevel(state)}
+                  >
+                    {isChecked && '✓'}
+                    {isIndeterminate && '–'}
+                  </div>
+                )
+              })}
             </div>
           </div>
         )}
@@ -447,18 +1510,91 @@ function App() {
               >
                 {isGIF ? 'Save Frame as Text' : 'Save as Checkboxes'}
               </button>
+              <button 
+                onClick={saveAsHTML} 
+                className="save-btn"
+                disabled={isProcessing || checkboxStates.length === 0}
+              >
+                {isGIF ? 'Save Animation as HTML' : 'Save as HTML'}
+              </button>
+              <button
+                onClick={saveAsJSON}
+                className="save-btn"
+                disabled={isProcessing || checkboxStates.length === 0}
+              >
+                Save as JSON
+              </button>
             </div>
           </div>
         </div>
 
+        {/* SVG Export */}
+        {checkboxStates.length > 0 && (
+          <SVGExportPanel
+            options={svgOptions}
+            onOptionsChange={setSvgOptions}
+            isGIF={isGIF && frameCount > 0}
+            onExport={saveAsSVG}
+            onExportAllFrames={handleExportAllFramesSVG}
+            onExportAnimated={handleExportAnimatedSVG}
+            hasCellColors={cellLevels > 2 || Boolean(activePalette)}
+            disabled={isProcessing}
+          />
+        )}
+
+        {/* Sprite Sheet */}
+        {isGIF && frameCount > 0 && (
+          <SpriteSheetPanel
+            options={spriteSheetOptions}
+            onOptionsChange={setSpriteSheetOptions}
+            frameCount={frameCount}
+            onExport={handleExportSpriteSheet}
+            disabled={isProcessing}
+          />
+        )}
+
+        {/* Text Export */}
+        {checkboxStates.length > 0 && (
+          <TextExportPanel
+            checkboxStates={checkboxStates}
+            frames={isGIF && frameCount > 0 ? frames : null}
+            gridWidth={gridWidth}
+            gridHeight={gridHeight}
+            levels={cellLevels}
+            onDownload={downloadText}
+            disabled={isProcessing}
+          />
+        )}
+
+        {/* Edit History */}
+        {checkboxStates.length > 0 && (
+          <HistoryPanel
+            entries={historyEntries}
+            position={historyPosition}
+            canUndo={canUndo}
+            canRedo={canRedo}
+            onUndo={undo}
+            onRedo={redo}
+            onJump={jumpToHistory}
+            disabled={isProcessing}
+          />
+        )}
+
         {/* Footer */}
         <div className="app-footer">
           <p className="footer-text">
             {isGIF 
-              ? '🎬 Animated GIF mode • Click checkboxes to edit • Use controls to play/pause animation'
-              : 'Click checkboxes to manually edit • Checked = dark pixels, unchecked = background'
+              ? '🎬 Animated GIF mode • Draw on the grid to edit the current frame • Use controls to play/pause animation'
+              : 'Draw on the grid to manually edit • Checked = dark pixels, unchecked = background'
             }
           </p>
+          {autosaveStatus && (
+            <p className={`autosave-status ${autosaveStatus.error ? 'error' : ''}`}>
+              {autosaveStatus.error ||
+                `Autosaved at ${new Date(autosaveStatus.savedAt).toLocaleTimeString()}` +
+                (autosaveStatus.sourceIncluded ? '' : ' (without source image to stay within storage limits)')}
+            </p>
+          )}
         </div>
       </div>
 
@@ -466,6 +1602,7 @@ function App() {
       <ProcessingProgress
         isProcessing={isProcessing}
         progress={processingProgress}
+        stage={processingStage}
         error={error}
         onRetry={handleRetry}
       />
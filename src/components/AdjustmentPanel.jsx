@@ -0,0 +1,74 @@
+import React, { useEffect, useRef } from 'react';
+import { ADJUSTMENT_CONTROLS, ADJUSTMENT_DEFAULTS, EQUALIZATION_MODES, isIdentityAdjustments } from '../utils/adjustments';
+
+// Shows whole numbers as-is and fractional settings with their step's precision
+const formatValue = (value, step) => (Number.isInteger(step) ? String(value) : value.toFixed(step < 0.1 ? 2 : 1));
+
+const AdjustmentPanel = ({ adjustments, onAdjustmentsChange, previewImageData = null, disabled = false }) => {
+  const canvasRef = useRef(null);
+
+  // Draw the adjusted grayscale at grid size; CSS scales it up without smoothing
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !previewImageData) return;
+    canvas.width = previewImageData.width;
+    canvas.height = previewImageData.height;
+    canvas.getContext('2d').putImageData(previewImageData, 0, 0);
+  }, [previewImageData]);
+
+  const updateAdjustment = (name, value) => onAdjustmentsChange({ ...adjustments, [name]: value });
+
+  return (
+    <div className="adjustment-panel">
+      <div className="adjustment-options">
+        {ADJUSTMENT_CONTROLS.map(({ key, label, min, max, step }) => (
+          <label className="adjustment-option" key={key}>
+            <span className="adjustment-label">{label}</span>
+            <input
+              type="range"
+              min={min}
+              max={max}
+              step={step}
+              value={adjustments[key]}
+              onChange={(e) => updateAdjustment(key, parseFloat(e.target.value))}
+              disabled={disabled}
+            />
+            <span className="adjustment-value">{formatValue(adjustments[key], step)}</span>
+          </label>
+        ))}
+
+        <label className="adjustment-option">
+          <span className="adjustment-label">Equalize</span>
+          <select
+            value={adjustments.equalization}
+            onChange={(e) => updateAdjustment('equalization', e.target.value)}
+            className="dither-select"
+            disabled={disabled}
+          >
+            {EQUALIZATION_MODES.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+
+        <button
+          onClick={() => onAdjustmentsChange(ADJUSTMENT_DEFAULTS)}
+          className="auto-btn"
+          disabled={disabled || isIdentityAdjustments(adjustments)}
+        >
+          Reset
+        </button>
+      </div>
+
+      {previewImageData && (
+        <canvas
+          ref={canvasRef}
+          className="adjustment-preview"
+          aria-label="Adjusted grayscale preview"
+        />
+      )}
+    </div>
+  );
+};
+
+export default AdjustmentPanel;
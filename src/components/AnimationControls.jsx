@@ -1,17 +1,23 @@
 import React from 'react';
+import { TEXT_RENDERERS } from '../utils/textRenderers';
 
 const AnimationControls = ({
   isPlaying,
   currentFrame,
   frameCount,
   playbackSpeed,
+  loopCount,
   onPlay,
   onPause,
   onStop,
   onFrameChange,
   onSpeedChange,
+  onLoopCountChange,
   onExportFrame,
   onExportAll,
+  frameTextFormat = null,
+  onFrameTextFormatChange,
+  onExportGIF,
   disabled = false
 }) => {
   if (frameCount === 0) return null;
@@ -74,6 +80,37 @@ const AnimationControls = ({
         </select>
       </div>
 
+      <div className="speed-controls">
+        <label className="speed-label">Loop:</label>
+        <select
+          value={loopCount}
+          onChange={(e) => onLoopCountChange(parseInt(e.target.value))}
+          className="speed-select"
+          disabled={disabled}
+        >
+          <option value={0}>Forever</option>
+          <option value={-1}>Play once</option>
+          <option value={1}>Repeat 1x</option>
+          <option value={2}>Repeat 2x</option>
+          <option value={5}>Repeat 5x</option>
+        </select>
+      </div>
+
+      <div className="speed-controls">
+        <label className="speed-label">Text in ZIP:</label>
+        <select
+          value={frameTextFormat ?? ''}
+          onChange={(e) => onFrameTextFormatChange(e.target.value || null)}
+          className="speed-select"
+          disabled={disabled}
+        >
+          <option value="">None</option>
+          {TEXT_RENDERERS.filter(({ value }) => value !== 'custom').map(({ value, label }) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
       <div className="export-controls">
         <button
           onClick={onExportFrame}
@@ -88,7 +125,15 @@ const AnimationControls = ({
           className="export-btn"
           disabled={disabled}
         >
-          🎬 Export All Frames
+          🎬 Export All Frames (ZIP)
+        </button>
+
+        <button
+          onClick={onExportGIF}
+          className="export-btn"
+          disabled={disabled}
+        >
+          🎞️ Export Animated GIF
         </button>
       </div>
     </div>
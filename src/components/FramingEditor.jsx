@@ -0,0 +1,268 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { decodeImage } from '../utils/imageProcessor';
+import {
+  FRAMING_DEFAULTS,
+  FRAMING_LIMITS,
+  drawFramed,
+  fitCropToAspect,
+  flipFraming,
+  getOrientedSize,
+  getViewRect,
+  isIdentityFraming,
+  rotateFraming
+} from '../utils/framing';
+
+const PREVIEW_SIZE = 280; // Longest preview side in pixels
+const FULL_CROP = { x: 0, y: 0, width: 1, height: 1 };
+const CORNERS = ['nw', 'ne', 'sw', 'se'];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Moves or resizes a crop by a pointer delta, both as fractions of the preview.
+// Locked crops keep `ratio` (width / height in fractions) and stay anchored at the opposite corner.
+const dragCrop = (crop, mode, dx, dy, ratio) => {
+  const { MIN_CROP } = FRAMING_LIMITS;
+  if (mode === 'move') {
+    return {
+      ...crop,
+      x: clamp(crop.x + dx, 0, 1 - crop.width),
+      y: clamp(crop.y + dy, 0, 1 - crop.height)
+    };
+  }
+
+  const right = crop.x + crop.width;
+  const bottom = crop.y + crop.height;
+  const left = mode.includes('w') ? clamp(crop.x + dx, 0, right - MIN_CROP) : crop.x;
+  const top = mode.includes('n') ? clamp(crop.y + dy, 0, bottom - MIN_CROP) : crop.y;
+  let width = (mode.includes('w') ? right : clamp(right + dx, left + MIN_CROP, 1)) - left;
+  let height = (mode.includes('n') ? bottom : clamp(bottom + dy, top + MIN_CROP, 1)) - top;
+
+  if (ratio) {
+    const maxWidth = mode.includes('w') ? right : 1 - crop.x;
+    const maxHeight = mode.includes('n') ? bottom : 1 - crop.y;
+    height = width / ratio;
+    if (height > maxHeight) {
+      height = maxHeight;
+      width = height * ratio;
+    }
+    if (width > maxWidth) {
+      width = maxWidth;
+      height = width / ratio;
+    }
+  }
+
+  return {
+    x: mode.includes('w') ? right - width : crop.x,
+    y: mode.includes('n') ? bottom - height : crop.y,
+    width,
+    height
+  };
+};
+
+const FramingEditor = ({ file, framing, onFramingChange, gridAspect = null, disabled = false }) => {
+  const canvasRef = useRef(null);
+  const dragRef = useRef(null);
+  const [source, setSource] = useState(null);
+  // Crop while a drag is in progress; committed on release so the grid reprocesses once
+  const [draftCrop, setDraftCrop] = useState(null);
+  const [lockAspect, setLockAspect] = useState(false);
+
+  // Decode the source for the preview; GIFs show their first frame
+  useEffect(() => {
+    let cancelled = false;
+    let decoded = null;
+    setSource(null);
+    if (!file) return;
+
+    decodeImage(file)
+      .then((img) => {
+        decoded = img;
+        if (cancelled) {
+          img.close?.();
+        } else {
+          setSource(img);
+        }
+      })
+      .catch(() => {
+        // Processing reports unreadable files
+      });
+
+    return () => {
+      cancelled = true;
+      decoded?.close?.();
+    };
+  }, [file]);
+
+  const oriented = source ? getOrientedSize(source.width, source.height, framing.rotation) : null;
+  const scale = oriented ? Math.min(PREVIEW_SIZE / oriented.width, PREVIEW_SIZE / oriented.height) : 1;
+  const previewWidth = oriented ? Math.max(1, Math.round(oriented.width * scale)) : 0;
+  const previewHeight = oriented ? Math.max(1, Math.round(oriented.height * scale)) : 0;
+  // Crop aspect in fractions of the rotated image that gives the grid aspect in pixels
+  const lockRatio = lockAspect && gridAspect && oriented ? (gridAspect * oriented.height) / oriented.width : null;
+
+  // Draw the whole source in its current orientation; crop and zoom are shown as overlays
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !source) return;
+    canvas.width = previewWidth;
+    canvas.height = previewHeight;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, previewWidth, previewHeight);
+    drawFramed(ctx, source, source.width, source.height, previewWidth, previewHeight, {
+      ...FRAMING_DEFAULTS,
+      rotation: framing.rotation,
+      flipHorizontal: framing.flipHorizontal,
+      flipVertical: framing.flipVertical
+    });
+  }, [source, previewWidth, previewHeight, framing.rotation, framing.flipHorizontal, framing.flipVertical]);
+
+  // Keep a locked crop at the grid aspect when the grid shape or orientation changes
+  useEffect(() => {
+    if (!lockRatio) return;
+    const crop = framing.crop ?? FULL_CROP;
+    if (Math.abs(crop.width / crop.height - lockRatio) / lockRatio > 0.01) {
+      onFramingChange({ ...framing, crop: fitCropToAspect(framing.crop, gridAspect, oriented.width, oriented.height) });
+    }
+  }, [lockRatio, framing, gridAspect, oriented?.width, oriented?.height, onFramingChange]);
+
+  const crop = draftCrop ?? framing.crop ?? FULL_CROP;
+  // The zoomed view in fractions of the rotated image
+  const view = getViewRect(1, 1, { ...framing, rotation: 0, crop });
+
+  const startDrag = (event, mode) => {
+    if (disabled) return;
+    event.stopPropagation();
+    event.currentTarget.closest('.framing-stage').setPointerCapture(event.pointerId);
+    dragRef.current = { mode, startX: event.clientX, startY: event.clientY, startCrop: crop };
+  };
+
+  const moveDrag = (event) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const dx = (event.clientX - drag.startX) / previewWidth;
+    const dy = (event.clientY - drag.startY) / previewHeight;
+    setDraftCrop(dragCrop(drag.startCrop, drag.mode, dx, dy, lockRatio));
+  };
+
+  const endDrag = () => {
+    if (!dragRef.current) return;
+    dragRef.current = null;
+    if (draftCrop) {
+      const isFull = draftCrop.width >= 1 && draftCrop.height >= 1;
+      onFramingChange({ ...framing, crop: isFull ? null : draftCrop });
+    }
+    setDraftCrop(null);
+  };
+
+  const updateFraming = (name, value) => onFramingChange({ ...framing, [name]: value });
+
+  return (
+    <div className="framing-editor">
+      {source && (
+        <div
+          className="framing-stage"
+          style={{ width: previewWidth, height: previewHeight }}
+          onPointerMove={moveDrag}
+          onPointerUp={endDrag}
+          onPointerCancel={endDrag}
+        >
+          <canvas ref={canvasRef} className="framing-canvas" aria-label="Framing preview" />
+          <div
+            className="framing-crop"
+            style={{
+              left: `${crop.x * 100}%`,
+              top: `${crop.y * 100}%`,
+              width: `${crop.width * 100}%`,
+              height: `${crop.height * 100}%`
+            }}
+            onPointerDown={(e) => startDrag(e, 'move')}
+          >
+            {CORNERS.map((corner) => (
+              <span
+                key={corner}
+                className={`framing-handle framing-handle-${corner}`}
+                onPointerDown={(e) => startDrag(e, corner)}
+              />
+            ))}
+          </div>
+          {framing.zoom > 1 && (
+            <div
+              className="framing-view"
+              style={{
+                left: `${view.x * 100}%`,
+                top: `${view.y * 100}%`,
+                width: `${view.width * 100}%`,
+                height: `${view.height * 100}%`
+              }}
+            />
+          )}
+        </div>
+      )}
+
+      <div className="framing-buttons">
+        <button onClick={() => onFramingChange(rotateFraming(framing, -1))} className="auto-btn" disabled={disabled} title="Rotate left">
+          ⟲
+        </button>
+        <button onClick={() => onFramingChange(rotateFraming(framing, 1))} className="auto-btn" disabled={disabled} title="Rotate right">
+          ⟳
+        </button>
+        <button onClick={() => onFramingChange(flipFraming(framing, 'horizontal'))} className="auto-btn" disabled={disabled} title="Flip horizontally">
+          ⇋
+        </button>
+        <button onClick={() => onFramingChange(flipFraming(framing, 'vertical'))} className="auto-btn" disabled={disabled} title="Flip vertically">
+          ⇵
+        </button>
+        <button
+          onClick={() => onFramingChange(FRAMING_DEFAULTS)}
+          className="auto-btn"
+          disabled={disabled || isIdentityFraming(framing)}
+        >
+          Reset
+        </button>
+      </div>
+
+      <label className="framing-lock" title={gridAspect ? undefined : 'The grid follows the crop in Auto aspect mode'}>
+        <input
+          type="checkbox"
+          checked={lockAspect && Boolean(gridAspect)}
+          onChange={(e) => setLockAspect(e.target.checked)}
+          disabled={disabled || !gridAspect}
+        />
+        Lock crop to grid shape
+      </label>
+
+      <div className="adjustment-options">
+        <label className="adjustment-option">
+          <span className="adjustment-label">Zoom</span>
+          <input
+            type="range"
+            min="1"
+            max={FRAMING_LIMITS.MAX_ZOOM}
+            step="0.1"
+            value={framing.zoom}
+            onChange={(e) => updateFraming('zoom', parseFloat(e.target.value))}
+            disabled={disabled}
+          />
+          <span className="adjustment-value">{framing.zoom.toFixed(1)}×</span>
+        </label>
+        {['panX', 'panY'].map((name) => (
+          <label className="adjustment-option" key={name}>
+            <span className="adjustment-label">{name === 'panX' ? 'Pan X' : 'Pan Y'}</span>
+            <input
+              type="range"
+              min="-1"
+              max="1"
+              step="0.05"
+              value={framing[name]}
+              onChange={(e) => updateFraming(name, parseFloat(e.target.value))}
+              disabled={disabled || framing.zoom === 1}
+            />
+            <span className="adjustment-value">{framing[name].toFixed(2)}</span>
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default FramingEditor;
@@ -0,0 +1,69 @@
+import React from 'react';
+
+// Describe how many cells an edit changed
+const getCellCountLabel = (cellCount) => {
+  return `${cellCount} ${cellCount === 1 ? 'cell' : 'cells'}`;
+};
+
+const HistoryPanel = ({
+  entries,
+  position,
+  canUndo,
+  canRedo,
+  onUndo,
+  onRedo,
+  onJump,
+  disabled = false
+}) => {
+  return (
+    <div className="history-panel">
+      <div className="history-header">
+        <h3 className="history-title">History</h3>
+        <div className="control-buttons">
+          <button
+            onClick={onUndo}
+            className="control-btn"
+            disabled={disabled || !canUndo}
+            title="Undo (Ctrl+Z)"
+          >
+            ↶ Undo
+          </button>
+          <button
+            onClick={onRedo}
+            className="control-btn"
+            disabled={disabled || !canRedo}
+            title="Redo (Ctrl+Shift+Z)"
+          >
+            ↷ Redo
+          </button>
+        </div>
+      </div>
+
+      <ol className="history-list">
+        <li>
+          <button
+            onClick={() => onJump(0)}
+            className={`history-item ${position === 0 ? 'current' : ''}`}
+            disabled={disabled}
+          >
+            <span className="history-label">Start</span>
+          </button>
+        </li>
+        {entries.map((entry, index) => (
+          <li key={entry.id}>
+            <button
+              onClick={() => onJump(index + 1)}
+              className={`history-item ${position === index + 1 ? 'current' : ''} ${index >= position ? 'undone' : ''}`}
+              disabled={disabled}
+            >
+              <span className="history-label">{entry.label}</span>
+              <span className="history-meta">{getCellCountLabel(entry.cellCount)}</span>
+            </button>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+export default HistoryPanel;
@@ -1,6 +1,24 @@
 import React from 'react';
 
-const ProcessingProgress = ({ isProcessing, progress, error, onRetry }) => {
+const STAGE_LABELS = {
+  validate: 'Validating file...',
+  decode: 'Decoding image...',
+  grayscale: 'Converting to grayscale...',
+  threshold: 'Applying threshold...',
+  frames: 'Processing frames...',
+  complete: 'Done'
+};
+
+// Describe the current stage, including the frame number while processing GIF frames
+const getStageLabel = (stage) => {
+  if (!stage) return 'Converting image to checkbox art...';
+  if (stage.stage === 'frames' && stage.frameCount) {
+    return `Processing frame ${stage.frameIndex + 1} of ${stage.frameCount}...`;
+  }
+  return STAGE_LABELS[stage.stage] || 'Converting image to checkbox art...';
+};
+
+const ProcessingProgress = ({ isProcessing, progress, stage, error, onRetry }) => {
   if (!isProcessing && !error) return null;
 
   return (
@@ -22,7 +40,7 @@ const ProcessingProgress = ({ isProcessing, progress, error, onRetry }) => {
               <span className="progress-text">{progress}%</span>
             </div>
             <p className="processing-description">
-              Converting image to checkbox art...
+              {getStageLabel(stage)}
             </p>
           </>
         )}
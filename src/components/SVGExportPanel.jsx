@@ -0,0 +1,97 @@
+import React from 'react';
+
+const SVGExportPanel = ({
+  options,
+  onOptionsChange,
+  isGIF,
+  onExport,
+  onExportAllFrames,
+  onExportAnimated,
+  hasCellColors = false,
+  disabled = false
+}) => {
+  const updateOption = (name, value) => onOptionsChange({ ...options, [name]: value });
+
+  return (
+    <div className="svg-export-panel">
+      <h3 className="svg-export-title">SVG Export</h3>
+
+      <div className="svg-export-options">
+        {/* Multi-level and color grids fill cells with their shade or palette color */}
+        <label className="svg-export-option" title={hasCellColors ? 'Cells use their tone or palette color' : undefined}>
+          Foreground
+          <input
+            type="color"
+            value={options.foreground}
+            onChange={(e) => updateOption('foreground', e.target.value)}
+            disabled={disabled || hasCellColors}
+          />
+        </label>
+
+        <label className="svg-export-option">
+          Background
+          <input
+            type="color"
+            value={options.background}
+            onChange={(e) => updateOption('background', e.target.value)}
+            disabled={disabled || options.transparentBackground}
+          />
+        </label>
+
+        <label className="svg-export-option">
+          <input
+            type="checkbox"
+            checked={options.transparentBackground}
+            onChange={(e) => updateOption('transparentBackground', e.target.checked)}
+            disabled={disabled}
+          />
+          Transparent background
+        </label>
+
+        <label className="svg-export-option">
+          Gap
+          <input
+            type="range"
+            min="0"
+            max="40"
+            value={Math.round(options.gap * 100)}
+            onChange={(e) => updateOption('gap', parseInt(e.target.value) / 100)}
+            disabled={disabled}
+          />
+          <span className="svg-export-value">{Math.round(options.gap * 100)}%</span>
+        </label>
+
+        <label className="svg-export-option">
+          Rounding
+          <input
+            type="range"
+            min="0"
+            max="50"
+            value={Math.round(options.cornerRadius * 100)}
+            onChange={(e) => updateOption('cornerRadius', parseInt(e.target.value) / 100)}
+            disabled={disabled}
+          />
+          <span className="svg-export-value">{Math.round(options.cornerRadius * 200)}%</span>
+        </label>
+      </div>
+
+      <div className="export-controls">
+        <button onClick={onExport} className="export-btn" disabled={disabled}>
+          📐 {isGIF ? 'Export Current Frame as SVG' : 'Export SVG'}
+        </button>
+        {isGIF && (
+          <>
+            <button onClick={onExportAllFrames} className="export-btn" disabled={disabled}>
+              🗂️ Export All Frames as SVG (ZIP)
+            </button>
+            <button onClick={onExportAnimated} className="export-btn" disabled={disabled}>
+              🎞️ Export Animated SVG
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SVGExportPanel;
@@ -0,0 +1,24 @@
+import React from 'react';
+
+const SessionRestorePrompt = ({ savedAt, onRestore, onDiscard }) => {
+  return (
+    <div className="session-prompt" role="alertdialog" aria-labelledby="session-prompt-title">
+      <div className="session-prompt-text">
+        <strong id="session-prompt-title">Restore previous session?</strong>
+        <span className="session-prompt-meta">
+          Autosaved {new Date(savedAt).toLocaleString()}. Autosave is paused until you choose.
+        </span>
+      </div>
+      <div className="control-buttons">
+        <button onClick={onRestore} className="control-btn primary">
+          Restore
+        </button>
+        <button onClick={onDiscard} className="control-btn">
+          Discard
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SessionRestorePrompt;
@@ -0,0 +1,70 @@
+import React from 'react';
+import { SPRITE_SHEET_FORMATS } from '../utils/spriteSheet';
+
+const SpriteSheetPanel = ({
+  options,
+  onOptionsChange,
+  frameCount,
+  onExport,
+  disabled = false
+}) => {
+  const updateOption = (name, value) => onOptionsChange({ ...options, [name]: value });
+
+  return (
+    <div className="svg-export-panel">
+      <h3 className="svg-export-title">Sprite Sheet</h3>
+
+      <div className="svg-export-options">
+        <label className="svg-export-option">
+          Columns
+          <select
+            value={options.columns}
+            onChange={(e) => updateOption('columns', parseInt(e.target.value))}
+            className="dither-select"
+            disabled={disabled}
+          >
+            <option value={0}>Auto</option>
+            {Array.from({ length: frameCount }, (_, i) => (
+              <option key={i + 1} value={i + 1}>{i + 1}</option>
+            ))}
+          </select>
+        </label>
+
+        <label className="svg-export-option">
+          Padding
+          <input
+            type="range"
+            min="0"
+            max="16"
+            value={options.padding}
+            onChange={(e) => updateOption('padding', parseInt(e.target.value))}
+            disabled={disabled}
+          />
+          <span className="svg-export-value">{options.padding}px</span>
+        </label>
+
+        <label className="svg-export-option">
+          Metadata
+          <select
+            value={options.format}
+            onChange={(e) => updateOption('format', e.target.value)}
+            className="dither-select"
+            disabled={disabled}
+          >
+            {SPRITE_SHEET_FORMATS.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="export-controls">
+        <button onClick={onExport} className="export-btn" disabled={disabled}>
+          🧩 Export Sprite Sheet (PNG + JSON)
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SpriteSheetPanel;
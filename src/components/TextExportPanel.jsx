@@ -0,0 +1,119 @@
+import React, { useMemo, useState } from 'react';
+import { TEXT_RENDERERS, DEFAULT_GLYPHS, getTextRenderer, renderText, renderFramesText } from '../utils/textRenderers';
+
+// Long exports (e.g. every frame of a large GIF) are only partly shown in the preview
+const PREVIEW_MAX_CHARS = 20000;
+
+const TextExportPanel = ({
+  checkboxStates,
+  frames = null,
+  gridWidth,
+  gridHeight,
+  levels = 2,
+  onDownload,
+  disabled = false
+}) => {
+  const [renderer, setRenderer] = useState('braille');
+  const [glyphs, setGlyphs] = useState(DEFAULT_GLYPHS);
+  const [scope, setScope] = useState('frame');
+  const [copyStatus, setCopyStatus] = useState(null);
+
+  const allFrames = frames !== null && scope === 'all';
+  const text = useMemo(() => (
+    allFrames
+      ? renderFramesText(frames, gridWidth, gridHeight, renderer, { glyphs, levels })
+      : renderText(checkboxStates, gridWidth, gridHeight, renderer, { glyphs, levels })
+  ), [allFrames, frames, checkboxStates, gridWidth, gridHeight, renderer, glyphs, levels]);
+
+  const preview = text.length > PREVIEW_MAX_CHARS
+    ? `${text.slice(0, PREVIEW_MAX_CHARS)}\n…`
+    : text;
+
+  const copyText = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopyStatus('Copied!');
+    } catch {
+      setCopyStatus('Copy failed: clipboard access was denied');
+    }
+  };
+
+  return (
+    <div className="text-export-panel">
+      <h3 className="text-export-title">Text Export</h3>
+
+      <div className="text-export-options">
+        <select
+          value={renderer}
+          onChange={(e) => {
+            setRenderer(e.target.value);
+            setCopyStatus(null);
+          }}
+          className="dither-select"
+          disabled={disabled}
+        >
+          {TEXT_RENDERERS.map(({ value, label }) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+
+        {renderer === 'custom' && (
+          <>
+            <label className="svg-export-option">
+              Checked
+              <input
+                type="text"
+                value={glyphs.checked}
+                onChange={(e) => setGlyphs({ ...glyphs, checked: e.target.value })}
+                className="glyph-input"
+                maxLength={4}
+                disabled={disabled}
+              />
+            </label>
+            <label className="svg-export-option">
+              Unchecked
+              <input
+                type="text"
+                value={glyphs.unchecked}
+                onChange={(e) => setGlyphs({ ...glyphs, unchecked: e.target.value })}
+                className="glyph-input"
+                maxLength={4}
+                disabled={disabled}
+              />
+            </label>
+          </>
+        )}
+
+        {frames !== null && (
+          <select
+            value={scope}
+            onChange={(e) => setScope(e.target.value)}
+            className="dither-select"
+            disabled={disabled}
+          >
+            <option value="frame">Current frame</option>
+            <option value="all">All frames</option>
+          </select>
+        )}
+      </div>
+
+      <pre className="text-preview" aria-label="Text preview">{preview}</pre>
+
+      <div className="export-controls">
+        <button onClick={copyText} className="export-btn" disabled={disabled}>
+          📋 Copy to Clipboard
+        </button>
+        <button
+          onClick={() => onDownload(text, getTextRenderer(renderer).extension, allFrames)}
+          className="export-btn"
+          disabled={disabled}
+        >
+          💾 Download
+        </button>
+        {copyStatus && <span className="copy-status">{copyStatus}</span>}
+      </div>
+    </div>
+  );
+};
+
+export default TextExportPanel;
@@ -0,0 +1,118 @@
+import React, { useRef, useState } from 'react';
+import { DEFAULT_GLYPHS } from '../utils/textRenderers';
+import { parseTextPattern } from '../utils/textImporter';
+import { getErrorMessage } from '../utils/imageProcessor';
+
+const TextImportPanel = ({ onImport, onClose, disabled = false }) => {
+  const [text, setText] = useState('');
+  const [useCustomGlyphs, setUseCustomGlyphs] = useState(false);
+  const [glyphs, setGlyphs] = useState(DEFAULT_GLYPHS);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const importText = (value) => {
+    setError(null);
+    try {
+      const pattern = parseTextPattern(value, { glyphs: useCustomGlyphs ? glyphs : null });
+      onImport(pattern);
+    } catch (err) {
+      setError(getErrorMessage(err));
+    }
+  };
+
+  const openTextFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const content = await file.text();
+      setText(content);
+      importText(content);
+    } catch (err) {
+      setError(`Could not read ${file.name}: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="text-import-panel">
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        className="text-import-input"
+        placeholder="Paste ☒/☐, braille, block-character or markdown task list text. Separate frames with “Frame N (100ms)” lines."
+        spellCheck={false}
+        disabled={disabled}
+      />
+
+      <div className="text-export-options">
+        <label className="svg-export-option">
+          <input
+            type="checkbox"
+            checked={useCustomGlyphs}
+            onChange={(e) => setUseCustomGlyphs(e.target.checked)}
+            disabled={disabled}
+          />
+          Custom glyphs
+        </label>
+        {useCustomGlyphs && (
+          <>
+            <label className="svg-export-option">
+              Checked
+              <input
+                type="text"
+                value={glyphs.checked}
+                onChange={(e) => setGlyphs({ ...glyphs, checked: e.target.value })}
+                className="glyph-input"
+                maxLength={4}
+                disabled={disabled}
+              />
+            </label>
+            <label className="svg-export-option">
+              Unchecked
+              <input
+                type="text"
+                value={glyphs.unchecked}
+                onChange={(e) => setGlyphs({ ...glyphs, unchecked: e.target.value })}
+                className="glyph-input"
+                maxLength={4}
+                disabled={disabled}
+              />
+            </label>
+          </>
+        )}
+      </div>
+
+      <div className="project-section">
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".txt,.md,text/plain,text/markdown"
+          onChange={openTextFile}
+          className="file-input"
+        />
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          className="control-btn"
+          disabled={disabled}
+        >
+          Open Text File
+        </button>
+        <button
+          onClick={() => importText(text)}
+          className="control-btn"
+          disabled={disabled || text.trim() === ''}
+        >
+          Import
+        </button>
+        <button onClick={onClose} className="control-btn" disabled={disabled}>
+          Cancel
+        </button>
+      </div>
+
+      {error && <p className="project-error text-import-error">{error}</p>}
+    </div>
+  );
+};
+
+export default TextImportPanel;
@@ -0,0 +1,42 @@
+import React from 'react';
+import { DRAWING_TOOLS } from '../utils/drawingTools';
+
+const ToolPalette = ({ activeTool, onToolChange, palette = null, brushColor = 1, onBrushColorChange, disabled = false }) => {
+  return (
+    <div className="tool-palette" role="toolbar" aria-label="Drawing tools">
+      {DRAWING_TOOLS.map(({ value, label, icon }) => (
+        <button
+          key={value}
+          onClick={() => onToolChange(value)}
+          className={`tool-btn ${activeTool === value ? 'active' : ''}`}
+          aria-pressed={activeTool === value}
+          title={label}
+          disabled={disabled}
+        >
+          <span className="tool-icon">{icon}</span> {label}
+        </button>
+      ))}
+      {palette && (
+        <div className="brush-swatches" role="radiogroup" aria-label="Brush color">
+          {palette.map((color, index) => (
+            <button
+              key={`${index}-${color}`}
+              onClick={() => onBrushColorChange(index)}
+              className={`brush-swatch ${brushColor === index ? 'active' : ''}`}
+              style={{ backgroundColor: color }}
+              role="radio"
+              aria-checked={brushColor === index}
+              title={index === 0 ? `${color} (background)` : color}
+              disabled={disabled}
+            />
+          ))}
+        </div>
+      )}
+      <span className="tool-hint">
+        {palette ? 'Right-drag or Alt-drag paints the background color' : 'Right-drag or Alt-drag erases'}
+      </span>
+    </div>
+  );
+};
+
+export default ToolPalette;
@@ -0,0 +1,69 @@
+import React from 'react';
+import { getFileCacheKey } from '../utils/processingCache';
+
+const UploadQueue = ({
+  files,
+  activeFile,
+  rejections,
+  onSelect,
+  onRemove,
+  onDismissRejections,
+  disabled = false
+}) => {
+  if (files.length < 2 && rejections.length === 0) return null;
+
+  // Re-dropped files arrive as new objects, so the active file is matched by its key
+  const activeKey = activeFile ? getFileCacheKey(activeFile) : null;
+
+  return (
+    <div className="upload-queue">
+      {files.length > 1 && (
+        <ul className="upload-queue-list" aria-label="Uploaded files">
+          {files.map((file, index) => {
+            const isActive = getFileCacheKey(file) === activeKey;
+            return (
+              <li
+                key={getFileCacheKey(file)}
+                className={`upload-queue-item ${isActive ? 'active' : ''}`}
+              >
+                <button
+                  onClick={() => onSelect(file)}
+                  className="upload-queue-select"
+                  disabled={disabled || isActive}
+                  title={file.name}
+                >
+                  {file.type === 'image/gif' ? '🎬' : '🖼️'} {file.name}
+                </button>
+                <button
+                  onClick={() => onRemove(index)}
+                  className="upload-queue-remove"
+                  aria-label={`Remove ${file.name}`}
+                  disabled={disabled || isActive}
+                >
+                  ×
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {rejections.length > 0 && (
+        <div className="upload-rejections" role="alert">
+          <ul>
+            {rejections.map(({ name, message }, index) => (
+              <li key={`${name}-${index}`}>
+                <strong>{name}</strong>: {message}
+              </li>
+            ))}
+          </ul>
+          <button onClick={onDismissRejections} className="upload-queue-remove" aria-label="Dismiss">
+            ×
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UploadQueue;
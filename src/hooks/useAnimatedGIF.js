@@ -1,6 +1,13 @@
 import { useState, useRef, useCallback, useEffect } from 'react';
-import { extractGIFrames } from '../utils/gifFrameExtractor';
-import { convertImageDataToGrayscale, applyThreshold } from '../utils/imageProcessor';
+import { exportAnimatedGIF } from '../utils/gifProcessor';
+import { GIFFrame } from '../utils/gifFrameExtractor';
+import { exportAsImage, getErrorMessage, createAbortError, isAbortError } from '../utils/imageProcessor';
+import { exportAnimatedSVG } from '../utils/svgExporter';
+import { createFramesArchive } from '../utils/frameArchive';
+import { exportSpriteSheet } from '../utils/spriteSheet';
+import { exportAnimatedHTML } from '../utils/htmlExporter';
+import { processGIFOffThread } from '../utils/processingClient';
+import { getFileCacheKey } from '../utils/processingCache';
 
 /**
  * Custom hook for managing animated GIF processing and playback
@@ -12,12 +19,18 @@ export const useAnimatedGIF = () => {
   const [frames, setFrames] = useState([]);
   const [error, setError] = useState(null);
   const [processingProgress, setProcessingProgress] = useState(0);
+  const [processingStage, setProcessingStage] = useState(null);
   const [frameCount, setFrameCount] = useState(0);
   const [playbackSpeed, setPlaybackSpeed] = useState(1); // 1x speed
+  const [loopCount, setLoopCount] = useState(0); // 0 = loop forever
+  const [gridDimensions, setGridDimensions] = useState({ width: 0, height: 0 });
   
   const animationRef = useRef(null);
   const lastFrameTimeRef = useRef(0);
   const currentFrameRef = useRef(0);
+  const framesRef = useRef([]); // Latest frames for the playback loop, so edits show while playing
+  const requestRef = useRef(null); // Abort controller of the newest processGIF call
+  const loopSourceRef = useRef(null); // Cache key of the file the loop count was taken from
 
   // Handle animation state changes
   useEffect(() => {
@@ -32,70 +45,100 @@ export const useAnimatedGIF = () => {
     currentFrameRef.current = currentFrame;
   }, [currentFrame]);
 
+  // Update ref when frames change
+  useEffect(() => {
+    framesRef.current = frames;
+  }, [frames]);
+
   /**
    * Process GIF file and extract frames
+   * Latest request wins: a newer call cancels this one, which then rejects with an abort error.
+   * @returns {Promise<{frames: GIFFrame[], palette: string[]|null}>} - Processed frames, and the shared palette in color mode
    */
-  const processGIF = useCallback(async (file, gridSize, threshold) => {
-    setIsProcessing(true);
+  const processGIF = useCallback(async (file, gridWidth, gridHeight, threshold, options = {}) => {
+    const controller = new AbortController();
+    requestRef.current?.abort();
+    requestRef.current = controller;
+    options.signal?.addEventListener('abort', () => controller.abort(), { once: true });
+
+    const isCurrent = () => requestRef.current === controller;
+
     setError(null);
     setProcessingProgress(0);
-    setFrames([]);
-    setCurrentFrame(0);
+    setProcessingStage(null);
     setIsPlaying(false);
 
     try {
-      // Extract frames from GIF
-      setProcessingProgress(20);
-      const { frames: extractedFrames, width, height } = await extractGIFrames(file);
-      
-      setProcessingProgress(40);
-      
-      // Process each frame to checkbox states
-      const processedFrames = [];
-      const totalFrames = extractedFrames.length;
-      
-      for (let i = 0; i < totalFrames; i++) {
-        const frame = extractedFrames[i];
-        
-        // Convert to grayscale
-        const grayscaleData = convertImageDataToGrayscale(frame.imageData);
-        
-        // Apply threshold and convert to grid
-        const checkboxStates = applyThreshold(grayscaleData, threshold, gridSize);
-        
-        // Create processed frame
-        const processedFrame = {
-          ...frame,
-          checkboxStates,
-          delay: frame.delay || 100
-        };
-        
-        processedFrames.push(processedFrame);
-        
-        // Update progress
-        const progress = 40 + (i / totalFrames) * 50;
-        setProcessingProgress(Math.round(progress));
+      // Decode and convert every frame, reporting progress per stage and per frame
+      const { frames: processedFrames, loopCount: sourceLoopCount, palette } = await processGIFOffThread(
+        file,
+        gridWidth,
+        gridHeight,
+        threshold,
+        {
+          ...options,
+          signal: controller.signal,
+          onProgress: (update) => {
+            // Cache hits only rebinarize, so they skip the progress overlay
+            if (!isCurrent() || update.cached) return;
+            setIsProcessing(true);
+            setProcessingStage(update);
+            setProcessingProgress(update.progress);
+          }
+        }
+      );
+
+      if (!isCurrent() || controller.signal.aborted) {
+        throw createAbortError();
       }
-      
-      setProcessingProgress(100);
+
+      // Only a new file brings its own loop count; reprocessing keeps the user's choice
+      const sourceKey = getFileCacheKey(file);
+      if (loopSourceRef.current !== sourceKey) {
+        loopSourceRef.current = sourceKey;
+        setLoopCount(sourceLoopCount ?? 0);
+      }
+
+      // Previous frames stay visible until the newest result replaces them
       setFrames(processedFrames);
+      setCurrentFrame(prev => (prev < processedFrames.length ? prev : 0));
       setFrameCount(processedFrames.length);
+      setGridDimensions({ width: gridWidth, height: gridHeight });
       
       // Small delay to show completion
       setTimeout(() => {
+        if (!isCurrent()) return;
         setProcessingProgress(0);
+        setProcessingStage(null);
         setIsProcessing(false);
       }, 200);
 
-      return processedFrames;
+      return { frames: processedFrames, palette };
     } catch (err) {
+      // A newer request owns the processing state now
+      if (!isCurrent()) throw isAbortError(err) ? err : createAbortError();
+
       setProcessingProgress(0);
+      setProcessingStage(null);
       setIsProcessing(false);
-      setError(err.message);
+      if (!isAbortError(err)) {
+        setError(getErrorMessage(err));
+      }
       throw err;
     }
   }, []);
 
+  /**
+   * Cancel the in-flight processGIF call, if any
+   */
+  const cancelProcessing = useCallback(() => {
+    requestRef.current?.abort();
+    requestRef.current = null;
+    setIsProcessing(false);
+    setProcessingProgress(0);
+    setProcessingStage(null);
+  }, []);
+
   /**
    * Start animation playback
    */
@@ -109,12 +152,13 @@ export const useAnimatedGIF = () => {
     lastFrameTimeRef.current = performance.now();
     
     const animate = (currentTime) => {
-      const currentFrameIndex = currentFrameRef.current;
-      const frame = frames[currentFrameIndex];
+      const latestFrames = framesRef.current;
+      const currentFrameIndex = currentFrameRef.current % latestFrames.length;
+      const frame = latestFrames[currentFrameIndex];
       const frameDelay = frame.delay / playbackSpeed;
       
       if (currentTime - lastFrameTimeRef.current >= frameDelay) {
-        const nextFrame = (currentFrameIndex + 1) % frames.length;
+        const nextFrame = (currentFrameIndex + 1) % latestFrames.length;
         setCurrentFrame(nextFrame);
         currentFrameRef.current = nextFrame;
         lastFrameTimeRef.current = currentTime;
@@ -176,6 +220,49 @@ export const useAnimatedGIF = () => {
     setPlaybackSpeed(speed);
   }, []);
 
+  /**
+   * Replace one frame's checkbox states without mutating existing frames
+   * @param {number} frameIndex - Frame to update
+   * @param {boolean[]|Function} statesOrUpdater - New states, or a function mapping the current states to new ones
+   */
+  const updateFrame = useCallback((frameIndex, statesOrUpdater) => {
+    setFrames(prev => {
+      const frame = prev[frameIndex];
+      if (!frame) return prev;
+
+      const nextStates = typeof statesOrUpdater === 'function'
+        ? statesOrUpdater(frame.checkboxStates, frameIndex)
+        : statesOrUpdater;
+      if (nextStates === frame.checkboxStates) return prev;
+
+      const nextFrames = [...prev];
+      nextFrames[frameIndex] = new GIFFrame(frame.imageData, frame.delay, frame.disposalMethod, nextStates);
+      return nextFrames;
+    });
+  }, []);
+
+  /**
+   * Replace every frame's checkbox states without mutating existing frames
+   * @param {Function} updater - Maps (checkboxStates, frameIndex) to new states
+   */
+  const updateAllFrames = useCallback((updater) => {
+    setFrames(prev => prev.map((frame, frameIndex) => new GIFFrame(
+      frame.imageData,
+      frame.delay,
+      frame.disposalMethod,
+      updater(frame.checkboxStates, frameIndex)
+    )));
+  }, []);
+
+  /**
+   * Set one frame's checkbox states to a copy of the given array
+   * @param {number} frameIndex - Frame to update
+   * @param {boolean[]} checkboxStates - New states
+   */
+  const setFrameStates = useCallback((frameIndex, checkboxStates) => {
+    updateFrame(frameIndex, [...checkboxStates]);
+  }, [updateFrame]);
+
   /**
    * Get current frame's checkbox states
    */
@@ -188,35 +275,124 @@ export const useAnimatedGIF = () => {
 
   /**
    * Export current frame as image
+   * @param {string} exportSize - Export size
+   * @param {Object} [imageOptions] - Image options, e.g. {levels} (see exportAsImage)
    */
-  const exportCurrentFrame = useCallback(async (exportSize = 'Medium') => {
+  const exportCurrentFrame = useCallback(async (exportSize = 'Medium', imageOptions = {}) => {
     if (frames.length === 0) return;
     
     const currentStates = getCurrentFrameStates();
     if (currentStates.length === 0) return;
     
-    // Use the image processor's export function
-    const { exportAsImage } = await import('../utils/imageProcessor');
-    return await exportAsImage(currentStates, Math.sqrt(currentStates.length), exportSize);
-  }, [frames, getCurrentFrameStates]);
+    return await exportAsImage(currentStates, gridDimensions.width, gridDimensions.height, exportSize, imageOptions);
+  }, [frames, gridDimensions, getCurrentFrameStates]);
 
   /**
-   * Export all frames as sequence
+   * Export all frames as one ZIP of PNGs with a manifest
+   * @param {string} exportSize - PNG export size
+   * @param {Object} [archiveOptions] - Archive options, e.g. {textRenderer, levels} (see createFramesArchive)
+   * @returns {Promise<Blob|undefined>}
    */
-  const exportAllFrames = useCallback(async (exportSize = 'Medium') => {
+  const exportAllFrames = useCallback(async (exportSize = 'Medium', archiveOptions = {}) => {
     if (frames.length === 0) return;
-    
-    const gridSize = Math.sqrt(frames[0].checkboxStates.length);
-    const { exportAsImage } = await import('../utils/imageProcessor');
-    
-    const blobs = [];
-    for (let i = 0; i < frames.length; i++) {
-      const blob = await exportAsImage(frames[i].checkboxStates, gridSize, exportSize);
-      blobs.push(blob);
+
+    try {
+      return await createFramesArchive(frames, gridDimensions.width, gridDimensions.height, {
+        ...archiveOptions,
+        imageFormat: 'png',
+        exportSize,
+        loopCount
+      });
+    } catch (err) {
+      setError(getErrorMessage(err));
+      throw err;
     }
-    
-    return blobs;
-  }, [frames]);
+  }, [frames, gridDimensions, loopCount]);
+
+  /**
+   * Export all frames as a sprite sheet ZIP (atlas PNG and JSON descriptor)
+   * @param {string} exportSize - Cell size
+   * @param {Object} [sheetOptions] - Layout and descriptor options (see exportSpriteSheet)
+   * @returns {Promise<Blob|undefined>}
+   */
+  const exportSprites = useCallback(async (exportSize = 'Medium', sheetOptions = {}) => {
+    if (frames.length === 0) return;
+
+    try {
+      return await exportSpriteSheet(frames, gridDimensions.width, gridDimensions.height, { ...sheetOptions, exportSize });
+    } catch (err) {
+      setError(getErrorMessage(err));
+      throw err;
+    }
+  }, [frames, gridDimensions]);
+
+  /**
+   * Export all frames as an animated GIF
+   * @param {string} exportSize - Export size
+   * @param {Object} [encoderOptions] - Encoder options, e.g. {levels} (see exportAnimatedGIF)
+   */
+  const exportAnimation = useCallback(async (exportSize = 'Medium', encoderOptions = {}) => {
+    if (frames.length === 0) return;
+
+    try {
+      return await exportAnimatedGIF(frames, gridDimensions.width, gridDimensions.height, exportSize, { ...encoderOptions, loopCount });
+    } catch (err) {
+      setError(getErrorMessage(err));
+      throw err;
+    }
+  }, [frames, gridDimensions, loopCount]);
+
+  /**
+   * Export all frames as one ZIP of SVG files with a manifest
+   * @param {Object} svgOptions - SVG export options (see SVG_EXPORT_DEFAULTS)
+   * @param {Object} [archiveOptions] - Archive options (see createFramesArchive)
+   * @returns {Promise<Blob|undefined>}
+   */
+  const exportAllFramesSVG = useCallback(async (svgOptions = {}, archiveOptions = {}) => {
+    if (frames.length === 0) return;
+
+    try {
+      return await createFramesArchive(frames, gridDimensions.width, gridDimensions.height, {
+        ...archiveOptions,
+        imageFormat: 'svg',
+        svgOptions,
+        loopCount
+      });
+    } catch (err) {
+      setError(getErrorMessage(err));
+      throw err;
+    }
+  }, [frames, gridDimensions, loopCount]);
+
+  /**
+   * Export all frames as one animated SVG
+   * @param {Object} svgOptions - SVG export options (see createSVG), including levels and palette
+   */
+  const exportAnimationSVG = useCallback((svgOptions = {}) => {
+    if (frames.length === 0) return;
+
+    try {
+      return exportAnimatedSVG(frames, gridDimensions.width, gridDimensions.height, { ...svgOptions, loopCount });
+    } catch (err) {
+      setError(getErrorMessage(err));
+      throw err;
+    }
+  }, [frames, gridDimensions, loopCount]);
+
+  /**
+   * Export all frames as an HTML page that plays them with real checkboxes
+   * @param {Object} [htmlOptions] - Page options (see createAnimatedCheckboxHTML), e.g. levels and palette
+   */
+  const exportAnimationHTML = useCallback((htmlOptions = {}) => {
+    if (frames.length === 0) return;
+
+    try {
+      return exportAnimatedHTML(frames, gridDimensions.width, gridDimensions.height, { ...htmlOptions, loopCount });
+    } catch (err) {
+      setError(getErrorMessage(err));
+      throw err;
+    }
+  }, [frames, gridDimensions, loopCount]);
 
   /**
    * Clear all frames
@@ -229,6 +405,27 @@ export const useAnimatedGIF = () => {
     setError(null);
   }, [stopAnimation]);
 
+  /**
+   * Replace all frames with saved ones, e.g. from a project file
+   * @param {{delay: number, checkboxStates: boolean[]}[]} savedFrames - Frames to restore
+   * @param {Object} options - Animation settings
+   * @param {number} options.loopCount - Loop count
+   * @param {number} options.gridWidth - Grid width the states were made for
+   * @param {number} options.gridHeight - Grid height the states were made for
+   * @param {File} [options.sourceFile] - Source GIF of the frames; reprocessing it keeps the saved loop count
+   */
+  const restoreFrames = useCallback((savedFrames, { loopCount: savedLoopCount = 0, gridWidth, gridHeight, sourceFile = null }) => {
+    requestRef.current?.abort();
+    stopAnimation();
+    setFrames(savedFrames.map(({ delay, checkboxStates }) => new GIFFrame(null, delay, 0, checkboxStates)));
+    setCurrentFrame(0);
+    setFrameCount(savedFrames.length);
+    setLoopCount(savedLoopCount);
+    loopSourceRef.current = sourceFile ? getFileCacheKey(sourceFile) : null;
+    setGridDimensions({ width: gridWidth, height: gridHeight });
+    setError(null);
+  }, [stopAnimation]);
+
   /**
    * Cleanup on unmount
    */
@@ -237,6 +434,7 @@ export const useAnimatedGIF = () => {
       if (animationRef.current) {
         cancelAnimationFrame(animationRef.current);
       }
+      requestRef.current?.abort();
     };
   }, []);
 
@@ -248,11 +446,15 @@ export const useAnimatedGIF = () => {
     frames,
     error,
     processingProgress,
+    processingStage,
     frameCount,
     playbackSpeed,
+    loopCount,
+    gridDimensions,
     
     // Actions
     processGIF,
+    cancelProcessing,
     startAnimation,
     stopAnimation,
     pauseAnimation,
@@ -260,8 +462,18 @@ export const useAnimatedGIF = () => {
     goToFrame,
     setSpeed,
     getCurrentFrameStates,
+    updateFrame,
+    updateAllFrames,
+    setFrameStates,
     exportCurrentFrame,
     exportAllFrames,
-    clearFrames
+    exportSprites,
+    exportAnimation,
+    exportAllFramesSVG,
+    exportAnimationSVG,
+    exportAnimationHTML,
+    setLoopCount,
+    clearFrames,
+    restoreFrames
   };
 }; 
\ No newline at end of file
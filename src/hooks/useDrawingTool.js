@@ -0,0 +1,111 @@
+import { useState, useCallback, useRef } from 'react';
+import { getDrawingTool } from '../utils/drawingTools';
+
+/**
+ * Finds the grid cell under the pointer
+ * The grid captures the pointer while drawing, so the event target cannot be used.
+ * @param {PointerEvent} event - Pointer event
+ * @returns {number|null} - Cell index, or null between or outside cells
+ */
+const getCellIndexAtPointer = (event) => {
+  const cell = document.elementFromPoint(event.clientX, event.clientY)?.closest('[data-index]');
+  return cell ? Number(cell.dataset.index) : null;
+};
+
+const DEFAULT_PAINT_VALUES = { checked: true, unchecked: false };
+
+/**
+ * Custom hook routing grid pointer events to the active drawing tool
+ * While a stroke is drawn the tool renders a preview; releasing the pointer commits it as one edit.
+ * @param {Object} options - Tool controller options
+ * @param {string} options.tool - Active tool value (see DRAWING_TOOLS)
+ * @param {number} options.gridWidth - Grid width
+ * @param {number} options.gridHeight - Grid height
+ * @param {Function} options.beginStroke - Returns {states, ...context} for the grid being edited, or null to ignore the stroke
+ * @param {Function} options.commitStroke - Called with (label, states, context) when a stroke finishes
+ * @param {boolean} options.enabled - Whether drawing is currently allowed
+ * @param {{checked: boolean|number, unchecked: boolean|number}} options.paintValues - Values written when painting and clearing,
+ *   e.g. the darkest level of a multi-level grid or the brush color of a color grid
+ */
+export const useDrawingTool = ({ tool, gridWidth, gridHeight, beginStroke, commitStroke, enabled = true, paintValues = DEFAULT_PAINT_VALUES }) => {
+  const [previewStates, setPreviewStates] = useState(null);
+  const strokeRef = useRef(null);
+
+  const toCell = useCallback((index) => ({
+    x: index % gridWidth,
+    y: Math.floor(index / gridWidth)
+  }), [gridWidth]);
+
+  const onPointerDown = useCallback((event) => {
+    // Primary button draws, secondary button (or Alt) erases
+    if (!enabled || strokeRef.current || (event.button !== 0 && event.button !== 2)) return;
+
+    const drawingTool = getDrawingTool(tool);
+    const index = getCellIndexAtPointer(event);
+    const context = drawingTool && index !== null ? beginStroke() : null;
+    if (!context) return;
+
+    event.preventDefault();
+    event.currentTarget.setPointerCapture(event.pointerId);
+
+    const cell = toCell(index);
+    const erase = event.button === 2 || event.altKey;
+    const stroke = {
+      start: cell,
+      end: cell,
+      points: [cell],
+      value: drawingTool.getValue(context.states, index, erase, paintValues.checked) ? paintValues.checked : paintValues.unchecked
+    };
+
+    strokeRef.current = { tool: drawingTool, stroke, context };
+    setPreviewStates(drawingTool.draw(context.states, stroke, gridWidth, gridHeight));
+  }, [enabled, tool, beginStroke, toCell, gridWidth, gridHeight, paintValues]);
+
+  const onPointerMove = useCallback((event) => {
+    const current = strokeRef.current;
+    if (!current) return;
+
+    const index = getCellIndexAtPointer(event);
+    if (index === null) return;
+
+    const cell = toCell(index);
+    const { stroke } = current;
+    if (cell.x === stroke.end.x && cell.y === stroke.end.y) return;
+
+    const nextStroke = { ...stroke, end: cell, points: [...stroke.points, cell] };
+    current.stroke = nextStroke;
+    setPreviewStates(current.tool.draw(current.context.states, nextStroke, gridWidth, gridHeight));
+  }, [toCell, gridWidth, gridHeight]);
+
+  const onPointerUp = useCallback(() => {
+    const current = strokeRef.current;
+    if (!current) return;
+
+    strokeRef.current = null;
+    setPreviewStates(null);
+    const states = current.tool.draw(current.context.states, current.stroke, gridWidth, gridHeight);
+    commitStroke(current.tool.label, states, current.context);
+  }, [commitStroke, gridWidth, gridHeight]);
+
+  const onPointerCancel = useCallback(() => {
+    strokeRef.current = null;
+    setPreviewStates(null);
+  }, []);
+
+  // Keep the context menu from opening so right-drag can erase
+  const onContextMenu = useCallback((event) => {
+    event.preventDefault();
+  }, []);
+
+  return {
+    previewStates,
+    isDrawing: previewStates !== null,
+    gridHandlers: {
+      onPointerDown,
+      onPointerMove,
+      onPointerUp,
+      onPointerCancel,
+      onContextMenu
+    }
+  };
+};
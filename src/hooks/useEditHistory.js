@@ -0,0 +1,87 @@
+import { useCallback } from 'react';
+import { useHotkeys } from 'react-hotkeys-hook';
+import { useHistoryStore } from '../stores/historyStore';
+import { diffCheckboxStates, countDiffCells } from '../utils/stateDiff';
+
+/**
+ * Text fields keep their native undo, checkboxes and buttons use the grid history
+ * @param {KeyboardEvent} event - Key event
+ * @returns {boolean}
+ */
+const isTextEntryEvent = (event) => {
+  const target = event.target;
+  if (target?.isContentEditable || target?.tagName === 'TEXTAREA') return true;
+  return target?.tagName === 'INPUT' && !['checkbox', 'radio', 'range', 'button'].includes(target.type);
+};
+
+/**
+ * Custom hook for recording grid edits and moving through their history
+ * @param {Function} applyChanges - Applies [{frameIndex, diff}] changes to the grid
+ * @param {Object} options - Hook options
+ * @param {boolean} options.enabled - Whether undo/redo is currently allowed
+ */
+export const useEditHistory = (applyChanges, { enabled = true } = {}) => {
+  const entries = useHistoryStore((state) => state.entries);
+  const position = useHistoryStore((state) => state.position);
+  const clearHistory = useHistoryStore((state) => state.clear);
+
+  /**
+   * Record an edit
+   * Frames whose states did not change are skipped; edits changing nothing are not recorded.
+   * @param {string} label - Description shown in the history list
+   * @param {{frameIndex: number, before: boolean[], after: boolean[]}[]} edits - States before and after, per frame
+   */
+  const recordEdit = useCallback((label, edits) => {
+    const changes = edits
+      .map(({ frameIndex, before, after }) => ({ frameIndex, diff: diffCheckboxStates(before, after) }))
+      .filter(({ diff }) => diff.length > 0);
+    if (changes.length === 0) return;
+
+    useHistoryStore.getState().record({
+      label,
+      changes,
+      cellCount: changes.reduce((total, { diff }) => total + countDiffCells(diff), 0)
+    });
+  }, []);
+
+  /**
+   * Move to any point in the history
+   * @param {number} target - Number of entries to keep applied (0 is the state before any edit)
+   */
+  const jumpTo = useCallback((target) => {
+    if (!enabled) return;
+    const steps = useHistoryStore.getState().moveTo(target);
+    if (steps.length > 0) {
+      applyChanges(steps.flatMap((entry) => entry.changes));
+    }
+  }, [applyChanges, enabled]);
+
+  const undo = useCallback(() => {
+    jumpTo(useHistoryStore.getState().position - 1);
+  }, [jumpTo]);
+
+  const redo = useCallback(() => {
+    jumpTo(useHistoryStore.getState().position + 1);
+  }, [jumpTo]);
+
+  const hotkeyOptions = {
+    enabled,
+    enableOnFormTags: true,
+    ignoreEventWhen: isTextEntryEvent,
+    preventDefault: true
+  };
+  useHotkeys('mod+z', undo, hotkeyOptions, [undo]);
+  useHotkeys(['mod+shift+z', 'mod+y'], redo, hotkeyOptions, [redo]);
+
+  return {
+    entries,
+    position,
+    canUndo: enabled && position > 0,
+    canRedo: enabled && position < entries.length,
+    recordEdit,
+    undo,
+    redo,
+    jumpTo,
+    clearHistory
+  };
+};
@@ -0,0 +1,53 @@
+import { useEffect, useRef } from 'react';
+import { useDropzone } from 'react-dropzone';
+import { getClipboardImageFiles } from '../utils/fileIntake';
+
+/**
+ * Custom hook accepting files by drag-and-drop and clipboard paste
+ * Files are not filtered here; onFiles validates them so every source gets the same messages.
+ * @param {Function} onFiles - Called with the dropped or pasted files
+ * @param {Object} options - Hook options
+ * @param {boolean} options.enabled - Whether files are accepted right now
+ */
+export const useFileIntake = (onFiles, { enabled = true } = {}) => {
+  const onFilesRef = useRef(onFiles);
+
+  useEffect(() => {
+    onFilesRef.current = onFiles;
+  }, [onFiles]);
+
+  const { getRootProps, isDragActive } = useDropzone({
+    onDrop: (files) => onFilesRef.current(files),
+    disabled: !enabled,
+    multiple: true,
+    noClick: true,
+    noKeyboard: true
+  });
+
+  // Paste images anywhere except into text fields
+  useEffect(() => {
+    if (!enabled) return;
+
+    const handlePaste = (event) => {
+      const target = event.target;
+      if (target?.isContentEditable || target?.tagName === 'TEXTAREA' ||
+        (target?.tagName === 'INPUT' && target.type !== 'checkbox')) {
+        return;
+      }
+
+      const files = getClipboardImageFiles(event);
+      if (files.length === 0) return;
+
+      event.preventDefault();
+      onFilesRef.current(files);
+    };
+
+    document.addEventListener('paste', handlePaste);
+    return () => document.removeEventListener('paste', handlePaste);
+  }, [enabled]);
+
+  return {
+    getDropZoneProps: getRootProps,
+    isDragActive
+  };
+};
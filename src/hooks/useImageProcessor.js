@@ -1,10 +1,15 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useRef, useEffect } from 'react';
 import {
-  processImage,
   exportAsImage,
   exportAsText,
-  getErrorMessage
+  downloadBlob,
+  getErrorMessage,
+  createAbortError,
+  isAbortError
 } from '../utils/imageProcessor';
+import { exportAsSVG } from '../utils/svgExporter';
+import { exportAsHTML } from '../utils/htmlExporter';
+import { processImageOffThread } from '../utils/processingClient';
 
 /**
  * Custom hook for managing image processing state and operations
@@ -13,43 +18,69 @@ export const useImageProcessor = () => {
   const [isProcessing, setIsProcessing] = useState(false);
   const [error, setError] = useState(null);
   const [processingProgress, setProcessingProgress] = useState(0);
+  const [processingStage, setProcessingStage] = useState(null);
+
+  // Abort controller of the newest request; older requests are cancelled when a new one starts
+  const requestRef = useRef(null);
+
+  // Cancel any in-flight request on unmount
+  useEffect(() => {
+    return () => requestRef.current?.abort();
+  }, []);
 
   /**
    * Process an image file
+   * Latest request wins: starting a new request cancels the previous one, which
+   * rejects with an abort error (see isAbortError) instead of returning stale results.
    */
-  const processImageFile = useCallback(async (file, gridSize, threshold = null) => {
-    setIsProcessing(true);
+  const processImageFile = useCallback(async (file, gridWidth, gridHeight, threshold = null, options = {}) => {
+    const controller = new AbortController();
+    requestRef.current?.abort();
+    requestRef.current = controller;
+    options.signal?.addEventListener('abort', () => controller.abort(), { once: true });
+
+    const isCurrent = () => requestRef.current === controller;
+
     setError(null);
     setProcessingProgress(0);
+    setProcessingStage(null);
 
     try {
-      // Simulate progress updates
-      const progressInterval = setInterval(() => {
-        setProcessingProgress(prev => {
-          if (prev >= 90) {
-            clearInterval(progressInterval);
-            return 90;
-          }
-          return prev + 10;
-        });
-      }, 100);
-
-      const result = await processImage(file, gridSize, threshold);
-      
-      clearInterval(progressInterval);
-      setProcessingProgress(100);
+      // Progress is reported by the pipeline as each stage starts
+      const result = await processImageOffThread(file, gridWidth, gridHeight, threshold, {
+        ...options,
+        signal: controller.signal,
+        onProgress: (update) => {
+          // Cache hits only rebinarize, so they skip the progress overlay
+          if (!isCurrent() || update.cached) return;
+          setIsProcessing(true);
+          setProcessingStage(update);
+          setProcessingProgress(update.progress);
+        }
+      });
+
+      if (!isCurrent() || controller.signal.aborted) {
+        throw createAbortError();
+      }
       
       // Small delay to show completion
       setTimeout(() => {
+        if (!isCurrent()) return;
         setProcessingProgress(0);
+        setProcessingStage(null);
         setIsProcessing(false);
       }, 200);
 
       return result;
     } catch (err) {
-      clearInterval(progressInterval);
+      // A newer request owns the processing state now
+      if (!isCurrent()) throw isAbortError(err) ? err : createAbortError();
+
       setProcessingProgress(0);
+      setProcessingStage(null);
       setIsProcessing(false);
+
+      if (isAbortError(err)) throw err;
       
       const errorMessage = getErrorMessage(err);
       setError(errorMessage);
@@ -58,18 +89,30 @@ export const useImageProcessor = () => {
     }
   }, []);
 
+  /**
+   * Cancel the in-flight request, if any
+   */
+  const cancelProcessing = useCallback(() => {
+    requestRef.current?.abort();
+    requestRef.current = null;
+    setIsProcessing(false);
+    setProcessingProgress(0);
+    setProcessingStage(null);
+  }, []);
+
   /**
    * Export as image
+   * @param {Object} [imageOptions] - Image options, e.g. {levels} (see exportAsImage)
    */
-  const exportImage = useCallback(async (checkboxStates, gridSize, exportSize) => {
+  const exportImage = useCallback(async (checkboxStates, gridWidth, gridHeight, exportSize, imageOptions = {}) => {
     try {
-      const blob = await exportAsImage(checkboxStates, gridSize, exportSize);
+      const blob = await exportAsImage(checkboxStates, gridWidth, gridHeight, exportSize, imageOptions);
       
       // Create download link
       const url = URL.createObjectURL(blob);
       const link = document.createElement('a');
       link.href = url;
-      link.download = `checkbox-art-${gridSize}x${gridSize}.png`;
+      link.download = `checkbox-art-${gridWidth}x${gridHeight}.png`;
       document.body.appendChild(link);
       link.click();
       document.body.removeChild(link);
@@ -86,16 +129,16 @@ export const useImageProcessor = () => {
   /**
    * Export as text
    */
-  const exportText = useCallback((checkboxStates, gridSize) => {
+  const exportText = useCallback((checkboxStates, gridWidth, gridHeight) => {
     try {
-      const pattern = exportAsText(checkboxStates, gridSize);
+      const pattern = exportAsText(checkboxStates, gridWidth);
       
       // Create and download text file
       const blob = new Blob([pattern], { type: 'text/plain' });
       const url = URL.createObjectURL(blob);
       const link = document.createElement('a');
       link.href = url;
-      link.download = `checkbox-pattern-${gridSize}x${gridSize}.txt`;
+      link.download = `checkbox-pattern-${gridWidth}x${gridHeight}.txt`;
       document.body.appendChild(link);
       link.click();
       document.body.removeChild(link);
@@ -109,6 +152,36 @@ export const useImageProcessor = () => {
     }
   }, []);
 
+  /**
+   * Export as SVG
+   * @param {Object} svgOptions - SVG export options (see SVG_EXPORT_DEFAULTS)
+   */
+  const exportSVG = useCallback((checkboxStates, gridWidth, gridHeight, svgOptions = {}, filename = null) => {
+    try {
+      const blob = exportAsSVG(checkboxStates, gridWidth, gridHeight, svgOptions);
+      downloadBlob(blob, filename || `checkbox-art-${gridWidth}x${gridHeight}.svg`);
+    } catch (err) {
+      const errorMessage = getErrorMessage(err);
+      setError(errorMessage);
+      throw new Error(errorMessage);
+    }
+  }, []);
+
+  /**
+   * Export as a standalone HTML page of checkboxes
+   * @param {Object} htmlOptions - Page options (see createCheckboxHTML), e.g. levels and palette
+   */
+  const exportHTML = useCallback((checkboxStates, gridWidth, gridHeight, htmlOptions = {}, filename = null) => {
+    try {
+      const blob = exportAsHTML(checkboxStates, gridWidth, gridHeight, htmlOptions);
+      downloadBlob(blob, filename || `checkbox-art-${gridWidth}x${gridHeight}.html`);
+    } catch (err) {
+      const errorMessage = getErrorMessage(err);
+      setError(errorMessage);
+      throw new Error(errorMessage);
+    }
+  }, []);
+
   /**
    * Clear error
    */
@@ -123,15 +196,20 @@ export const useImageProcessor = () => {
     setIsProcessing(false);
     setError(null);
     setProcessingProgress(0);
+    setProcessingStage(null);
   }, []);
 
   return {
     isProcessing,
     error,
     processingProgress,
+    processingStage,
     processImageFile,
+    cancelProcessing,
     exportImage,
     exportText,
+    exportSVG,
+    exportHTML,
     clearError,
     resetProcessing
   };
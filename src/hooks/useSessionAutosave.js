@@ -0,0 +1,84 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getErrorMessage } from '../utils/imageProcessor';
+import { autosaveSession, loadSession, clearSession, SESSION_CONFIG } from '../utils/sessionStore';
+
+/**
+ * Custom hook for autosaving the current work and offering the previous session back on load
+ * @param {Object|null} session - Project contents to autosave (see createProjectFile); memoize it so
+ *   unrelated re-renders such as GIF playback do not restart the debounce
+ * @param {Object} options - Hook options
+ * @param {boolean} options.enabled - Whether there is work worth saving
+ */
+export const useSessionAutosave = (session, { enabled = true } = {}) => {
+  // Session found on load, offered back until restored or discarded
+  const [previousSession, setPreviousSession] = useState(null);
+  const [isCheckingSession, setIsCheckingSession] = useState(true);
+  const [autosaveStatus, setAutosaveStatus] = useState(null);
+
+  // Look for a previous session once on load
+  useEffect(() => {
+    let cancelled = false;
+    loadSession()
+      .then((saved) => {
+        if (!cancelled) setPreviousSession(saved);
+      })
+      .catch(() => {
+        // Without session storage there is nothing to offer; autosave reports the problem
+      })
+      .finally(() => {
+        if (!cancelled) setIsCheckingSession(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Debounced autosave; paused until the previous session is restored or discarded so it is not overwritten
+  useEffect(() => {
+    if (!enabled || !session || isCheckingSession || previousSession) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const { savedAt, sourceIncluded } = await autosaveSession(session);
+        if (!cancelled) setAutosaveStatus({ savedAt, sourceIncluded, error: null });
+      } catch (err) {
+        if (!cancelled) setAutosaveStatus({ savedAt: null, sourceIncluded: false, error: getErrorMessage(err) });
+      }
+    }, SESSION_CONFIG.SAVE_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [session, enabled, isCheckingSession, previousSession]);
+
+  /**
+   * Take the previous session for restoring; autosave resumes afterwards
+   * @returns {{blob: Blob, source: Object|null}|null} - Project blob of the previous session and its stored source image
+   */
+  const takePreviousSession = useCallback(() => {
+    const session = previousSession ? { blob: previousSession.blob, source: previousSession.source } : null;
+    setPreviousSession(null);
+    return session;
+  }, [previousSession]);
+
+  /**
+   * Discard the previous session and resume autosave
+   */
+  const discardPreviousSession = useCallback(async () => {
+    setPreviousSession(null);
+    try {
+      await clearSession();
+    } catch {
+      // The next autosave replaces it anyway
+    }
+  }, []);
+
+  return {
+    previousSession,
+    autosaveStatus,
+    takePreviousSession,
+    discardPreviousSession
+  };
+};
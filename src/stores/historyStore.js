@@ -0,0 +1,65 @@
+/**
+ * Edit History Store
+ * Undo/redo timeline of grid edits, kept as diffs rather than snapshots
+ */
+
+import { create } from 'zustand';
+
+/**
+ * History configuration
+ */
+const HISTORY_CONFIG = {
+  MAX_ENTRIES: 100 // Oldest entries are dropped beyond this
+};
+
+let nextEntryId = 0;
+
+/**
+ * History entry
+ * @typedef {Object} HistoryEntry
+ * @property {number} id - Unique entry id
+ * @property {string} label - Description shown in the history list
+ * @property {number} timestamp - When the edit was made
+ * @property {{frameIndex: number, diff: Uint32Array}[]} changes - Changed cells per frame
+ * @property {number} cellCount - Total number of changed cells
+ */
+
+export const useHistoryStore = create((set, get) => ({
+  entries: [],
+  position: 0, // Number of entries currently applied; the rest can be redone
+
+  /**
+   * Appends an edit, discarding any redoable entries
+   * @param {Omit<HistoryEntry, 'id' | 'timestamp'>} entry - Edit to record
+   */
+  record: (entry) => {
+    const { entries, position } = get();
+    const nextEntries = [...entries.slice(0, position), { ...entry, id: ++nextEntryId, timestamp: Date.now() }];
+    const overflow = Math.max(0, nextEntries.length - HISTORY_CONFIG.MAX_ENTRIES);
+    const trimmed = nextEntries.slice(overflow);
+
+    set({ entries: trimmed, position: trimmed.length });
+  },
+
+  /**
+   * Moves the timeline to the given position
+   * Diffs flip cells, so undo and redo apply entries the same way.
+   * @param {number} target - Number of entries that should be applied
+   * @returns {HistoryEntry[]} - Entries whose changes must be applied to reach the target
+   */
+  moveTo: (target) => {
+    const { entries, position } = get();
+    const clamped = Math.min(entries.length, Math.max(0, target));
+    if (clamped === position) return [];
+
+    set({ position: clamped });
+    return clamped < position
+      ? entries.slice(clamped, position).reverse()
+      : entries.slice(position, clamped);
+  },
+
+  /**
+   * Forgets every entry, used when the grid is replaced by a new document
+   */
+  clear: () => set({ entries: [], position: 0 })
+}));
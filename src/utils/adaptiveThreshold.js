@@ -0,0 +1,135 @@
+/**
+ * Adaptive Thresholding
+ * Local thresholds for unevenly lit images: each cell is compared with the
+ * statistics of the window around it instead of one global threshold.
+ * Window sums come from integral images, so any window size costs the same.
+ */
+
+import { ImageProcessingError } from './imageProcessor.js';
+
+/**
+ * Adaptive methods with their k parameter range
+ * Bradley–Roth checks cells darker than the window mean by k (a fraction);
+ * Niblack uses mean + k × deviation; Sauvola scales the mean by the local contrast.
+ */
+export const ADAPTIVE_METHODS = [
+  { value: 'bradley-roth', label: 'Bradley–Roth', defaultK: 0.15, minK: 0, maxK: 0.5 },
+  { value: 'sauvola', label: 'Sauvola', defaultK: 0.2, minK: 0, maxK: 1 },
+  { value: 'niblack', label: 'Niblack', defaultK: -0.2, minK: -1, maxK: 1 }
+];
+
+/**
+ * Adaptive threshold limits; window sizes are odd so windows center on a cell
+ */
+export const ADAPTIVE_LIMITS = {
+  MIN_WINDOW: 3,
+  MAX_WINDOW: 51
+};
+
+/**
+ * Adaptive threshold defaults
+ */
+export const ADAPTIVE_DEFAULTS = {
+  method: 'sauvola',
+  windowSize: 15,
+  k: 0.2
+};
+
+const SAUVOLA_RANGE = 128; // Dynamic range of the standard deviation for 8-bit gray
+
+/**
+ * Looks up an adaptive method
+ * @param {string} method - Method value
+ * @returns {Object|undefined}
+ */
+export const getAdaptiveMethod = (method) => ADAPTIVE_METHODS.find(({ value }) => value === method);
+
+/**
+ * Builds integral images of gray values and squared gray values
+ * @param {ImageData} imageData - Grayscale image data
+ * @returns {{sums: Float64Array, squares: Float64Array}} - (width + 1) × (height + 1) tables with a zero first row and column
+ */
+const createIntegralImages = ({ width, height, data }) => {
+  const stride = width + 1;
+  const sums = new Float64Array(stride * (height + 1));
+  const squares = new Float64Array(stride * (height + 1));
+
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    let rowSquares = 0;
+    for (let x = 0; x < width; x++) {
+      const gray = data[(y * width + x) * 4]; // All channels are the same in grayscale
+      rowSum += gray;
+      rowSquares += gray * gray;
+      sums[(y + 1) * stride + x + 1] = sums[y * stride + x + 1] + rowSum;
+      squares[(y + 1) * stride + x + 1] = squares[y * stride + x + 1] + rowSquares;
+    }
+  }
+  return { sums, squares };
+};
+
+/**
+ * Binarizes grid-sized grayscale image data with local thresholds
+ * @param {ImageData} imageData - Grayscale image data at grid size
+ * @param {Object} [settings] - Adaptive settings (see ADAPTIVE_DEFAULTS)
+ * @param {string} [settings.method] - Method from ADAPTIVE_METHODS
+ * @param {number} [settings.windowSize] - Odd window side in cells; windows are clipped at the image edges
+ * @param {number} [settings.k] - Method parameter within the method's range
+ * @returns {boolean[]} - true for cells darker than their local threshold
+ */
+export const adaptiveThreshold = (imageData, {
+  method = ADAPTIVE_DEFAULTS.method,
+  windowSize = ADAPTIVE_DEFAULTS.windowSize,
+  k = ADAPTIVE_DEFAULTS.k
+} = {}) => {
+  const adaptiveMethod = getAdaptiveMethod(method);
+  if (!adaptiveMethod) {
+    throw new ImageProcessingError(`Unknown adaptive method: ${method}`, 'INVALID_ADAPTIVE_SETTINGS');
+  }
+  if (!Number.isInteger(windowSize) || windowSize % 2 === 0 ||
+    windowSize < ADAPTIVE_LIMITS.MIN_WINDOW || windowSize > ADAPTIVE_LIMITS.MAX_WINDOW) {
+    throw new ImageProcessingError(
+      `Window size must be an odd number between ${ADAPTIVE_LIMITS.MIN_WINDOW} and ${ADAPTIVE_LIMITS.MAX_WINDOW}`,
+      'INVALID_ADAPTIVE_SETTINGS'
+    );
+  }
+  if (typeof k !== 'number' || !(k >= adaptiveMethod.minK && k <= adaptiveMethod.maxK)) {
+    throw new ImageProcessingError(
+      `${adaptiveMethod.label} k must be between ${adaptiveMethod.minK} and ${adaptiveMethod.maxK}`,
+      'INVALID_ADAPTIVE_SETTINGS'
+    );
+  }
+
+  const { width, height, data } = imageData;
+  const { sums, squares } = createIntegralImages(imageData);
+  const stride = width + 1;
+  const half = (windowSize - 1) / 2;
+  const result = new Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - half);
+    const y1 = Math.min(height, y + half + 1);
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - half);
+      const x1 = Math.min(width, x + half + 1);
+      const count = (x1 - x0) * (y1 - y0);
+      const sum = sums[y1 * stride + x1] - sums[y0 * stride + x1] - sums[y1 * stride + x0] + sums[y0 * stride + x0];
+      const mean = sum / count;
+      const gray = data[(y * width + x) * 4];
+
+      let threshold;
+      if (method === 'bradley-roth') {
+        threshold = mean * (1 - k);
+      } else {
+        const squareSum = squares[y1 * stride + x1] - squares[y0 * stride + x1] - squares[y1 * stride + x0] + squares[y0 * stride + x0];
+        const deviation = Math.sqrt(Math.max(0, squareSum / count - mean * mean));
+        threshold = method === 'sauvola'
+          ? mean * (1 + k * (deviation / SAUVOLA_RANGE - 1))
+          : mean + k * deviation;
+      }
+
+      result[y * width + x] = gray < threshold;
+    }
+  }
+  return result;
+};
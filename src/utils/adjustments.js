@@ -0,0 +1,295 @@
+/**
+ * Pre-Threshold Adjustments
+ * A fixed chain of tone and detail adjustments applied to grid-sized
+ * grayscale before thresholding: brightness/contrast, gamma, histogram
+ * equalization or CLAHE, Gaussian blur and unsharp mask, in that order.
+ */
+
+import { ImageProcessingError } from './imageProcessor.js';
+
+/**
+ * Histogram equalization modes
+ */
+export const EQUALIZATION_MODES = [
+  { value: 'none', label: 'None' },
+  { value: 'global', label: 'Histogram equalization' },
+  { value: 'clahe', label: 'CLAHE (local contrast)' }
+];
+
+/**
+ * Adjustment defaults; these leave the image unchanged
+ */
+export const ADJUSTMENT_DEFAULTS = {
+  brightness: 0, // -100 to 100
+  contrast: 0,   // -100 to 100
+  gamma: 1,      // 0.2 to 3, above 1 lightens midtones
+  equalization: 'none',
+  blur: 0,       // Gaussian sigma in cells, 0 to 5
+  sharpen: 0     // Unsharp mask amount, 0 to 3
+};
+
+/**
+ * Slider ranges for the numeric adjustments, in chain order
+ */
+export const ADJUSTMENT_CONTROLS = [
+  { key: 'brightness', label: 'Brightness', min: -100, max: 100, step: 1 },
+  { key: 'contrast', label: 'Contrast', min: -100, max: 100, step: 1 },
+  { key: 'gamma', label: 'Gamma', min: 0.2, max: 3, step: 0.05 },
+  { key: 'blur', label: 'Blur', min: 0, max: 5, step: 0.1 },
+  { key: 'sharpen', label: 'Sharpen', min: 0, max: 3, step: 0.1 }
+];
+
+/**
+ * Adjustment configuration
+ */
+const ADJUSTMENT_CONFIG = {
+  SHARPEN_SIGMA: 1,     // Blur radius the unsharp mask subtracts
+  CLAHE_CLIP_LIMIT: 2,  // Histogram bins are clipped at this multiple of the average bin
+  CLAHE_TILE_SIZE: 8,   // Target tile side in cells
+  CLAHE_MAX_TILES: 8    // Tiles per side at most
+};
+
+/**
+ * Checks whether adjustments would leave the image unchanged
+ * @param {Object} [adjustments] - Adjustment settings
+ * @returns {boolean}
+ */
+export const isIdentityAdjustments = (adjustments) => {
+  return !adjustments || Object.keys(ADJUSTMENT_DEFAULTS).every((key) => (
+    (adjustments[key] ?? ADJUSTMENT_DEFAULTS[key]) === ADJUSTMENT_DEFAULTS[key]
+  ));
+};
+
+/**
+ * Validates adjustment settings
+ * @param {Object} adjustments - Adjustment settings
+ * @throws {ImageProcessingError}
+ */
+const validateAdjustments = (adjustments) => {
+  ADJUSTMENT_CONTROLS.forEach(({ key, label, min, max }) => {
+    const value = adjustments[key];
+    if (typeof value !== 'number' || Number.isNaN(value) || value < min || value > max) {
+      throw new ImageProcessingError(`${label} must be between ${min} and ${max}`, 'INVALID_ADJUSTMENT');
+    }
+  });
+  if (!EQUALIZATION_MODES.some(({ value }) => value === adjustments.equalization)) {
+    throw new ImageProcessingError(`Unknown equalization mode: ${adjustments.equalization}`, 'INVALID_ADJUSTMENT');
+  }
+};
+
+/**
+ * Builds the lookup table for brightness, contrast and gamma
+ * @param {Object} adjustments - Adjustment settings
+ * @returns {Uint8ClampedArray} - Output gray for each input gray
+ */
+const createToneTable = ({ brightness, contrast, gamma }) => {
+  // Standard contrast correction factor, with contrast scaled from percent to -255..255
+  const c = contrast * 2.55;
+  const factor = (259 * (c + 255)) / (255 * (259 - c));
+  const offset = brightness * 2.55;
+  const table = new Uint8ClampedArray(256);
+
+  for (let gray = 0; gray < 256; gray++) {
+    const toned = Math.min(255, Math.max(0, factor * (gray - 128) + 128 + offset));
+    table[gray] = Math.round(255 * Math.pow(toned / 255, 1 / gamma));
+  }
+  return table;
+};
+
+/**
+ * Maps a histogram to an equalizing lookup table through its cumulative distribution
+ * @param {Float64Array} histogram - 256-bin histogram
+ * @param {number} count - Pixels in the histogram
+ * @returns {Uint8ClampedArray}
+ */
+const createEqualizationTable = (histogram, count) => {
+  const table = new Uint8ClampedArray(256);
+  let cumulative = 0;
+  // The darkest occupied bin maps to 0 so equalization does not lift black
+  let firstCount = 0;
+  for (let gray = 0; gray < 256 && firstCount === 0; gray++) firstCount = histogram[gray];
+
+  for (let gray = 0; gray < 256; gray++) {
+    cumulative += histogram[gray];
+    table[gray] = count > firstCount ? Math.round(((cumulative - firstCount) / (count - firstCount)) * 255) : gray;
+  }
+  return table;
+};
+
+/**
+ * Global histogram equalization
+ * @param {Float32Array} grays - Gray values, updated in place
+ */
+const equalizeGlobal = (grays) => {
+  const histogram = new Float64Array(256);
+  grays.forEach((gray) => histogram[Math.round(gray)]++);
+  const table = createEqualizationTable(histogram, grays.length);
+  for (let i = 0; i < grays.length; i++) {
+    grays[i] = table[Math.round(grays[i])];
+  }
+};
+
+/**
+ * Contrast-limited adaptive histogram equalization (CLAHE)
+ * Each tile gets a clipped equalization table; cells blend the tables of the
+ * four nearest tile centers so tile borders do not show.
+ * @param {Float32Array} grays - Gray values, updated in place
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ */
+const equalizeCLAHE = (grays, width, height) => {
+  const tilesX = Math.max(1, Math.min(ADJUSTMENT_CONFIG.CLAHE_MAX_TILES, Math.round(width / ADJUSTMENT_CONFIG.CLAHE_TILE_SIZE)));
+  const tilesY = Math.max(1, Math.min(ADJUSTMENT_CONFIG.CLAHE_MAX_TILES, Math.round(height / ADJUSTMENT_CONFIG.CLAHE_TILE_SIZE)));
+  const tileWidth = width / tilesX;
+  const tileHeight = height / tilesY;
+
+  const tables = [];
+  for (let ty = 0; ty < tilesY; ty++) {
+    for (let tx = 0; tx < tilesX; tx++) {
+      const x0 = Math.floor(tx * tileWidth);
+      const x1 = Math.floor((tx + 1) * tileWidth);
+      const y0 = Math.floor(ty * tileHeight);
+      const y1 = Math.floor((ty + 1) * tileHeight);
+      const histogram = new Float64Array(256);
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          histogram[Math.round(grays[y * width + x])]++;
+        }
+      }
+
+      // Clip tall bins and spread the excess evenly, which limits noise amplification
+      const count = (x1 - x0) * (y1 - y0);
+      const limit = Math.max(1, (ADJUSTMENT_CONFIG.CLAHE_CLIP_LIMIT * count) / 256);
+      let excess = 0;
+      for (let gray = 0; gray < 256; gray++) {
+        if (histogram[gray] > limit) {
+          excess += histogram[gray] - limit;
+          histogram[gray] = limit;
+        }
+      }
+      for (let gray = 0; gray < 256; gray++) {
+        histogram[gray] += excess / 256;
+      }
+
+      // Clipped tables keep the full range instead of pinning the darkest bin to 0
+      const table = new Uint8ClampedArray(256);
+      let cumulative = 0;
+      for (let gray = 0; gray < 256; gray++) {
+        cumulative += histogram[gray];
+        table[gray] = Math.round((cumulative / count) * 255);
+      }
+      tables.push(table);
+    }
+  }
+
+  const source = Float32Array.from(grays);
+  for (let y = 0; y < height; y++) {
+    // Position relative to tile centers, clamped at the image edges
+    const fy = Math.min(tilesY - 1, Math.max(0, (y + 0.5) / tileHeight - 0.5));
+    const ty0 = Math.floor(fy);
+    const ty1 = Math.min(tilesY - 1, ty0 + 1);
+    const wy = fy - ty0;
+    for (let x = 0; x < width; x++) {
+      const fx = Math.min(tilesX - 1, Math.max(0, (x + 0.5) / tileWidth - 0.5));
+      const tx0 = Math.floor(fx);
+      const tx1 = Math.min(tilesX - 1, tx0 + 1);
+      const wx = fx - tx0;
+      const gray = Math.round(source[y * width + x]);
+
+      const top = tables[ty0 * tilesX + tx0][gray] * (1 - wx) + tables[ty0 * tilesX + tx1][gray] * wx;
+      const bottom = tables[ty1 * tilesX + tx0][gray] * (1 - wx) + tables[ty1 * tilesX + tx1][gray] * wx;
+      grays[y * width + x] = top * (1 - wy) + bottom * wy;
+    }
+  }
+};
+
+/**
+ * Separable Gaussian blur with clamped edges
+ * @param {Float32Array} grays - Gray values
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} sigma - Standard deviation in cells
+ * @returns {Float32Array} - Blurred values
+ */
+export const gaussianBlur = (grays, width, height, sigma) => {
+  const radius = Math.max(1, Math.ceil(sigma * 3));
+  const kernel = new Float32Array(radius * 2 + 1);
+  let total = 0;
+  for (let i = -radius; i <= radius; i++) {
+    kernel[i + radius] = Math.exp(-(i * i) / (2 * sigma * sigma));
+    total += kernel[i + radius];
+  }
+  for (let i = 0; i < kernel.length; i++) kernel[i] /= total;
+
+  const horizontal = new Float32Array(grays.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let k = -radius; k <= radius; k++) {
+        const sx = Math.min(width - 1, Math.max(0, x + k));
+        sum += grays[y * width + sx] * kernel[k + radius];
+      }
+      horizontal[y * width + x] = sum;
+    }
+  }
+
+  const result = new Float32Array(grays.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let k = -radius; k <= radius; k++) {
+        const sy = Math.min(height - 1, Math.max(0, y + k));
+        sum += horizontal[sy * width + x] * kernel[k + radius];
+      }
+      result[y * width + x] = sum;
+    }
+  }
+  return result;
+};
+
+/**
+ * Applies the adjustment chain to grid-sized grayscale image data
+ * @param {ImageData} imageData - Grayscale image data
+ * @param {Object} [adjustments] - Adjustment settings (see ADJUSTMENT_DEFAULTS); missing values use the defaults
+ * @returns {ImageData} - Adjusted grayscale image data, or the input itself when nothing changes
+ */
+export const applyAdjustments = (imageData, adjustments) => {
+  if (isIdentityAdjustments(adjustments)) return imageData;
+
+  const settings = { ...ADJUSTMENT_DEFAULTS, ...adjustments };
+  validateAdjustments(settings);
+
+  const { width, height, data } = imageData;
+  const toneTable = createToneTable(settings);
+  let grays = new Float32Array(width * height);
+  for (let i = 0; i < grays.length; i++) {
+    grays[i] = toneTable[data[i * 4]]; // All channels are the same in grayscale
+  }
+
+  if (settings.equalization === 'global') {
+    equalizeGlobal(grays);
+  } else if (settings.equalization === 'clahe') {
+    equalizeCLAHE(grays, width, height);
+  }
+
+  if (settings.blur > 0) {
+    grays = gaussianBlur(grays, width, height, settings.blur);
+  }
+
+  if (settings.sharpen > 0) {
+    const blurred = gaussianBlur(grays, width, height, ADJUSTMENT_CONFIG.SHARPEN_SIGMA);
+    for (let i = 0; i < grays.length; i++) {
+      grays[i] += settings.sharpen * (grays[i] - blurred[i]);
+    }
+  }
+
+  const result = new ImageData(width, height);
+  for (let i = 0; i < grays.length; i++) {
+    const gray = Math.min(255, Math.max(0, Math.round(grays[i])));
+    result.data[i * 4] = gray;
+    result.data[i * 4 + 1] = gray;
+    result.data[i * 4 + 2] = gray;
+    result.data[i * 4 + 3] = data[i * 4 + 3];
+  }
+  return result;
+};
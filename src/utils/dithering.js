@@ -0,0 +1,242 @@
+/**
+ * Dithering Utility
+ * Error-diffusion and ordered (Bayer) dithering for converting grayscale grids to checkbox states
+ */
+
+/**
+ * Error-diffusion kernels as [dx, dy, weight] with a shared divisor
+ */
+const DIFFUSION_KERNELS = {
+  'floyd-steinberg': {
+    divisor: 16,
+    offsets: [
+      [1, 0, 7],
+      [-1, 1, 3], [0, 1, 5], [1, 1, 1]
+    ]
+  },
+  atkinson: {
+    // Atkinson intentionally diffuses only 6/8 of the error
+    divisor: 8,
+    offsets: [
+      [1, 0, 1], [2, 0, 1],
+      [-1, 1, 1], [0, 1, 1], [1, 1, 1],
+      [0, 2, 1]
+    ]
+  },
+  'jarvis-judice-ninke': {
+    divisor: 48,
+    offsets: [
+      [1, 0, 7], [2, 0, 5],
+      [-2, 1, 3], [-1, 1, 5], [0, 1, 7], [1, 1, 5], [2, 1, 3],
+      [-2, 2, 1], [-1, 2, 3], [0, 2, 5], [1, 2, 3], [2, 2, 1]
+    ]
+  },
+  sierra: {
+    divisor: 32,
+    offsets: [
+      [1, 0, 5], [2, 0, 3],
+      [-2, 1, 2], [-1, 1, 4], [0, 1, 5], [1, 1, 4], [2, 1, 2],
+      [-1, 2, 2], [0, 2, 3], [1, 2, 2]
+    ]
+  }
+};
+
+/**
+ * Available grid conversion modes, in display order
+ */
+export const DITHER_MODES = [
+  { value: 'none', label: 'None (hard threshold)' },
+  { value: 'floyd-steinberg', label: 'Floyd–Steinberg' },
+  { value: 'atkinson', label: 'Atkinson' },
+  { value: 'jarvis-judice-ninke', label: 'Jarvis–Judice–Ninke' },
+  { value: 'sierra', label: 'Sierra' },
+  { value: 'bayer-2', label: 'Bayer 2x2' },
+  { value: 'bayer-4', label: 'Bayer 4x4' },
+  { value: 'bayer-8', label: 'Bayer 8x8' }
+];
+
+/**
+ * Builds a normalized Bayer threshold matrix of size 2^n
+ * @param {number} size - Matrix size (2, 4 or 8)
+ * @returns {Float32Array} - Row-major values in (0, 1)
+ */
+const createBayerMatrix = (size) => {
+  let matrix = [[0]];
+
+  while (matrix.length < size) {
+    const n = matrix.length;
+    const next = Array.from({ length: n * 2 }, () => new Array(n * 2));
+    for (let y = 0; y < n; y++) {
+      for (let x = 0; x < n; x++) {
+        const value = matrix[y][x] * 4;
+        next[y][x] = value;
+        next[y][x + n] = value + 2;
+        next[y + n][x] = value + 3;
+        next[y + n][x + n] = value + 1;
+      }
+    }
+    matrix = next;
+  }
+
+  const cells = size * size;
+  return Float32Array.from(matrix.flat(), (value) => (value + 0.5) / cells);
+};
+
+const BAYER_MATRICES = {
+  'bayer-2': createBayerMatrix(2),
+  'bayer-4': createBayerMatrix(4),
+  'bayer-8': createBayerMatrix(8)
+};
+
+/**
+ * Checks whether a dither mode name is supported
+ * @param {string} mode - Dither mode
+ * @returns {boolean}
+ */
+export const isDitherMode = (mode) => {
+  return mode in DIFFUSION_KERNELS || mode in BAYER_MATRICES;
+};
+
+/**
+ * Applies error-diffusion dithering
+ * @param {ArrayLike<number>} grays - Gray value per cell (0-255)
+ * @param {number} width - Grid width
+ * @param {number} height - Grid height
+ * @param {Object} kernel - Diffusion kernel
+ * @param {number} threshold - Cut point between dark and light
+ * @returns {boolean[]} - True for dark (checked) cells
+ */
+const diffuseError = (grays, width, height, kernel, threshold) => {
+  const buffer = Float32Array.from(grays);
+  const result = new Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = y * width + x;
+      const value = buffer[index];
+      const isDark = value < threshold;
+      const error = value - (isDark ? 0 : 255);
+      result[index] = isDark;
+
+      for (const [dx, dy, weight] of kernel.offsets) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx < 0 || nx >= width || ny >= height) continue;
+        buffer[ny * width + nx] += (error * weight) / kernel.divisor;
+      }
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Applies ordered dithering with a Bayer matrix
+ * @param {ArrayLike<number>} grays - Gray value per cell (0-255)
+ * @param {number} width - Grid width
+ * @param {Float32Array} matrix - Normalized Bayer matrix
+ * @param {number} threshold - Cut point between dark and light
+ * @returns {boolean[]} - True for dark (checked) cells
+ */
+const orderedDither = (grays, width, matrix, threshold) => {
+  const size = Math.sqrt(matrix.length);
+  // Shift the matrix so the slider still moves the overall cut point
+  const bias = threshold - 128;
+  const result = new Array(grays.length);
+
+  for (let i = 0; i < grays.length; i++) {
+    const x = i % width;
+    const y = Math.floor(i / width);
+    const cellThreshold = matrix[(y % size) * size + (x % size)] * 255 + bias;
+    result[i] = grays[i] < cellThreshold;
+  }
+
+  return result;
+};
+
+/**
+ * Converts grid gray values to checkbox states using the given dither mode
+ * @param {ArrayLike<number>} grays - Gray value per cell (0-255), row-major
+ * @param {number} width - Grid width
+ * @param {number} height - Grid height
+ * @param {string} mode - One of DITHER_MODES values other than 'none'
+ * @param {number} threshold - Brightness threshold (0-255)
+ * @returns {boolean[]} - Array of boolean values representing checkbox states
+ */
+export const ditherGrayscale = (grays, width, height, mode, threshold = 128) => {
+  if (mode in DIFFUSION_KERNELS) {
+    return diffuseError(grays, width, height, DIFFUSION_KERNELS[mode], threshold);
+  }
+
+  if (mode in BAYER_MATRICES) {
+    return orderedDither(grays, width, BAYER_MATRICES[mode], threshold);
+  }
+
+  throw new Error(`Unknown dither mode: ${mode}`);
+};
+
+/**
+ * Quantizes a gray value into a band between sorted cut points
+ * @param {number} value - Gray value
+ * @param {number[]} cutPoints - Ascending cut points
+ * @returns {number} - Band index, 0 for the darkest
+ */
+const findBand = (value, cutPoints) => {
+  let band = 0;
+  while (band < cutPoints.length && value >= cutPoints[band]) band++;
+  return band;
+};
+
+/**
+ * Converts grid gray values to multi-level states using the given dither mode
+ * Error diffusion measures error against evenly spaced band grays; ordered
+ * dithering offsets each cell by up to one band spacing.
+ * @param {ArrayLike<number>} grays - Gray value per cell (0-255), row-major
+ * @param {number} width - Grid width
+ * @param {number} height - Grid height
+ * @param {string} mode - One of DITHER_MODES values other than 'none'
+ * @param {number[]} cutPoints - Ascending cut points between levels
+ * @returns {number[]} - Level per cell, 0 for the lightest band and cutPoints.length for the darkest
+ */
+export const ditherGrayscaleLevels = (grays, width, height, mode, cutPoints) => {
+  const maxLevel = cutPoints.length;
+  const bandGray = (band) => (band / maxLevel) * 255;
+  const result = new Array(width * height);
+
+  if (mode in DIFFUSION_KERNELS) {
+    const kernel = DIFFUSION_KERNELS[mode];
+    const buffer = Float32Array.from(grays);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const index = y * width + x;
+        const value = buffer[index];
+        const band = findBand(value, cutPoints);
+        const error = value - bandGray(band);
+        result[index] = maxLevel - band;
+
+        for (const [dx, dy, weight] of kernel.offsets) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || nx >= width || ny >= height) continue;
+          buffer[ny * width + nx] += (error * weight) / kernel.divisor;
+        }
+      }
+    }
+    return result;
+  }
+
+  if (mode in BAYER_MATRICES) {
+    const matrix = BAYER_MATRICES[mode];
+    const size = Math.sqrt(matrix.length);
+    const spacing = 255 / maxLevel;
+
+    for (let i = 0; i < grays.length; i++) {
+      const offset = (matrix[(Math.floor(i / width) % size) * size + ((i % width) % size)] - 0.5) * spacing;
+      result[i] = maxLevel - findBand(grays[i] + offset, cutPoints);
+    }
+    return result;
+  }
+
+  throw new Error(`Unknown dither mode: ${mode}`);
+};
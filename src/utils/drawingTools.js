@@ -0,0 +1,261 @@
+/**
+ * Drawing Tools
+ * Grid geometry and the tools used to paint checkbox states with the pointer.
+ * Every tool redraws a stroke from the states at stroke start, so previews
+ * never accumulate and a whole stroke is one edit.
+ */
+
+import { getCellLevel } from './quantization.js';
+
+/**
+ * Stroke being drawn
+ * @typedef {Object} Stroke
+ * @property {{x: number, y: number}} start - Cell where the stroke started
+ * @property {{x: number, y: number}} end - Latest cell under the pointer
+ * @property {{x: number, y: number}[]} points - Every visited cell, in order
+ * @property {boolean|number} value - State painted by the stroke
+ */
+
+/**
+ * Cells on a straight line between two cells (Bresenham)
+ * @param {{x: number, y: number}} from - Start cell
+ * @param {{x: number, y: number}} to - End cell
+ * @returns {{x: number, y: number}[]}
+ */
+export const getLineCells = (from, to) => {
+  const cells = [];
+  const dx = Math.abs(to.x - from.x);
+  const dy = -Math.abs(to.y - from.y);
+  const stepX = from.x < to.x ? 1 : -1;
+  const stepY = from.y < to.y ? 1 : -1;
+  let { x, y } = from;
+  let error = dx + dy;
+
+  for (;;) {
+    cells.push({ x, y });
+    if (x === to.x && y === to.y) break;
+    const doubled = 2 * error;
+    if (doubled >= dy) {
+      error += dy;
+      x += stepX;
+    }
+    if (doubled <= dx) {
+      error += dx;
+      y += stepY;
+    }
+  }
+
+  return cells;
+};
+
+/**
+ * Cells on the outline of the rectangle spanned by two corners
+ * @param {{x: number, y: number}} from - First corner
+ * @param {{x: number, y: number}} to - Opposite corner
+ * @returns {{x: number, y: number}[]}
+ */
+export const getRectangleCells = (from, to) => {
+  const left = Math.min(from.x, to.x);
+  const right = Math.max(from.x, to.x);
+  const top = Math.min(from.y, to.y);
+  const bottom = Math.max(from.y, to.y);
+
+  return [
+    ...getLineCells({ x: left, y: top }, { x: right, y: top }),
+    ...getLineCells({ x: left, y: bottom }, { x: right, y: bottom }),
+    ...getLineCells({ x: left, y: top }, { x: left, y: bottom }),
+    ...getLineCells({ x: right, y: top }, { x: right, y: bottom })
+  ];
+};
+
+/**
+ * Cells on the outline of the ellipse inscribed in the rectangle spanned by two corners
+ * Uses Zingl's integer midpoint algorithm, which also handles even widths and heights.
+ * @param {{x: number, y: number}} from - First corner
+ * @param {{x: number, y: number}} to - Opposite corner
+ * @returns {{x: number, y: number}[]}
+ */
+export const getEllipseCells = (from, to) => {
+  const cells = [];
+  const plot = (x, y) => cells.push({ x, y });
+
+  let x0 = Math.min(from.x, to.x);
+  let x1 = Math.max(from.x, to.x);
+  let a = x1 - x0;
+  const b = Math.abs(to.y - from.y);
+  let b1 = b & 1;
+  let dx = 4 * (1 - a) * b * b;
+  let dy = 4 * (b1 + 1) * a * a;
+  let error = dx + dy + b1 * a * a;
+
+  let y0 = Math.min(from.y, to.y) + ((b + 1) >> 1);
+  let y1 = y0 - b1;
+  a = 8 * a * a;
+  b1 = 8 * b * b;
+
+  do {
+    plot(x1, y0);
+    plot(x0, y0);
+    plot(x0, y1);
+    plot(x1, y1);
+    const doubled = 2 * error;
+    if (doubled <= dy) {
+      y0++;
+      y1--;
+      dy += a;
+      error += dy;
+    }
+    if (doubled >= dx || 2 * error > dy) {
+      x0++;
+      x1--;
+      dx += b1;
+      error += dx;
+    }
+  } while (x0 <= x1);
+
+  // Finish the tips of very flat ellipses
+  while (y0 - y1 <= b) {
+    plot(x0 - 1, y0);
+    plot(x1 + 1, y0++);
+    plot(x0 - 1, y1);
+    plot(x1 + 1, y1--);
+  }
+
+  return cells;
+};
+
+/**
+ * Sets cells to a value, ignoring cells outside the grid
+ * @param {boolean[]} states - Checkbox states
+ * @param {{x: number, y: number}[]} cells - Cells to paint
+ * @param {number} gridWidth - Grid width
+ * @param {number} gridHeight - Grid height
+ * @param {boolean} value - State to paint
+ * @returns {boolean[]} - New states array
+ */
+export const paintCells = (states, cells, gridWidth, gridHeight, value) => {
+  const result = [...states];
+  cells.forEach(({ x, y }) => {
+    if (x >= 0 && x < gridWidth && y >= 0 && y < gridHeight) {
+      result[y * gridWidth + x] = value;
+    }
+  });
+  return result;
+};
+
+/**
+ * Sets the 4-connected region of equal cells around a cell to a value
+ * Cells are compared by level, so multi-level grids fill one tone at a time.
+ * @param {(boolean|number)[]} states - Checkbox states
+ * @param {{x: number, y: number}} cell - Cell inside the region
+ * @param {number} gridWidth - Grid width
+ * @param {number} gridHeight - Grid height
+ * @param {boolean|number} value - State to fill with
+ * @returns {(boolean|number)[]} - New states array
+ */
+export const floodFill = (states, cell, gridWidth, gridHeight, value) => {
+  const result = [...states];
+  const target = getCellLevel(states[cell.y * gridWidth + cell.x]);
+  if (target === getCellLevel(value)) return result;
+
+  const stack = [cell.y * gridWidth + cell.x];
+  while (stack.length > 0) {
+    const index = stack.pop();
+    if (getCellLevel(result[index]) !== target) continue;
+    result[index] = value;
+
+    const x = index % gridWidth;
+    if (x > 0) stack.push(index - 1);
+    if (x < gridWidth - 1) stack.push(index + 1);
+    if (index >= gridWidth) stack.push(index - gridWidth);
+    if (index < gridWidth * (gridHeight - 1)) stack.push(index + gridWidth);
+  }
+
+  return result;
+};
+
+/**
+ * Paint value shared by the shape tools: check cells, or clear them when erasing
+ * @returns {boolean}
+ */
+const getShapeValue = (states, index, erase) => !erase;
+
+/**
+ * Paint value of the toggling tools: starting on a cell that already holds the
+ * paint value clears, anything else paints
+ * @param {(boolean|number)[]} states - States at stroke start
+ * @param {number} index - Cell the stroke starts on
+ * @param {boolean} erase - Whether the stroke erases
+ * @param {boolean|number} paintValue - Value the stroke paints, e.g. a palette index
+ * @returns {boolean}
+ */
+const getToggleValue = (states, index, erase, paintValue = true) => {
+  return !erase && getCellLevel(states[index]) !== getCellLevel(paintValue);
+};
+
+/**
+ * Available drawing tools, in palette order
+ * getValue picks whether to paint or clear from the states, cell and paint value at stroke start;
+ * draw renders a stroke onto those states.
+ */
+export const DRAWING_TOOLS = [
+  {
+    value: 'pencil',
+    label: 'Pencil',
+    icon: '✏️',
+    // Starting on a painted cell erases, so a plain click still toggles
+    getValue: getToggleValue,
+    draw: (states, stroke, gridWidth, gridHeight) => {
+      const cells = stroke.points.flatMap((point, i) => (
+        i === 0 ? [point] : getLineCells(stroke.points[i - 1], point)
+      ));
+      return paintCells(states, cells, gridWidth, gridHeight, stroke.value);
+    }
+  },
+  {
+    value: 'line',
+    label: 'Line',
+    icon: '📏',
+    getValue: getShapeValue,
+    draw: (states, stroke, gridWidth, gridHeight) => (
+      paintCells(states, getLineCells(stroke.start, stroke.end), gridWidth, gridHeight, stroke.value)
+    )
+  },
+  {
+    value: 'rectangle',
+    label: 'Rectangle',
+    icon: '▭',
+    getValue: getShapeValue,
+    draw: (states, stroke, gridWidth, gridHeight) => (
+      paintCells(states, getRectangleCells(stroke.start, stroke.end), gridWidth, gridHeight, stroke.value)
+    )
+  },
+  {
+    value: 'ellipse',
+    label: 'Ellipse',
+    icon: '◯',
+    getValue: getShapeValue,
+    draw: (states, stroke, gridWidth, gridHeight) => (
+      paintCells(states, getEllipseCells(stroke.start, stroke.end), gridWidth, gridHeight, stroke.value)
+    )
+  },
+  {
+    value: 'fill',
+    label: 'Fill',
+    icon: '🪣',
+    // Filling a painted region clears it
+    getValue: getToggleValue,
+    draw: (states, stroke, gridWidth, gridHeight) => (
+      floodFill(states, stroke.start, gridWidth, gridHeight, stroke.value)
+    )
+  }
+];
+
+/**
+ * Looks up a drawing tool by value
+ * @param {string} value - Tool value
+ * @returns {Object|undefined}
+ */
+export const getDrawingTool = (value) => {
+  return DRAWING_TOOLS.find((tool) => tool.value === value);
+};
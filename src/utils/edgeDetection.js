@@ -0,0 +1,227 @@
+/**
+ * Edge Detection
+ * Line-art conversion as an alternative to thresholding: cells on edges are
+ * checked, everything else stays empty. Sobel marks every strong gradient;
+ * Canny smooths first and thins edges to one cell with non-maximum suppression.
+ * Both keep weak edges only where they connect to strong ones (hysteresis).
+ */
+
+import { ImageProcessingError } from './imageProcessor.js';
+import { gaussianBlur } from './adjustments.js';
+
+/**
+ * Edge detection methods
+ */
+export const EDGE_METHODS = [
+  { value: 'sobel', label: 'Sobel + hysteresis' },
+  { value: 'canny', label: 'Canny' }
+];
+
+/**
+ * Edge detection defaults
+ */
+export const EDGE_DEFAULTS = {
+  method: 'canny',
+  low: 30,      // Weak edge threshold on gradient magnitude (1-255)
+  high: 80,     // Strong edge threshold on gradient magnitude (1-255)
+  thickness: 1  // Line thickness in cells
+};
+
+/**
+ * Edge detection limits
+ */
+export const EDGE_LIMITS = {
+  MIN_THRESHOLD: 1, // A zero threshold would count flat areas, which have no gradient, as edges
+  MIN_THICKNESS: 1,
+  MAX_THICKNESS: 5
+};
+
+const CANNY_SIGMA = 1; // Smoothing applied before Canny gradients
+
+/**
+ * Sobel gradients with clamped edges
+ * @param {Float32Array} grays - Gray values
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {{magnitude: Float32Array, direction: Float32Array}} - Magnitude scaled to 0-255, direction in radians
+ */
+const computeGradients = (grays, width, height) => {
+  const magnitude = new Float32Array(grays.length);
+  const direction = new Float32Array(grays.length);
+  const at = (x, y) => grays[Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))];
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const gx = (at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1)) -
+        (at(x - 1, y - 1) + 2 * at(x - 1, y) + at(x - 1, y + 1));
+      const gy = (at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1)) -
+        (at(x - 1, y - 1) + 2 * at(x, y - 1) + at(x + 1, y - 1));
+      // A full black-to-white step gives 4 * 255 along one axis
+      magnitude[y * width + x] = Math.min(255, Math.hypot(gx, gy) / 4);
+      direction[y * width + x] = Math.atan2(gy, gx);
+    }
+  }
+  return { magnitude, direction };
+};
+
+/**
+ * Keeps only cells that are the local maximum across the edge direction
+ * @param {Float32Array} magnitude - Gradient magnitude
+ * @param {Float32Array} direction - Gradient direction in radians
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Float32Array} - Thinned magnitude
+ */
+const suppressNonMaxima = (magnitude, direction, width, height) => {
+  const result = new Float32Array(magnitude.length);
+  const at = (x, y) => (x < 0 || y < 0 || x >= width || y >= height ? 0 : magnitude[y * width + x]);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = y * width + x;
+      // Quantize the gradient direction to one of four neighbour axes
+      const angle = ((direction[index] * 180) / Math.PI + 180) % 180;
+      let dx = 1;
+      let dy = 0;
+      if (angle >= 22.5 && angle < 67.5) {
+        dx = 1;
+        dy = 1;
+      } else if (angle >= 67.5 && angle < 112.5) {
+        dx = 0;
+        dy = 1;
+      } else if (angle >= 112.5 && angle < 157.5) {
+        dx = -1;
+        dy = 1;
+      }
+
+      const value = magnitude[index];
+      if (value >= at(x + dx, y + dy) && value >= at(x - dx, y - dy)) {
+        result[index] = value;
+      }
+    }
+  }
+  return result;
+};
+
+/**
+ * Hysteresis: strong cells are edges, weak cells only when connected to a strong one
+ * @param {Float32Array} magnitude - Gradient magnitude
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} low - Weak edge threshold
+ * @param {number} high - Strong edge threshold
+ * @returns {Uint8Array} - 1 for edge cells
+ */
+const traceHysteresis = (magnitude, width, height, low, high) => {
+  const edges = new Uint8Array(magnitude.length);
+  const stack = [];
+  for (let i = 0; i < magnitude.length; i++) {
+    if (magnitude[i] >= high) {
+      edges[i] = 1;
+      stack.push(i);
+    }
+  }
+
+  while (stack.length > 0) {
+    const index = stack.pop();
+    const x = index % width;
+    const y = Math.floor(index / width);
+    for (let ny = Math.max(0, y - 1); ny <= Math.min(height - 1, y + 1); ny++) {
+      for (let nx = Math.max(0, x - 1); nx <= Math.min(width - 1, x + 1); nx++) {
+        const neighbour = ny * width + nx;
+        if (!edges[neighbour] && magnitude[neighbour] >= low) {
+          edges[neighbour] = 1;
+          stack.push(neighbour);
+        }
+      }
+    }
+  }
+  return edges;
+};
+
+/**
+ * Thickens lines by dilating them with a disc
+ * @param {Uint8Array} edges - Edge mask
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} thickness - Line thickness in cells
+ * @returns {Uint8Array}
+ */
+const thickenEdges = (edges, width, height, thickness) => {
+  if (thickness <= 1) return edges;
+
+  // Even thicknesses grow towards the bottom right so lines stay the requested width
+  const before = Math.floor((thickness - 1) / 2);
+  const after = thickness - 1 - before;
+  const radius = (thickness - 1) / 2 + 0.5;
+  const offsets = [];
+  for (let dy = -before; dy <= after; dy++) {
+    for (let dx = -before; dx <= after; dx++) {
+      const cx = dx - (after - before) / 2;
+      const cy = dy - (after - before) / 2;
+      if (cx * cx + cy * cy <= radius * radius) offsets.push([dx, dy]);
+    }
+  }
+
+  const result = new Uint8Array(edges.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!edges[y * width + x]) continue;
+      offsets.forEach(([dx, dy]) => {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx >= 0 && ny >= 0 && nx < width && ny < height) result[ny * width + nx] = 1;
+      });
+    }
+  }
+  return result;
+};
+
+/**
+ * Converts grid-sized grayscale image data into edge cells
+ * @param {ImageData} imageData - Grayscale image data at grid size
+ * @param {Object} [settings] - Edge settings (see EDGE_DEFAULTS)
+ * @param {string} [settings.method] - 'sobel' or 'canny'
+ * @param {number} [settings.low] - Weak edge threshold (1-255)
+ * @param {number} [settings.high] - Strong edge threshold (1-255)
+ * @param {number} [settings.thickness] - Line thickness in cells
+ * @returns {boolean[]} - true for cells on an edge
+ */
+export const detectEdges = (imageData, {
+  method = EDGE_DEFAULTS.method,
+  low = EDGE_DEFAULTS.low,
+  high = EDGE_DEFAULTS.high,
+  thickness = EDGE_DEFAULTS.thickness
+} = {}) => {
+  if (!EDGE_METHODS.some(({ value }) => value === method)) {
+    throw new ImageProcessingError(`Unknown edge method: ${method}`, 'INVALID_EDGE_SETTINGS');
+  }
+  if (!(low >= EDGE_LIMITS.MIN_THRESHOLD && high <= 255 && low <= high)) {
+    throw new ImageProcessingError(
+      `Edge thresholds must be between ${EDGE_LIMITS.MIN_THRESHOLD} and 255, with low at most high`,
+      'INVALID_EDGE_SETTINGS'
+    );
+  }
+  if (!Number.isInteger(thickness) || thickness < EDGE_LIMITS.MIN_THICKNESS || thickness > EDGE_LIMITS.MAX_THICKNESS) {
+    throw new ImageProcessingError(
+      `Line thickness must be between ${EDGE_LIMITS.MIN_THICKNESS} and ${EDGE_LIMITS.MAX_THICKNESS}`,
+      'INVALID_EDGE_SETTINGS'
+    );
+  }
+
+  const { width, height, data } = imageData;
+  let grays = new Float32Array(width * height);
+  for (let i = 0; i < grays.length; i++) {
+    grays[i] = data[i * 4]; // All channels are the same in grayscale
+  }
+
+  if (method === 'canny') {
+    grays = gaussianBlur(grays, width, height, CANNY_SIGMA);
+  }
+
+  const { magnitude, direction } = computeGradients(grays, width, height);
+  const candidates = method === 'canny' ? suppressNonMaxima(magnitude, direction, width, height) : magnitude;
+  const edges = thickenEdges(traceHysteresis(candidates, width, height, low, high), width, height, thickness);
+
+  return Array.from(edges, (edge) => edge === 1);
+};
@@ -0,0 +1,70 @@
+/**
+ * File Intake
+ * Validates files arriving from the file picker, drag-and-drop or the clipboard
+ */
+
+import { validateImageFile, getErrorMessage } from './imageProcessor.js';
+import { validateGIF } from './gifProcessor.js';
+
+/**
+ * Validates a file with the pipeline that will process it
+ * @param {File} file - Uploaded file
+ * @returns {Promise<void>}
+ */
+export const validateUpload = (file) => {
+  return file.type === 'image/gif' ? validateGIF(file) : validateImageFile(file);
+};
+
+/**
+ * Splits uploaded files into accepted ones and per-file rejections
+ * @param {File[]} files - Uploaded files
+ * @returns {Promise<{accepted: File[], rejected: {name: string, message: string}[]}>}
+ */
+export const sortUploads = async (files) => {
+  const results = await Promise.allSettled(files.map(validateUpload));
+  const accepted = [];
+  const rejected = [];
+
+  results.forEach((result, index) => {
+    const file = files[index];
+    if (result.status === 'fulfilled') {
+      accepted.push(file);
+    } else {
+      rejected.push({ name: file.name || 'Unnamed file', message: getErrorMessage(result.reason) });
+    }
+  });
+
+  return { accepted, rejected };
+};
+
+/**
+ * Extension used for pasted images, which usually arrive without a useful name
+ */
+const PASTE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+/**
+ * Collects image files from a paste event
+ * @param {ClipboardEvent} event - Paste event
+ * @returns {File[]}
+ */
+export const getClipboardImageFiles = (event) => {
+  const items = Array.from(event.clipboardData?.items ?? []);
+  const pastedAt = Date.now();
+
+  return items
+    .filter((item) => item.kind === 'file' && item.type.startsWith('image/'))
+    .map((item, index) => {
+      const file = item.getAsFile();
+      const extension = PASTE_EXTENSIONS[file.type] ?? 'img';
+      // Screenshots are all named image.png, so give each paste its own name
+      return new File([file], `pasted-image-${pastedAt}-${index + 1}.${extension}`, {
+        type: file.type,
+        lastModified: pastedAt
+      });
+    });
+};
@@ -0,0 +1,102 @@
+/**
+ * Frame Archive
+ * Bundles every GIF frame into one ZIP with zero-padded file names, a
+ * manifest of delays and grid size, and optional text versions of each frame.
+ */
+
+import { exportAsImage, ImageProcessingError } from './imageProcessor.js';
+import { exportAsSVG } from './svgExporter.js';
+import { getTextRenderer, renderText } from './textRenderers.js';
+import { createZip } from './zipWriter.js';
+
+/**
+ * Frame archive manifest identification
+ */
+export const FRAME_ARCHIVE_FORMAT = {
+  NAME: 'checkbox-frames',
+  VERSION: 1,
+  MANIFEST: 'manifest.json',
+  MIN_INDEX_DIGITS: 3
+};
+
+/**
+ * Builds the zero-padded base name of a frame, e.g. frame_001
+ * @param {number} index - Frame index (0-based)
+ * @param {number} frameCount - Number of frames, which sets the padding
+ * @returns {string}
+ */
+export const getFrameFileName = (index, frameCount) => {
+  const digits = Math.max(FRAME_ARCHIVE_FORMAT.MIN_INDEX_DIGITS, String(frameCount).length);
+  return `frame_${String(index + 1).padStart(digits, '0')}`;
+};
+
+/**
+ * Creates a ZIP of all frames
+ * @param {{checkboxStates: boolean[], delay: number}[]} frames - Frames in playback order
+ * @param {number} gridWidth - Grid width
+ * @param {number} gridHeight - Grid height
+ * @param {Object} [options] - Archive options
+ * @param {'png'|'svg'} [options.imageFormat] - Image format of each frame
+ * @param {string} [options.exportSize] - PNG export size ('Small', 'Medium' or 'Large')
+ * @param {number} [options.levels] - Level count; multi-level PNG cells are shaded
+ * @param {string[]} [options.palette] - Palette of a color grid; PNG cells are drawn in their palette color
+ * @param {Object} [options.svgOptions] - SVG export options (see SVG_EXPORT_DEFAULTS); levels and palette apply to SVG frames too
+ * @param {string|null} [options.textRenderer] - Text renderer for text versions, or null for none
+ * @param {Object} [options.textOptions] - Text renderer options, e.g. {glyphs}
+ * @param {number} [options.loopCount] - GIF loop count, recorded in the manifest
+ * @returns {Promise<Blob>}
+ */
+export const createFramesArchive = async (frames, gridWidth, gridHeight, {
+  imageFormat = 'png',
+  exportSize = 'Medium',
+  levels = 2,
+  palette = null,
+  svgOptions = {},
+  textRenderer = null,
+  textOptions = {},
+  loopCount = 0
+} = {}) => {
+  if (frames.length === 0) {
+    throw new ImageProcessingError('No frames to export', 'NO_FRAMES');
+  }
+
+  const textExtension = textRenderer ? getTextRenderer(textRenderer).extension : null;
+  const entries = [];
+  const manifestFrames = [];
+
+  for (let i = 0; i < frames.length; i++) {
+    const { checkboxStates, delay } = frames[i];
+    const baseName = getFrameFileName(i, frames.length);
+    const imageName = `${baseName}.${imageFormat}`;
+
+    entries.push(imageFormat === 'svg'
+      ? { name: imageName, data: exportAsSVG(checkboxStates, gridWidth, gridHeight, { ...svgOptions, levels, palette }) }
+      // PNGs are already compressed
+      : { name: imageName, data: await exportAsImage(checkboxStates, gridWidth, gridHeight, exportSize, { levels, palette }), compress: false });
+
+    const frameEntry = { index: i + 1, delay, image: imageName };
+    if (textExtension) {
+      frameEntry.text = `${baseName}.${textExtension}`;
+      entries.push({ name: frameEntry.text, data: `${renderText(checkboxStates, gridWidth, gridHeight, textRenderer, { levels, ...textOptions })}\n` });
+    }
+    manifestFrames.push(frameEntry);
+  }
+
+  const manifest = {
+    format: FRAME_ARCHIVE_FORMAT.NAME,
+    version: FRAME_ARCHIVE_FORMAT.VERSION,
+    gridWidth,
+    gridHeight,
+    frameCount: frames.length,
+    loopCount,
+    levels,
+    ...(palette ? { palette } : {}),
+    totalDuration: frames.reduce((sum, { delay }) => sum + delay, 0),
+    imageFormat,
+    ...(imageFormat === 'png' ? { exportSize } : {}),
+    textFormat: textRenderer,
+    frames: manifestFrames
+  };
+
+  return createZip([{ name: FRAME_ARCHIVE_FORMAT.MANIFEST, data: JSON.stringify(manifest, null, 2) }, ...entries]);
+};
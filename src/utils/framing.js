@@ -0,0 +1,274 @@
+/**
+ * Framing
+ * Chooses which part of the source becomes the grid: quarter-turn rotation,
+ * flips, a crop rectangle and zoom/pan inside the crop. Flips, crop and pan
+ * are all expressed in the rotated orientation, the way the image is shown in
+ * the framing editor. The transform is applied while the source is resized to
+ * grid size, so every GIF frame and every reprocess gets the same framing.
+ */
+
+import { ImageProcessingError, createCanvas, createOptimizedContext, resizeImageData } from './imageProcessor.js';
+
+/**
+ * Framing defaults; these keep the whole image as it is
+ */
+export const FRAMING_DEFAULTS = {
+  rotation: 0,           // Clockwise degrees: 0, 90, 180 or 270
+  flipHorizontal: false,
+  flipVertical: false,
+  crop: null,            // {x, y, width, height} as fractions of the rotated image, or null for all of it
+  zoom: 1,               // Magnification inside the crop
+  panX: 0,               // -1 (left edge) to 1 (right edge) of the zoomed view inside the crop
+  panY: 0                // -1 (top edge) to 1 (bottom edge)
+};
+
+/**
+ * Framing limits
+ */
+export const FRAMING_LIMITS = {
+  MIN_CROP: 0.02, // Smallest crop side as a fraction of the image
+  MAX_ZOOM: 8
+};
+
+const ROTATIONS = [0, 90, 180, 270];
+
+/**
+ * Checks whether framing would leave the image unchanged
+ * @param {Object} [framing] - Framing settings
+ * @returns {boolean}
+ */
+export const isIdentityFraming = (framing) => {
+  return !framing || (
+    (framing.rotation ?? 0) === 0 &&
+    !framing.flipHorizontal &&
+    !framing.flipVertical &&
+    !framing.crop &&
+    (framing.zoom ?? 1) === 1
+  );
+};
+
+/**
+ * Validates framing settings
+ * @param {Object} framing - Framing settings
+ * @throws {ImageProcessingError}
+ */
+export const validateFraming = ({ rotation, crop, zoom, panX, panY }) => {
+  if (!ROTATIONS.includes(rotation)) {
+    throw new ImageProcessingError(`Rotation must be one of ${ROTATIONS.join(', ')}`, 'INVALID_FRAMING');
+  }
+  if (crop && !(
+    crop.width >= FRAMING_LIMITS.MIN_CROP && crop.height >= FRAMING_LIMITS.MIN_CROP &&
+    crop.x >= 0 && crop.y >= 0 && crop.x + crop.width <= 1 + 1e-9 && crop.y + crop.height <= 1 + 1e-9
+  )) {
+    throw new ImageProcessingError('Crop must lie inside the image', 'INVALID_FRAMING');
+  }
+  if (typeof zoom !== 'number' || !(zoom >= 1 && zoom <= FRAMING_LIMITS.MAX_ZOOM)) {
+    throw new ImageProcessingError(`Zoom must be between 1 and ${FRAMING_LIMITS.MAX_ZOOM}`, 'INVALID_FRAMING');
+  }
+  if (!(Math.abs(panX) <= 1 && Math.abs(panY) <= 1)) {
+    throw new ImageProcessingError('Pan must be between -1 and 1', 'INVALID_FRAMING');
+  }
+};
+
+/**
+ * Builds a string identifying framing settings, for cache keys
+ * @param {Object} [framing] - Framing settings
+ * @returns {string} - Empty for identity framing
+ */
+export const getFramingKey = (framing) => {
+  if (isIdentityFraming(framing)) return '';
+  const { rotation, flipHorizontal, flipVertical, crop, zoom, panX, panY } = { ...FRAMING_DEFAULTS, ...framing };
+  const cropKey = crop ? [crop.x, crop.y, crop.width, crop.height].join(',') : 'full';
+  return `r${rotation}${flipHorizontal ? 'h' : ''}${flipVertical ? 'v' : ''}|${cropKey}|${zoom},${panX},${panY}`;
+};
+
+/**
+ * Source size after rotation
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @param {number} rotation - Clockwise degrees
+ * @returns {{width: number, height: number}}
+ */
+export const getOrientedSize = (width, height, rotation = 0) => {
+  return rotation % 180 === 0 ? { width, height } : { width: height, height: width };
+};
+
+/**
+ * The part of the rotated source that fills the grid, in rotated source pixels
+ * @param {number} sourceWidth - Source width
+ * @param {number} sourceHeight - Source height
+ * @param {Object} [framing] - Framing settings
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export const getViewRect = (sourceWidth, sourceHeight, framing) => {
+  const { rotation, crop, zoom, panX, panY } = { ...FRAMING_DEFAULTS, ...framing };
+  const oriented = getOrientedSize(sourceWidth, sourceHeight, rotation);
+  const { x, y, width, height } = crop ?? { x: 0, y: 0, width: 1, height: 1 };
+
+  // Zoom shrinks the view inside the crop; pan slides it between the crop edges
+  const cropWidth = width * oriented.width;
+  const cropHeight = height * oriented.height;
+  const viewWidth = cropWidth / zoom;
+  const viewHeight = cropHeight / zoom;
+  return {
+    x: x * oriented.width + ((cropWidth - viewWidth) * (1 + panX)) / 2,
+    y: y * oriented.height + ((cropHeight - viewHeight) * (1 + panY)) / 2,
+    width: viewWidth,
+    height: viewHeight
+  };
+};
+
+/**
+ * Source dimensions as framed, used to derive the grid aspect ratio
+ * @param {{width: number, height: number}} dimensions - Source dimensions
+ * @param {Object} [framing] - Framing settings
+ * @returns {{width: number, height: number}}
+ */
+export const getFramedDimensions = ({ width, height }, framing) => {
+  if (isIdentityFraming(framing)) return { width, height };
+  const view = getViewRect(width, height, framing);
+  return { width: Math.max(1, Math.round(view.width)), height: Math.max(1, Math.round(view.height)) };
+};
+
+/**
+ * Draws a source onto a canvas with rotation, flips, crop and zoom/pan applied
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Target context
+ * @param {CanvasImageSource} source - Image, bitmap or canvas to draw
+ * @param {number} sourceWidth - Source width
+ * @param {number} sourceHeight - Source height
+ * @param {number} targetWidth - Target width
+ * @param {number} targetHeight - Target height
+ * @param {Object} [framing] - Framing settings (see FRAMING_DEFAULTS), or null for the whole source
+ */
+export const drawFramed = (ctx, source, sourceWidth, sourceHeight, targetWidth, targetHeight, framing = null) => {
+  if (isIdentityFraming(framing)) {
+    ctx.drawImage(source, 0, 0, targetWidth, targetHeight);
+    return;
+  }
+
+  const settings = { ...FRAMING_DEFAULTS, ...framing };
+  validateFraming(settings);
+  const oriented = getOrientedSize(sourceWidth, sourceHeight, settings.rotation);
+  const view = getViewRect(sourceWidth, sourceHeight, settings);
+
+  // Source pixel -> rotated pixel as [a, b, c, d, e, f]: x' = a*x + c*y + e, y' = b*x + d*y + f
+  let [a, b, c, d, e, f] = {
+    0: [1, 0, 0, 1, 0, 0],
+    90: [0, 1, -1, 0, sourceHeight, 0],
+    180: [-1, 0, 0, -1, sourceWidth, sourceHeight],
+    270: [0, -1, 1, 0, 0, sourceWidth]
+  }[settings.rotation];
+  if (settings.flipHorizontal) {
+    [a, c, e] = [-a, -c, oriented.width - e];
+  }
+  if (settings.flipVertical) {
+    [b, d, f] = [-b, -d, oriented.height - f];
+  }
+
+  ctx.save();
+  // Map the view rectangle onto the whole target, then orient the source into it
+  ctx.scale(targetWidth / view.width, targetHeight / view.height);
+  ctx.translate(-view.x, -view.y);
+  ctx.transform(a, b, c, d, e, f);
+  ctx.drawImage(source, 0, 0, sourceWidth, sourceHeight);
+  ctx.restore();
+};
+
+/**
+ * Frames image data and resizes it to the target dimensions
+ * @param {ImageData} imageData - Source image data, e.g. a GIF frame
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @param {Object} [framing] - Framing settings, or null to only resize
+ * @returns {ImageData}
+ */
+export const frameImageData = (imageData, width, height, framing = null) => {
+  if (isIdentityFraming(framing)) return resizeImageData(imageData, width, height);
+
+  const sourceCanvas = createCanvas(imageData.width, imageData.height);
+  createOptimizedContext(sourceCanvas).putImageData(imageData, 0, 0);
+
+  const canvas = createCanvas(width, height);
+  const ctx = createOptimizedContext(canvas);
+  drawFramed(ctx, sourceCanvas, imageData.width, imageData.height, width, height, framing);
+  return ctx.getImageData(0, 0, width, height);
+};
+
+/**
+ * Maps a crop rectangle through a clockwise quarter turn
+ * @param {Object} crop - Crop as fractions
+ * @returns {Object}
+ */
+const rotateCropClockwise = ({ x, y, width, height }) => ({ x: 1 - y - height, y: x, width: height, height: width });
+
+/**
+ * Rotates the framed image by a quarter turn, carrying the crop and pan along
+ * Flips are applied after rotation, so turning a flipped image swaps the flip axis.
+ * @param {Object} framing - Framing settings
+ * @param {number} direction - 1 for clockwise, -1 for counter-clockwise
+ * @returns {Object} - New framing settings
+ */
+export const rotateFraming = (framing, direction) => {
+  let next = { ...FRAMING_DEFAULTS, ...framing };
+  const turns = direction > 0 ? 1 : 3;
+  for (let turn = 0; turn < turns; turn++) {
+    next = {
+      ...next,
+      rotation: (next.rotation + 90) % 360,
+      flipHorizontal: next.flipVertical,
+      flipVertical: next.flipHorizontal,
+      crop: next.crop && rotateCropClockwise(next.crop),
+      panX: -next.panY,
+      panY: next.panX
+    };
+  }
+  return next;
+};
+
+/**
+ * Mirrors the framed image, carrying the crop and pan along
+ * @param {Object} framing - Framing settings
+ * @param {'horizontal'|'vertical'} axis - Flip direction as seen in the editor
+ * @returns {Object} - New framing settings
+ */
+export const flipFraming = (framing, axis) => {
+  const next = { ...FRAMING_DEFAULTS, ...framing };
+  const { crop } = next;
+  if (axis === 'horizontal') {
+    return {
+      ...next,
+      flipHorizontal: !next.flipHorizontal,
+      crop: crop && { ...crop, x: 1 - crop.x - crop.width },
+      panX: -next.panX
+    };
+  }
+  return {
+    ...next,
+    flipVertical: !next.flipVertical,
+    crop: crop && { ...crop, y: 1 - crop.y - crop.height },
+    panY: -next.panY
+  };
+};
+
+/**
+ * Shrinks a crop around its center to an aspect ratio
+ * @param {Object|null} crop - Crop as fractions, or null for the whole image
+ * @param {number} aspect - Target width / height in pixels
+ * @param {number} orientedWidth - Rotated source width
+ * @param {number} orientedHeight - Rotated source height
+ * @returns {Object} - Crop as fractions
+ */
+export const fitCropToAspect = (crop, aspect, orientedWidth, orientedHeight) => {
+  const { x, y, width, height } = crop ?? { x: 0, y: 0, width: 1, height: 1 };
+  const pixelWidth = width * orientedWidth;
+  const pixelHeight = height * orientedHeight;
+
+  const fittedWidth = Math.min(pixelWidth, pixelHeight * aspect) / orientedWidth;
+  const fittedHeight = Math.min(pixelHeight, pixelWidth / aspect) / orientedHeight;
+  return {
+    x: x + (width - fittedWidth) / 2,
+    y: y + (height - fittedHeight) / 2,
+    width: fittedWidth,
+    height: fittedHeight
+  };
+};
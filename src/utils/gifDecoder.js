@@ -0,0 +1,459 @@
+/**
+ * GIF89a Decoder
+ * Parses GIF byte streams (LZW image data, color tables, extensions) and
+ * composites the frames with their disposal methods applied
+ */
+
+import { ImageProcessingError } from './imageProcessor.js';
+
+/**
+ * GIF block and format constants
+ */
+const GIF_FORMAT = {
+  SIGNATURES: ['GIF87a', 'GIF89a'],
+  EXTENSION_INTRODUCER: 0x21,
+  IMAGE_SEPARATOR: 0x2c,
+  TRAILER: 0x3b,
+  GRAPHIC_CONTROL_LABEL: 0xf9,
+  APPLICATION_LABEL: 0xff,
+  MAX_CODE_SIZE: 12,
+  MAX_DICTIONARY_SIZE: 4096
+};
+
+/**
+ * Disposal methods from the Graphic Control Extension
+ */
+export const DISPOSAL_METHODS = {
+  UNSPECIFIED: 0,
+  DO_NOT_DISPOSE: 1,
+  RESTORE_TO_BACKGROUND: 2,
+  RESTORE_TO_PREVIOUS: 3
+};
+
+/**
+ * Sequential little-endian reader over a GIF byte stream
+ */
+class ByteReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.position = 0;
+  }
+
+  get remaining() {
+    return this.bytes.length - this.position;
+  }
+
+  ensure(count) {
+    if (this.remaining < count) {
+      throw new ImageProcessingError('Unexpected end of GIF data', 'GIF_TRUNCATED');
+    }
+  }
+
+  readByte() {
+    this.ensure(1);
+    return this.bytes[this.position++];
+  }
+
+  readUint16() {
+    this.ensure(2);
+    const value = this.bytes[this.position] | (this.bytes[this.position + 1] << 8);
+    this.position += 2;
+    return value;
+  }
+
+  readBytes(count) {
+    this.ensure(count);
+    const slice = this.bytes.subarray(this.position, this.position + count);
+    this.position += count;
+    return slice;
+  }
+
+  readString(count) {
+    return String.fromCharCode(...this.readBytes(count));
+  }
+
+  /**
+   * Reads a chain of data sub-blocks into one contiguous array
+   * @returns {Uint8Array}
+   */
+  readSubBlocks() {
+    const chunks = [];
+    let total = 0;
+    let size = this.readByte();
+
+    while (size !== 0) {
+      chunks.push(this.readBytes(size));
+      total += size;
+      size = this.readByte();
+    }
+
+    const data = new Uint8Array(total);
+    let offset = 0;
+    for (const chunk of chunks) {
+      data.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return data;
+  }
+
+  skipSubBlocks() {
+    let size = this.readByte();
+    while (size !== 0) {
+      this.readBytes(size);
+      size = this.readByte();
+    }
+  }
+}
+
+/**
+ * Reads a color table of the given entry count
+ * @param {ByteReader} reader - Byte reader positioned at the table
+ * @param {number} entryCount - Number of RGB entries
+ * @returns {Uint8Array} - Packed RGB triplets
+ */
+const readColorTable = (reader, entryCount) => {
+  return reader.readBytes(entryCount * 3).slice();
+};
+
+/**
+ * Decompresses GIF LZW image data into color indices
+ * @param {number} minCodeSize - LZW minimum code size from the image block
+ * @param {Uint8Array} data - Concatenated image data sub-blocks
+ * @param {number} pixelCount - Number of pixels expected
+ * @returns {Uint8Array} - Color index per pixel
+ */
+export const decodeLZW = (minCodeSize, data, pixelCount) => {
+  if (minCodeSize < 2 || minCodeSize > 8) {
+    throw new ImageProcessingError(`Invalid LZW minimum code size: ${minCodeSize}`, 'GIF_PARSE_ERROR');
+  }
+
+  const output = new Uint8Array(pixelCount);
+  const prefix = new Uint16Array(GIF_FORMAT.MAX_DICTIONARY_SIZE);
+  const suffix = new Uint8Array(GIF_FORMAT.MAX_DICTIONARY_SIZE);
+  const stack = new Uint8Array(GIF_FORMAT.MAX_DICTIONARY_SIZE + 1);
+
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+
+  let codeSize = minCodeSize + 1;
+  let codeMask = (1 << codeSize) - 1;
+  let nextCode = clearCode + 2;
+  let previousCode = -1;
+  let firstByte = 0;
+
+  for (let code = 0; code < clearCode; code++) {
+    suffix[code] = code;
+  }
+
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let dataPosition = 0;
+  let outputPosition = 0;
+  let stackTop = 0;
+
+  while (outputPosition < pixelCount) {
+    if (stackTop > 0) {
+      output[outputPosition++] = stack[--stackTop];
+      continue;
+    }
+
+    if (bitCount < codeSize) {
+      if (dataPosition >= data.length) break;
+      bitBuffer |= data[dataPosition++] << bitCount;
+      bitCount += 8;
+      continue;
+    }
+
+    let code = bitBuffer & codeMask;
+    bitBuffer >>= codeSize;
+    bitCount -= codeSize;
+
+    if (code === clearCode) {
+      codeSize = minCodeSize + 1;
+      codeMask = (1 << codeSize) - 1;
+      nextCode = clearCode + 2;
+      previousCode = -1;
+      continue;
+    }
+
+    if (code === endCode) break;
+
+    if (previousCode === -1) {
+      if (code >= clearCode) break;
+      stack[stackTop++] = suffix[code];
+      previousCode = code;
+      firstByte = code;
+      continue;
+    }
+
+    if (code > nextCode) break;
+
+    const incomingCode = code;
+
+    // KwKwK case: the code is the one about to be defined
+    if (code === nextCode) {
+      stack[stackTop++] = firstByte;
+      code = previousCode;
+    }
+
+    while (code > clearCode) {
+      stack[stackTop++] = suffix[code];
+      code = prefix[code];
+    }
+
+    firstByte = suffix[code];
+    stack[stackTop++] = firstByte;
+
+    if (nextCode < GIF_FORMAT.MAX_DICTIONARY_SIZE) {
+      prefix[nextCode] = previousCode;
+      suffix[nextCode] = firstByte;
+      nextCode++;
+
+      if ((nextCode & codeMask) === 0 && codeSize < GIF_FORMAT.MAX_CODE_SIZE) {
+        codeSize++;
+        codeMask = (1 << codeSize) - 1;
+      }
+    }
+
+    previousCode = incomingCode;
+  }
+
+  return output;
+};
+
+/**
+ * Reorders interlaced rows into top-to-bottom order
+ * @param {Uint8Array} pixels - Color indices in interlaced row order
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Uint8Array} - Color indices in natural row order
+ */
+export const deinterlace = (pixels, width, height) => {
+  const result = new Uint8Array(pixels.length);
+  const passes = [
+    { start: 0, step: 8 },
+    { start: 4, step: 8 },
+    { start: 2, step: 4 },
+    { start: 1, step: 2 }
+  ];
+
+  let sourceRow = 0;
+  for (const { start, step } of passes) {
+    for (let row = start; row < height; row += step) {
+      const from = sourceRow * width;
+      result.set(pixels.subarray(from, from + width), row * width);
+      sourceRow++;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Parses a GIF byte stream into its logical screen and raw frames
+ * @param {ArrayBuffer|Uint8Array} buffer - GIF file contents
+ * @param {Object} options - Parse options
+ * @param {number} options.maxFrames - Stop after this many frames
+ * @returns {{width: number, height: number, backgroundIndex: number, globalColorTable: Uint8Array|null, loopCount: number|null, frames: Object[]}}
+ */
+export const parseGIF = (buffer, { maxFrames = Infinity } = {}) => {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const reader = new ByteReader(bytes);
+
+  if (bytes.length < 13 || !GIF_FORMAT.SIGNATURES.includes(reader.readString(6))) {
+    throw new ImageProcessingError('Not a valid GIF file', 'GIF_PARSE_ERROR');
+  }
+
+  // Logical Screen Descriptor
+  const width = reader.readUint16();
+  const height = reader.readUint16();
+  const screenFlags = reader.readByte();
+  const backgroundIndex = reader.readByte();
+  reader.readByte(); // Pixel aspect ratio (ignored)
+
+  const globalColorTable = screenFlags & 0x80
+    ? readColorTable(reader, 2 << (screenFlags & 0x07))
+    : null;
+
+  const frames = [];
+  let loopCount = null;
+  let graphicControl = null;
+
+  try {
+    while (reader.remaining > 0 && frames.length < maxFrames) {
+      const blockType = reader.readByte();
+
+      if (blockType === GIF_FORMAT.TRAILER) break;
+
+      if (blockType === GIF_FORMAT.EXTENSION_INTRODUCER) {
+        const label = reader.readByte();
+
+        if (label === GIF_FORMAT.GRAPHIC_CONTROL_LABEL) {
+          const block = reader.readSubBlocks();
+          const flags = block[0] ?? 0;
+          graphicControl = {
+            disposalMethod: (flags >> 2) & 0x07,
+            delay: ((block[1] ?? 0) | ((block[2] ?? 0) << 8)) * 10,
+            transparentIndex: flags & 0x01 ? block[3] ?? null : null
+          };
+        } else if (label === GIF_FORMAT.APPLICATION_LABEL) {
+          const blockSize = reader.readByte();
+          const identifier = reader.readString(blockSize);
+          const data = reader.readSubBlocks();
+          if ((identifier === 'NETSCAPE2.0' || identifier === 'ANIMEXTS1.0') && data[0] === 1) {
+            loopCount = data[1] | (data[2] << 8);
+          }
+        } else {
+          reader.skipSubBlocks();
+        }
+        continue;
+      }
+
+      if (blockType === GIF_FORMAT.IMAGE_SEPARATOR) {
+        // Image Descriptor
+        const left = reader.readUint16();
+        const top = reader.readUint16();
+        const frameWidth = reader.readUint16();
+        const frameHeight = reader.readUint16();
+        const imageFlags = reader.readByte();
+        const interlaced = (imageFlags & 0x40) !== 0;
+
+        const localColorTable = imageFlags & 0x80
+          ? readColorTable(reader, 2 << (imageFlags & 0x07))
+          : null;
+
+        const minCodeSize = reader.readByte();
+        const imageData = reader.readSubBlocks();
+
+        const colorTable = localColorTable || globalColorTable;
+        if (!colorTable) {
+          throw new ImageProcessingError('GIF frame has no color table', 'GIF_PARSE_ERROR');
+        }
+
+        let pixels = decodeLZW(minCodeSize, imageData, frameWidth * frameHeight);
+        if (interlaced) {
+          pixels = deinterlace(pixels, frameWidth, frameHeight);
+        }
+
+        frames.push({
+          left,
+          top,
+          width: frameWidth,
+          height: frameHeight,
+          colorTable,
+          pixels,
+          delay: graphicControl?.delay ?? 0,
+          disposalMethod: graphicControl?.disposalMethod ?? DISPOSAL_METHODS.UNSPECIFIED,
+          transparentIndex: graphicControl?.transparentIndex ?? null
+        });
+
+        // A Graphic Control Extension only applies to the next image
+        graphicControl = null;
+        continue;
+      }
+
+      throw new ImageProcessingError(
+        `Unknown GIF block type: 0x${blockType.toString(16)}`,
+        'GIF_PARSE_ERROR'
+      );
+    }
+  } catch (error) {
+    // Many GIFs in the wild are truncated; keep whatever frames decoded cleanly
+    if (frames.length === 0) throw error;
+  }
+
+  if (frames.length === 0) {
+    throw new ImageProcessingError('GIF contains no image frames', 'GIF_PARSE_ERROR');
+  }
+
+  return {
+    width,
+    height,
+    backgroundIndex,
+    globalColorTable,
+    loopCount,
+    frames
+  };
+};
+
+/**
+ * Draws a parsed frame onto the RGBA canvas buffer, skipping transparent pixels
+ * @param {Uint8ClampedArray} canvas - RGBA buffer of the logical screen
+ * @param {number} canvasWidth - Logical screen width
+ * @param {number} canvasHeight - Logical screen height
+ * @param {Object} frame - Parsed frame from parseGIF
+ */
+const drawFrame = (canvas, canvasWidth, canvasHeight, frame) => {
+  const { left, top, width, height, colorTable, pixels, transparentIndex } = frame;
+
+  for (let y = 0; y < height; y++) {
+    const canvasY = top + y;
+    if (canvasY >= canvasHeight) break;
+
+    for (let x = 0; x < width; x++) {
+      const canvasX = left + x;
+      if (canvasX >= canvasWidth) break;
+
+      const colorIndex = pixels[y * width + x];
+      if (colorIndex === transparentIndex) continue;
+
+      const colorOffset = colorIndex * 3;
+      if (colorOffset + 2 >= colorTable.length) continue;
+
+      const target = (canvasY * canvasWidth + canvasX) * 4;
+      canvas[target] = colorTable[colorOffset];
+      canvas[target + 1] = colorTable[colorOffset + 1];
+      canvas[target + 2] = colorTable[colorOffset + 2];
+      canvas[target + 3] = 255;
+    }
+  }
+};
+
+/**
+ * Clears a frame's rectangle on the canvas buffer to transparent
+ * @param {Uint8ClampedArray} canvas - RGBA buffer of the logical screen
+ * @param {number} canvasWidth - Logical screen width
+ * @param {number} canvasHeight - Logical screen height
+ * @param {Object} frame - Parsed frame whose area is cleared
+ */
+const clearFrameArea = (canvas, canvasWidth, canvasHeight, frame) => {
+  const right = Math.min(frame.left + frame.width, canvasWidth);
+  const bottom = Math.min(frame.top + frame.height, canvasHeight);
+
+  for (let y = frame.top; y < bottom; y++) {
+    canvas.fill(0, (y * canvasWidth + frame.left) * 4, (y * canvasWidth + right) * 4);
+  }
+};
+
+/**
+ * Composites parsed frames into full-size RGBA snapshots
+ * Disposal methods 0 and 1 leave the frame in place, 2 clears its area to
+ * transparent (as browsers do) and 3 restores the canvas from before the frame.
+ * @param {Object} gif - Result of parseGIF
+ * @returns {{data: Uint8ClampedArray, delay: number, disposalMethod: number}[]}
+ */
+export const compositeGIFFrames = (gif) => {
+  const { width, height, frames } = gif;
+  const canvas = new Uint8ClampedArray(width * height * 4);
+
+  return frames.map((frame) => {
+    const previous = frame.disposalMethod === DISPOSAL_METHODS.RESTORE_TO_PREVIOUS
+      ? canvas.slice()
+      : null;
+
+    drawFrame(canvas, width, height, frame);
+    const snapshot = canvas.slice();
+
+    if (frame.disposalMethod === DISPOSAL_METHODS.RESTORE_TO_BACKGROUND) {
+      clearFrameArea(canvas, width, height, frame);
+    } else if (previous) {
+      canvas.set(previous);
+    }
+
+    return {
+      data: snapshot,
+      delay: frame.delay,
+      disposalMethod: frame.disposalMethod
+    };
+  });
+};
@@ -3,19 +3,23 @@
  * Handles animated GIF processing with frame extraction and animation
  */
 
-import { ImageProcessingError } from './imageProcessor.js';
+import {
+  ImageProcessingError,
+  PROCESSING_STAGES,
+  throwIfAborted,
+  convertImageDataToGrayscale,
+  convertGrayscaleToStates,
+  getExportPixelSize
+} from './imageProcessor.js';
+import { calculateMultiOtsuThresholds, getCellFill } from './quantization.js';
+import { buildPalette, mapToPalette } from './palette.js';
+import { applyAdjustments } from './adjustments.js';
+import { detectEdges } from './edgeDetection.js';
+import { frameImageData, getFramingKey } from './framing.js';
+import { getProcessingCacheKey, getCachedProcessing, setCachedProcessing } from './processingCache.js';
+import { GIFFrame, extractGIFrames } from './gifFrameExtractor.js';
 
-/**
- * GIF frame data structure
- */
-class GIFFrame {
-  constructor(imageData, delay, disposalMethod) {
-    this.imageData = imageData;
-    this.delay = delay; // Delay in milliseconds
-    this.disposalMethod = disposalMethod; // How to dispose of this frame
-    this.checkboxStates = null; // Will be populated after processing
-  }
-}
+export { extractGIFrames };
 
 /**
  * GIF processing configuration
@@ -25,6 +29,8 @@ const GIF_CONFIG = {
   MIN_DELAY: 50,   // Minimum delay between frames (ms)
   MAX_DELAY: 5000, // Maximum delay between frames (ms)
   DEFAULT_DELAY: 100, // Default delay if not specified
+  ENCODER_WORKERS: 2, // Web workers used by the GIF encoder
+  ENCODER_QUALITY: 10, // Encoder color sampling interval (lower is better)
   SUPPORTED_FORMATS: ['image/gif']
 };
 
@@ -74,244 +80,252 @@ const createCanvas = (width, height) => {
 };
 
 /**
- * Extracts frames from GIF using canvas
- * @param {File} gifFile - GIF file to process
- * @returns {Promise<{frames: GIFFrame[], width: number, height: number}>}
+ * Reduces a GIF frame to grid-sized grayscale image data
+ * @param {GIFFrame} frame - Source frame
+ * @param {number} gridWidth - Target grid width
+ * @param {number} gridHeight - Target grid height
+ * @param {Object} [framing] - Framing settings (see FRAMING_DEFAULTS), or null for the whole frame
+ * @returns {ImageData} - Grayscale image data at grid size
  */
-export const extractGIFrames = async (gifFile) => {
-  return new Promise((resolve, reject) => {
-    const img = new Image();
-    
-    img.onload = () => {
-      try {
-        const canvas = createCanvas(img.width, img.height);
-        const ctx = canvas.getContext('2d');
-        
-        // Get GIF metadata
-        const frames = [];
-        let currentTime = 0;
-        
-        // Create a temporary canvas for each frame
-        const tempCanvas = createCanvas(img.width, img.height);
-        const tempCtx = tempCanvas.getContext('2d');
-        
-        // Draw the GIF and extract frames
-        const drawFrame = (timestamp) => {
-          // Clear canvas
-          tempCtx.clearRect(0, 0, img.width, img.height);
-          
-          // Draw current frame
-          tempCtx.drawImage(img, 0, 0);
-          
-          // Get image data for this frame
-          const imageData = tempCtx.getImageData(0, 0, img.width, img.height);
-          
-          // Create frame object
-          const frame = new GIFFrame(
-            imageData,
-            GIF_CONFIG.DEFAULT_DELAY, // Default delay
-            2 // Default disposal method (clear background)
-          );
-          
-          frames.push(frame);
-          
-          // Check if we have too many frames
-          if (frames.length >= GIF_CONFIG.MAX_FRAMES) {
-            resolve({
-              frames,
-              width: img.width,
-              height: img.height
-            });
-            return;
-          }
-          
-          // Continue to next frame if available
-          if (timestamp < 10000) { // 10 second limit
-            requestAnimationFrame(drawFrame);
-          } else {
-            resolve({
-              frames,
-              width: img.width,
-              height: img.height
-            });
-          }
-        };
-        
-        // Start frame extraction
-        requestAnimationFrame(drawFrame);
-        
-      } catch (error) {
-        reject(new ImageProcessingError(`GIF frame extraction failed: ${error.message}`, 'GIF_EXTRACTION_ERROR'));
-      }
-    };
-    
-    img.onerror = () => {
-      reject(new ImageProcessingError('Failed to load GIF', 'GIF_LOAD_ERROR'));
-    };
-    
-    img.src = URL.createObjectURL(gifFile);
-  });
+export const reduceGIFrame = (frame, gridWidth, gridHeight, framing = null) => {
+  return frameImageData(convertImageDataToGrayscale(frame.imageData), gridWidth, gridHeight, framing);
 };
 
 /**
- * Converts image data to grayscale
- * @param {ImageData} imageData - Image data to convert
- * @returns {ImageData} - Grayscale image data
+ * Reduces a GIF frame to grid-sized color image data, for palette quantization
+ * @param {GIFFrame} frame - Source frame
+ * @param {number} gridWidth - Target grid width
+ * @param {number} gridHeight - Target grid height
+ * @param {Object} [framing] - Framing settings (see FRAMING_DEFAULTS), or null for the whole frame
+ * @returns {ImageData} - Color image data at grid size
  */
-const convertToGrayscale = (imageData) => {
-  const data = imageData.data;
-  const grayscaleData = new ImageData(imageData.width, imageData.height);
-  const grayscaleArray = grayscaleData.data;
-  
-  for (let i = 0; i < data.length; i += 4) {
-    const r = data[i];
-    const g = data[i + 1];
-    const b = data[i + 2];
-    
-    // Convert to grayscale using luminance formula
-    const gray = Math.round(0.299 * r + 0.587 * g + 0.114 * b);
-    
-    grayscaleArray[i] = gray;     // Red
-    grayscaleArray[i + 1] = gray; // Green
-    grayscaleArray[i + 2] = gray; // Blue
-    grayscaleArray[i + 3] = data[i + 3]; // Alpha
-  }
-  
-  return grayscaleData;
+export const reduceGIFrameColor = (frame, gridWidth, gridHeight, framing = null) => {
+  return frameImageData(frame.imageData, gridWidth, gridHeight, framing);
 };
 
 /**
- * Applies threshold to grayscale image data
- * @param {ImageData} imageData - Grayscale image data
- * @param {number} threshold - Threshold value (0-255)
- * @param {number} gridSize - Target grid size
- * @returns {boolean[]} - Array of boolean values representing checkbox states
+ * Converts a single GIF frame to checkbox states
+ * @param {GIFFrame} frame - Source frame
+ * @param {number} gridWidth - Target grid width
+ * @param {number} gridHeight - Target grid height
+ * @param {number} threshold - Brightness threshold
+ * @param {Object} options - Processing options (see convertGrayscaleToStates), plus adjustments (see ADJUSTMENT_DEFAULTS), edges (see EDGE_DEFAULTS) and framing (see FRAMING_DEFAULTS)
+ * @returns {GIFFrame} - Frame with checkbox states
  */
-const applyThresholdToGrid = (imageData, threshold, gridSize) => {
-  const canvas = createCanvas(gridSize, gridSize);
-  const ctx = canvas.getContext('2d');
-  
-  // Draw and resize the image data
-  const tempCanvas = createCanvas(imageData.width, imageData.height);
-  const tempCtx = tempCanvas.getContext('2d');
-  tempCtx.putImageData(imageData, 0, 0);
-  
-  // Scale to target grid size
-  ctx.drawImage(tempCanvas, 0, 0, gridSize, gridSize);
-  
-  // Get scaled image data
-  const scaledData = ctx.getImageData(0, 0, gridSize, gridSize);
-  const data = scaledData.data;
-  
-  const result = [];
-  for (let i = 0; i < data.length; i += 4) {
-    const gray = data[i]; // All channels are the same in grayscale
-    result.push(gray < threshold);
-  }
-  
-  return result;
+export const processGIFrame = (frame, gridWidth, gridHeight, threshold, options = {}) => {
+  // Convert to grayscale at grid size, adjust, then trace edges or apply threshold or cut points
+  const grayscaleData = applyAdjustments(reduceGIFrame(frame, gridWidth, gridHeight, options.framing), options.adjustments);
+  const checkboxStates = options.edges
+    ? detectEdges(grayscaleData, options.edges)
+    : convertGrayscaleToStates(grayscaleData, threshold, options);
+
+  // Create new frame with checkbox states
+  return new GIFFrame(
+    frame.imageData,
+    frame.delay,
+    frame.disposalMethod,
+    checkboxStates
+  );
 };
 
 /**
  * Processes GIF frames to checkbox states
  * @param {GIFFrame[]} frames - GIF frames
- * @param {number} gridSize - Target grid size
+ * @param {number} gridWidth - Target grid width
+ * @param {number} gridHeight - Target grid height
  * @param {number} threshold - Brightness threshold
+ * @param {Object} options - Processing options, see processGIFrame
  * @returns {GIFFrame[]} - Frames with checkbox states
  */
-export const processGIFrames = (frames, gridSize, threshold) => {
-  return frames.map(frame => {
-    // Convert to grayscale
-    const grayscaleData = convertToGrayscale(frame.imageData);
-    
-    // Apply threshold and convert to grid
-    const checkboxStates = applyThresholdToGrid(grayscaleData, threshold, gridSize);
-    
-    // Create new frame with checkbox states
-    return new GIFFrame(
-      frame.imageData,
-      frame.delay,
-      frame.disposalMethod
-    );
-  });
+export const processGIFrames = (frames, gridWidth, gridHeight, threshold, options = {}) => {
+  return frames.map(frame => processGIFrame(frame, gridWidth, gridHeight, threshold, options));
 };
 
+/**
+ * Yields to the event loop so cancel messages and UI updates can run between frames
+ * @returns {Promise<void>}
+ */
+const yieldToEventLoop = () => new Promise(resolve => setTimeout(resolve, 0));
+
 /**
  * Main GIF processing function
+ * Decoded frames are cached per file and grid size as grid-sized grayscale, so
+ * threshold, adjustment and dither changes only rerun binarization. The
+ * returned frames carry the adjusted grid-sized grayscale as their imageData. Color mode caches
+ * grid-sized color frames instead and builds one palette shared by all frames.
  * @param {File} gifFile - GIF file to process
- * @param {number} gridSize - Target grid size
+ * @param {number} gridWidth - Target grid width
+ * @param {number} gridHeight - Target grid height
  * @param {number} threshold - Brightness threshold
- * @returns {Promise<{frames: GIFFrame[], width: number, height: number}>}
+ * @param {Object} options - Processing options
+ * @param {string} options.ditherMode - Dither mode from DITHER_MODES ('none' for a hard threshold)
+ * @param {number} options.levels - Level count; more than 2 quantizes into levels instead of binarizing
+ * @param {number[]} options.cutPoints - Cut points for multi-level grids, or null for multi-level Otsu on the first frame
+ * @param {Object} options.adjustments - Pre-threshold adjustments (see ADJUSTMENT_DEFAULTS), applied to every frame
+ * @param {Object} options.adaptive - Adaptive settings (see ADAPTIVE_DEFAULTS) to use local thresholds on binary grids, or null
+ * @param {Object} options.edges - Edge settings (see EDGE_DEFAULTS) to trace each frame's edges instead of thresholding, or null
+ * @param {Object} options.color - Color mode settings (see COLOR_MODE_DEFAULTS), or null for grayscale; cells then hold palette indices
+ * @param {Object} options.framing - Rotation, flips, crop and zoom/pan (see FRAMING_DEFAULTS) applied to every frame, or null for the whole frame
+ * @param {Function} options.onProgress - Called with {stage, progress, frameIndex, frameCount, cached}
+ * @param {AbortSignal} options.signal - Cancels processing between stages and frames
+ * @param {boolean} options.useCache - Reuse decoded frames from an earlier run at the same grid size
+ * @returns {Promise<{frames: GIFFrame[], width: number, height: number, frameCount: number, loopCount: number|null, cutPoints: number[]|null, palette: string[]|null}>}
  */
-export const processGIF = async (gifFile, gridSize, threshold) => {
-  try {
+export const processGIF = async (gifFile, gridWidth, gridHeight, threshold, { ditherMode = 'none', levels = 2, cutPoints = null, adjustments = null, adaptive = null, edges = null, color = null, framing = null, onProgress = () => {}, signal, useCache = true } = {}) => {
+  const cacheKey = getProcessingCacheKey(color ? 'gif-color' : 'gif', gifFile, gridWidth, gridHeight, getFramingKey(framing));
+  let decoded = useCache ? getCachedProcessing(cacheKey) : undefined;
+  const cached = Boolean(decoded);
+
+  if (!cached) {
     // Validate GIF file
+    throwIfAborted(signal);
+    onProgress({ stage: PROCESSING_STAGES.VALIDATE, progress: 0 });
     await validateGIF(gifFile);
-    
+
     // Extract frames
-    const { frames, width, height } = await extractGIFrames(gifFile);
-    
-    // Process frames to checkbox states
-    const processedFrames = processGIFrames(frames, gridSize, threshold);
-    
-    return {
-      frames: processedFrames,
-      width,
-      height,
-      frameCount: processedFrames.length
-    };
-  } catch (error) {
-    throw error;
+    throwIfAborted(signal);
+    onProgress({ stage: PROCESSING_STAGES.DECODE, progress: 5 });
+    const { frames, width, height, loopCount } = await extractGIFrames(gifFile);
+
+    // Reduce each frame to grid size (grayscale, or color in color mode); frame work takes most of the remaining progress
+    const reducedFrames = [];
+    let byteSize = 0;
+    for (let frameIndex = 0; frameIndex < frames.length; frameIndex++) {
+      throwIfAborted(signal);
+      onProgress({
+        stage: PROCESSING_STAGES.FRAMES,
+        progress: Math.round(30 + (frameIndex / frames.length) * 60),
+        frameIndex,
+        frameCount: frames.length
+      });
+
+      const { delay, disposalMethod } = frames[frameIndex];
+      const grayscaleData = (color ? reduceGIFrameColor : reduceGIFrame)(frames[frameIndex], gridWidth, gridHeight, framing);
+      reducedFrames.push({ grayscaleData, delay, disposalMethod });
+      byteSize += grayscaleData.data.byteLength;
+      await yieldToEventLoop();
+    }
+
+    decoded = { frames: reducedFrames, width, height, loopCount };
+    if (useCache) {
+      setCachedProcessing(cacheKey, decoded, byteSize);
+    }
   }
+
+  // Adjust every frame the same way, then apply threshold, cut points, edges or the shared palette
+  throwIfAborted(signal);
+  onProgress({ stage: PROCESSING_STAGES.THRESHOLD, progress: 90, cached });
+  const gridFrames = color
+    ? decoded.frames
+    : decoded.frames.map((frame) => ({ ...frame, grayscaleData: applyAdjustments(frame.grayscaleData, adjustments) }));
+  const finalCutPoints = !color && !edges && levels > 2 && gridFrames.length > 0
+    ? cutPoints ?? calculateMultiOtsuThresholds(gridFrames[0].grayscaleData, levels)
+    : null;
+  const palette = color ? buildPalette(gridFrames.map(({ grayscaleData }) => grayscaleData), color) : null;
+  const processedFrames = gridFrames.map(({ grayscaleData, delay, disposalMethod }) => new GIFFrame(
+    grayscaleData,
+    delay,
+    disposalMethod,
+    palette
+      ? mapToPalette(grayscaleData, palette)
+      : edges
+        ? detectEdges(grayscaleData, edges)
+        : convertGrayscaleToStates(grayscaleData, threshold, { ditherMode, levels, cutPoints: finalCutPoints, adaptive })
+  ));
+  onProgress({ stage: PROCESSING_STAGES.COMPLETE, progress: 100, cached });
+
+  return {
+    frames: processedFrames,
+    width: decoded.width,
+    height: decoded.height,
+    frameCount: processedFrames.length,
+    loopCount: decoded.loopCount,
+    cutPoints: finalCutPoints,
+    palette
+  };
 };
 
 /**
  * Creates an animated GIF from checkbox states
  * @param {GIFFrame[]} frames - Frames with checkbox states
- * @param {number} gridSize - Grid size
+ * @param {number} gridWidth - Grid width
+ * @param {number} gridHeight - Grid height
  * @param {string} exportSize - Export size
+ * @param {Object} options - Encoder options
+ * @param {number} options.loopCount - Times to repeat (0 = forever, -1 = play once)
+ * @param {number} options.levels - Level count; multi-level cells are drawn in shades of gray
+ * @param {string[]} options.palette - Palette of a color grid; cells are drawn in their palette color
  * @returns {Promise<Blob>}
  */
-export const exportAnimatedGIF = async (frames, gridSize, exportSize = 'Medium') => {
+export const exportAnimatedGIF = async (frames, gridWidth, gridHeight, exportSize = 'Medium', { loopCount = 0, levels = 2, palette = null } = {}) => {
+  // Load the encoder on demand so processing code (also used in the worker) stays DOM-free
+  const [{ default: GIF }, { default: gifWorkerUrl }] = await Promise.all([
+    import('gif.js'),
+    import('gif.js/dist/gif.worker.js?url')
+  ]);
+
   return new Promise((resolve, reject) => {
     try {
-      const pixelSize = exportSize === 'Small' ? 4 : exportSize === 'Medium' ? 8 : 12;
-      const canvasSize = gridSize * pixelSize;
-      
-      // Create canvas for each frame
-      const canvases = frames.map(frame => {
-        const canvas = createCanvas(canvasSize, canvasSize);
-        const ctx = canvas.getContext('2d');
-        
+      if (!frames || frames.length === 0) {
+        reject(new ImageProcessingError('No frames to export', 'EXPORT_ERROR'));
+        return;
+      }
+
+      const pixelSize = getExportPixelSize(exportSize);
+      const canvasWidth = gridWidth * pixelSize;
+      const canvasHeight = gridHeight * pixelSize;
+
+      const encoder = new GIF({
+        workers: GIF_CONFIG.ENCODER_WORKERS,
+        quality: GIF_CONFIG.ENCODER_QUALITY,
+        workerScript: gifWorkerUrl,
+        repeat: loopCount,
+        width: canvasWidth,
+        height: canvasHeight,
+        background: '#fff'
+      });
+
+      const canvas = createCanvas(canvasWidth, canvasHeight);
+      const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+      frames.forEach(frame => {
         // Fill background
         ctx.fillStyle = 'white';
-        ctx.fillRect(0, 0, canvasSize, canvasSize);
-        
-        // Draw pixels
-        ctx.fillStyle = 'black';
+        ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+
+        // Draw pixels, shaded by level in multi-level grids or colored from the palette
         for (let i = 0; i < frame.checkboxStates.length; i++) {
-          if (frame.checkboxStates[i]) {
-            const row = Math.floor(i / gridSize);
-            const col = i % gridSize;
+          const fill = getCellFill(frame.checkboxStates[i], levels, palette);
+          if (fill) {
+            const row = Math.floor(i / gridWidth);
+            const col = i % gridWidth;
+            ctx.fillStyle = fill;
             ctx.fillRect(col * pixelSize, row * pixelSize, pixelSize, pixelSize);
           }
         }
-        
-        return canvas;
+
+        // Copy pixels so the shared canvas can be reused for the next frame
+        encoder.addFrame(ctx, {
+          delay: frame.delay || GIF_CONFIG.DEFAULT_DELAY,
+          copy: true
+        });
       });
-      
-      // For now, return the first frame as PNG
-      // Full GIF creation would require a GIF encoder library
-      canvases[0].toBlob((blob) => {
+
+      encoder.on('finished', (blob) => {
         if (blob) {
           resolve(blob);
         } else {
           reject(new ImageProcessingError('Failed to create animated GIF', 'EXPORT_ERROR'));
         }
-      }, 'image/png');
-      
+      });
+
+      encoder.on('abort', () => {
+        reject(new ImageProcessingError('Animated GIF export was aborted', 'EXPORT_ERROR'));
+      });
+
+      encoder.render();
     } catch (error) {
       reject(new ImageProcessingError(`Animated GIF export failed: ${error.message}`, 'EXPORT_ERROR'));
     }
   });
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,252 @@
+/**
+ * HTML Exporter
+ * Writes a self-contained HTML page whose pattern is made of real checkboxes.
+ * Animated pages embed bit-packed frames and a small player script; nothing
+ * is loaded from the network, so the page works offline. Multi-level and
+ * color grids check every non-background cell and tint it with accent-color.
+ */
+
+import { ImageProcessingError } from './imageProcessor.js';
+import { packCheckboxStates } from './projectFile.js';
+import { getCellFill, getCellLevel } from './quantization.js';
+
+/**
+ * Escapes text for HTML content and attributes
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+const escapeHTML = (text) => {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+/**
+ * Page styles; checkboxes keep their native look, only spacing is adjusted
+ */
+const PAGE_STYLES = `
+body { margin: 0; padding: 24px; font-family: system-ui, sans-serif; background: #fff; color: #111; }
+h1 { font-size: 18px; font-weight: 600; margin: 0 0 16px; }
+.grid { display: grid; gap: 0; width: max-content; }
+.grid input { width: 14px; height: 14px; margin: 1px; }
+.player { margin-top: 16px; }
+`;
+
+/**
+ * Frame player embedded in animated pages (plain ES5 so it runs in any browser)
+ */
+const PLAYER_SCRIPT = `
+(function () {
+  var data = JSON.parse(document.getElementById('checkbox-frames').textContent);
+  var boxes = document.querySelectorAll('.grid input');
+  var button = document.getElementById('toggle-playback');
+  // Multi-level and color frames hold one hex digit per cell and a tint per level
+  var fills = data.fills || null;
+  var frames = data.frames.map(function (frame) {
+    var states = [];
+    if (frame.levels) {
+      for (var j = 0; j < boxes.length; j++) states.push(parseInt(frame.levels.charAt(j), 16));
+      return { delay: frame.delay, states: states };
+    }
+    var bits = atob(frame.states);
+    for (var i = 0; i < boxes.length; i++) {
+      states.push((bits.charCodeAt(i >> 3) & (0x80 >> (i & 7))) !== 0 ? 1 : 0);
+    }
+    return { delay: frame.delay, states: states };
+  });
+  // GIF loop semantics: 0 plays forever, -1 plays once, n repeats n times
+  var plays = data.loopCount === 0 ? Infinity : data.loopCount < 0 ? 1 : data.loopCount + 1;
+  var index = 0;
+  var played = 0;
+  var timer = null;
+
+  function show(frameIndex) {
+    var states = frames[frameIndex].states;
+    for (var i = 0; i < boxes.length; i++) {
+      boxes[i].checked = states[i] > 0;
+      if (fills) boxes[i].style.accentColor = fills[states[i]] || '';
+    }
+  }
+
+  function pause() {
+    clearTimeout(timer);
+    timer = null;
+    button.textContent = 'Play';
+  }
+
+  function step() {
+    index++;
+    if (index >= frames.length) {
+      played++;
+      if (played >= plays) {
+        index = frames.length - 1;
+        pause();
+        return;
+      }
+      index = 0;
+    }
+    show(index);
+    timer = setTimeout(step, frames[index].delay);
+  }
+
+  function play() {
+    if (played >= plays) {
+      played = 0;
+      index = 0;
+      show(0);
+    }
+    button.textContent = 'Pause';
+    timer = setTimeout(step, frames[index].delay);
+  }
+
+  button.addEventListener('click', function () {
+    if (timer) pause(); else play();
+  });
+
+  show(0);
+  play();
+})();
+`;
+
+/**
+ * Tint of each level of a multi-level or color grid
+ * @param {number} levels - Level count of the grid
+ * @param {string[]|null} palette - Palette of a color grid
+ * @returns {(string|null)[]|null} - Color per level (null for unchecked), or null for binary grids
+ */
+const getLevelFills = (levels, palette) => {
+  if (!palette && levels <= 2) return null;
+  const count = palette ? palette.length : levels;
+  // Colors are written into markup and script data, so only plain hex and rgb() values pass
+  return Array.from({ length: count }, (_, level) => {
+    const fill = level === 0 ? null : getCellFill(level, levels, palette);
+    return fill && /^(#[0-9a-f]{6}|rgb\(\d+, \d+, \d+\))$/i.test(fill) ? fill : null;
+  });
+};
+
+/**
+ * Builds the checkbox grid markup
+ * @param {(boolean|number)[]} checkboxStates - States shown when the page loads
+ * @param {number} gridWidth - Grid width
+ * @param {number} gridHeight - Grid height
+ * @param {(string|null)[]|null} [fills] - Tint per level from getLevelFills
+ * @returns {string}
+ */
+const createGridMarkup = (checkboxStates, gridWidth, gridHeight, fills = null) => {
+  const boxes = checkboxStates
+    .map((state) => {
+      const level = getCellLevel(state);
+      if (level === 0) return '<input type="checkbox">';
+      return fills?.[level] ? `<input type="checkbox" checked style="accent-color: ${fills[level]}">` : '<input type="checkbox" checked>';
+    })
+    .join('');
+
+  return `<div class="grid" style="grid-template-columns: repeat(${gridWidth}, auto); grid-template-rows: repeat(${gridHeight}, auto)" aria-label="Checkbox art, ${gridWidth} by ${gridHeight}">${boxes}</div>`;
+};
+
+/**
+ * Wraps body markup in a complete page
+ * @param {string} title - Page title
+ * @param {string} body - Body markup
+ * @returns {string}
+ */
+const createPage = (title, body) => {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHTML(title)}</title>
+<style>${PAGE_STYLES}</style>
+</head>
+<body>
+<h1>${escapeHTML(title)}</h1>
+${body}
+</body>
+</html>
+`;
+};
+
+/**
+ * Creates a page showing one grid as checkboxes
+ * @param {(boolean|number)[]} checkboxStates - Cell states
+ * @param {number} gridWidth - Grid width
+ * @param {number} gridHeight - Grid height
+ * @param {Object} [options] - Page options
+ * @param {string} [options.title] - Page title
+ * @param {number} [options.levels] - Level count; checked cells of multi-level grids are tinted in shades of gray
+ * @param {string[]} [options.palette] - Palette of a color grid; checked cells are tinted in their palette color
+ * @returns {string}
+ */
+export const createCheckboxHTML = (checkboxStates, gridWidth, gridHeight, { title = 'Checkbox Art', levels = 2, palette = null } = {}) => {
+  return createPage(title, createGridMarkup(checkboxStates, gridWidth, gridHeight, getLevelFills(levels, palette)));
+};
+
+/**
+ * Creates a page that plays GIF frames by toggling checkboxes with the original delays
+ * @param {{checkboxStates: (boolean|number)[], delay: number}[]} frames - Frames in playback order
+ * @param {number} gridWidth - Grid width
+ * @param {number} gridHeight - Grid height
+ * @param {Object} [options] - Page options
+ * @param {string} [options.title] - Page title
+ * @param {number} [options.loopCount] - GIF loop count (0 forever, -1 once, n repeats)
+ * @param {number} [options.levels] - Level count of a multi-level grid (see createCheckboxHTML)
+ * @param {string[]} [options.palette] - Palette of a color grid (see createCheckboxHTML)
+ * @returns {string}
+ */
+export const createAnimatedCheckboxHTML = (frames, gridWidth, gridHeight, { title = 'Checkbox Animation', loopCount = 0, levels = 2, palette = null } = {}) => {
+  const fills = getLevelFills(levels, palette);
+  // Base64, hex digits, colors and numbers only, so the JSON cannot close its script element
+  const frameData = JSON.stringify({
+    loopCount,
+    ...(fills ? { fills } : {}),
+    frames: frames.map(({ checkboxStates, delay }) => (fills
+      ? { delay, levels: checkboxStates.map((state) => Math.min(getCellLevel(state), fills.length - 1).toString(16)).join('') }
+      : { delay, states: packCheckboxStates(checkboxStates) }))
+  });
+
+  const body = `${createGridMarkup(frames[0].checkboxStates, gridWidth, gridHeight, fills)}
+<div class="player"><button type="button" id="toggle-playback">Pause</button></div>
+<script type="application/json" id="checkbox-frames">${frameData}</script>
+<script>${PLAYER_SCRIPT}</script>`;
+
+  return createPage(title, body);
+};
+
+/**
+ * Exports checkbox states as a standalone HTML page
+ * @param {(boolean|number)[]} checkboxStates - Cell states
+ * @param {number} gridWidth - Grid width
+ * @param {number} gridHeight - Grid height
+ * @param {Object} [options] - Page options (see createCheckboxHTML)
+ * @returns {Blob}
+ */
+export const exportAsHTML = (checkboxStates, gridWidth, gridHeight, options = {}) => {
+  try {
+    return new Blob([createCheckboxHTML(checkboxStates, gridWidth, gridHeight, options)], { type: 'text/html' });
+  } catch (error) {
+    throw new ImageProcessingError(`HTML export failed: ${error.message}`, 'EXPORT_ERROR');
+  }
+};
+
+/**
+ * Exports GIF frames as a standalone HTML page that plays them
+ * @param {{checkboxStates: (boolean|number)[], delay: number}[]} frames - Frames in playback order
+ * @param {number} gridWidth - Grid width
+ * @param {number} gridHeight - Grid height
+ * @param {Object} [options] - Page options (see createAnimatedCheckboxHTML)
+ * @returns {Blob}
+ */
+export const exportAnimatedHTML = (frames, gridWidth, gridHeight, options = {}) => {
+  if (frames.length === 0) {
+    throw new ImageProcessingError('No frames to export', 'NO_FRAMES');
+  }
+
+  try {
+    return new Blob([createAnimatedCheckboxHTML(frames, gridWidth, gridHeight, options)], { type: 'text/html' });
+  } catch (error) {
+    throw new ImageProcessingError(`HTML export failed: ${error.message}`, 'EXPORT_ERROR');
+  }
+};
@@ -3,6 +3,16 @@
  * Handles canvas-based image processing with proper error handling and async operations
  */
 
+import { ditherGrayscale, isDitherMode } from './dithering.js';
+import { renderText } from './textRenderers.js';
+import { getProcessingCacheKey, getCachedProcessing, setCachedProcessing } from './processingCache.js';
+import { drawFramed, getFramingKey } from './framing.js';
+import { calculateMultiOtsuThresholds, quantizeGrayscale, getCellFill } from './quantization.js';
+import { buildPalette, mapToPalette } from './palette.js';
+import { applyAdjustments } from './adjustments.js';
+import { detectEdges } from './edgeDetection.js';
+import { adaptiveThreshold } from './adaptiveThreshold.js';
+
 export class ImageProcessingError extends Error {
   constructor(message, code) {
     super(message);
@@ -11,6 +21,34 @@ export class ImageProcessingError extends Error {
   }
 }
 
+/**
+ * Creates the error thrown when processing is cancelled through an AbortSignal
+ * @returns {ImageProcessingError}
+ */
+export const createAbortError = () => {
+  return new ImageProcessingError('Processing was cancelled', 'ABORTED');
+};
+
+/**
+ * Checks whether an error comes from a cancelled operation
+ * @param {Error} error - Error to check
+ * @returns {boolean}
+ */
+export const isAbortError = (error) => {
+  return error?.code === 'ABORTED' || error?.name === 'AbortError';
+};
+
+/**
+ * Throws if the signal has been aborted
+ * @param {AbortSignal} [signal] - Signal to check
+ * @throws {ImageProcessingError}
+ */
+export const throwIfAborted = (signal) => {
+  if (signal?.aborted) {
+    throw createAbortError();
+  }
+};
+
 /**
  * Image processing configuration
  */
@@ -27,6 +65,23 @@ const PROCESSING_CONFIG = {
   }
 };
 
+/**
+ * Size limits for custom grids, in cells per side; text imports load as custom grids
+ */
+export const CUSTOM_GRID_LIMITS = { min: 10, max: 120 };
+
+/**
+ * Processing stages reported through progress callbacks
+ */
+export const PROCESSING_STAGES = {
+  VALIDATE: 'validate',
+  DECODE: 'decode',
+  GRAYSCALE: 'grayscale',
+  THRESHOLD: 'threshold',
+  FRAMES: 'frames',
+  COMPLETE: 'complete'
+};
+
 /**
  * Validates image file before processing
  * @param {File} file - Image file to validate
@@ -59,6 +114,28 @@ export const validateImageFile = async (file) => {
   });
 };
 
+/**
+ * Validates decoded image dimensions
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @throws {ImageProcessingError}
+ */
+const validateImageDimensions = (width, height) => {
+  if (width < PROCESSING_CONFIG.MIN_DIMENSION || height < PROCESSING_CONFIG.MIN_DIMENSION) {
+    throw new ImageProcessingError(
+      `Image too small: ${width}x${height}. Minimum size: ${PROCESSING_CONFIG.MIN_DIMENSION}x${PROCESSING_CONFIG.MIN_DIMENSION}`,
+      'IMAGE_TOO_SMALL'
+    );
+  }
+
+  if (width > PROCESSING_CONFIG.MAX_DIMENSION || height > PROCESSING_CONFIG.MAX_DIMENSION) {
+    throw new ImageProcessingError(
+      `Image too large: ${width}x${height}. Maximum size: ${PROCESSING_CONFIG.MAX_DIMENSION}x${PROCESSING_CONFIG.MAX_DIMENSION}`,
+      'IMAGE_TOO_LARGE'
+    );
+  }
+};
+
 /**
  * Loads image from file with error handling
  * @param {File} file - Image file to load
@@ -67,43 +144,120 @@ export const validateImageFile = async (file) => {
 export const loadImage = (file) => {
   return new Promise((resolve, reject) => {
     const img = new Image();
+    const url = URL.createObjectURL(file);
     
     img.onload = () => {
-      // Validate image dimensions
-      if (img.width < PROCESSING_CONFIG.MIN_DIMENSION || img.height < PROCESSING_CONFIG.MIN_DIMENSION) {
-        reject(new ImageProcessingError(
-          `Image too small: ${img.width}x${img.height}. Minimum size: ${PROCESSING_CONFIG.MIN_DIMENSION}x${PROCESSING_CONFIG.MIN_DIMENSION}`,
-          'IMAGE_TOO_SMALL'
-        ));
-        return;
+      URL.revokeObjectURL(url);
+      try {
+        validateImageDimensions(img.width, img.height);
+        resolve(img);
+      } catch (error) {
+        reject(error);
       }
+    };
 
-      if (img.width > PROCESSING_CONFIG.MAX_DIMENSION || img.height > PROCESSING_CONFIG.MAX_DIMENSION) {
-        reject(new ImageProcessingError(
-          `Image too large: ${img.width}x${img.height}. Maximum size: ${PROCESSING_CONFIG.MAX_DIMENSION}x${PROCESSING_CONFIG.MAX_DIMENSION}`,
-          'IMAGE_TOO_LARGE'
-        ));
-        return;
-      }
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new ImageProcessingError('Failed to load image', 'LOAD_ERROR'));
+    };
+
+    img.src = url;
+  });
+};
+
+/**
+ * Decodes image file into an ImageBitmap (available in workers)
+ * @param {File} file - Image file to decode
+ * @returns {Promise<ImageBitmap>}
+ */
+export const loadImageBitmap = async (file) => {
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file);
+  } catch {
+    throw new ImageProcessingError('Failed to load image', 'LOAD_ERROR');
+  }
 
-      resolve(img);
+  try {
+    validateImageDimensions(bitmap.width, bitmap.height);
+  } catch (error) {
+    bitmap.close();
+    throw error;
+  }
+
+  return bitmap;
+};
+
+/**
+ * Decodes image file using ImageBitmap where supported, falling back to an image element
+ * @param {File} file - Image file to decode
+ * @returns {Promise<ImageBitmap|HTMLImageElement>}
+ */
+export const decodeImage = (file) => {
+  return typeof createImageBitmap === 'function' ? loadImageBitmap(file) : loadImage(file);
+};
+
+/**
+ * Reads the natural dimensions of an image file without size validation
+ * @param {File} file - Image file to inspect
+ * @returns {Promise<{width: number, height: number}>}
+ */
+export const readImageDimensions = (file) => {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    const url = URL.createObjectURL(file);
+
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve({ width: img.naturalWidth, height: img.naturalHeight });
     };
 
     img.onerror = () => {
+      URL.revokeObjectURL(url);
       reject(new ImageProcessingError('Failed to load image', 'LOAD_ERROR'));
     };
 
-    img.src = URL.createObjectURL(file);
+    img.src = url;
   });
 };
 
+/**
+ * Calculates grid dimensions that preserve the source aspect ratio
+ * @param {number} gridSize - Cell count along the longer side
+ * @param {number} sourceWidth - Source image width
+ * @param {number} sourceHeight - Source image height
+ * @returns {{width: number, height: number}}
+ */
+export const calculateGridDimensions = (gridSize, sourceWidth, sourceHeight) => {
+  if (!sourceWidth || !sourceHeight) {
+    return { width: gridSize, height: gridSize };
+  }
+
+  if (sourceWidth >= sourceHeight) {
+    return {
+      width: gridSize,
+      height: Math.max(1, Math.round(gridSize * sourceHeight / sourceWidth))
+    };
+  }
+
+  return {
+    width: Math.max(1, Math.round(gridSize * sourceWidth / sourceHeight)),
+    height: gridSize
+  };
+};
+
 /**
  * Creates a canvas with specified dimensions
+ * Uses OffscreenCanvas when there is no DOM (inside a Web Worker)
  * @param {number} width - Canvas width
  * @param {number} height - Canvas height
- * @returns {HTMLCanvasElement}
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
  */
 export const createCanvas = (width, height) => {
+  if (typeof document === 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+
   const canvas = document.createElement('canvas');
   canvas.width = width;
   canvas.height = height;
@@ -121,12 +275,13 @@ export const createOptimizedContext = (canvas) => {
 
 /**
  * Converts image to grayscale using canvas
- * @param {HTMLImageElement} img - Source image
+ * @param {HTMLImageElement|ImageBitmap} img - Source image
  * @param {number} targetWidth - Target width
  * @param {number} targetHeight - Target height
+ * @param {Object} [framing] - Framing settings (see FRAMING_DEFAULTS), or null for the whole image
  * @returns {Promise<ImageData>}
  */
-export const convertToGrayscale = (img, targetWidth, targetHeight) => {
+export const convertToGrayscale = (img, targetWidth, targetHeight, framing = null) => {
   return new Promise((resolve, reject) => {
     try {
       const canvas = createCanvas(targetWidth, targetHeight);
@@ -135,8 +290,8 @@ export const convertToGrayscale = (img, targetWidth, targetHeight) => {
       // Clear canvas
       ctx.clearRect(0, 0, targetWidth, targetHeight);
 
-      // Draw and resize image
-      ctx.drawImage(img, 0, 0, targetWidth, targetHeight);
+      // Draw the framed part of the image at target size
+      drawFramed(ctx, img, img.width, img.height, targetWidth, targetHeight, framing);
 
       // Get image data
       const imageData = ctx.getImageData(0, 0, targetWidth, targetHeight);
@@ -168,6 +323,30 @@ export const convertToGrayscale = (img, targetWidth, targetHeight) => {
   });
 };
 
+/**
+ * Resizes an image to grid size keeping its colors, for palette quantization
+ * @param {HTMLImageElement|ImageBitmap} img - Source image
+ * @param {number} targetWidth - Target width
+ * @param {number} targetHeight - Target height
+ * @param {Object} [framing] - Framing settings (see FRAMING_DEFAULTS), or null for the whole image
+ * @returns {Promise<ImageData>}
+ */
+export const convertToColor = (img, targetWidth, targetHeight, framing = null) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const canvas = createCanvas(targetWidth, targetHeight);
+      const ctx = createOptimizedContext(canvas);
+
+      ctx.clearRect(0, 0, targetWidth, targetHeight);
+      drawFramed(ctx, img, img.width, img.height, targetWidth, targetHeight, framing);
+
+      resolve(ctx.getImageData(0, 0, targetWidth, targetHeight));
+    } catch (error) {
+      reject(new ImageProcessingError(`Color conversion failed: ${error.message}`, 'GRAYSCALE_ERROR'));
+    }
+  });
+};
+
 /**
  * Converts ImageData to grayscale (for use with existing ImageData)
  * @param {ImageData} imageData - Image data to convert
@@ -199,37 +378,98 @@ export const convertImageDataToGrayscale = (imageData) => {
   return grayscaleData;
 };
 
+/**
+ * Resizes image data to the target dimensions
+ * @param {ImageData} imageData - Source image data
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @returns {ImageData} - Resized image data (returned as-is if already the right size)
+ */
+export const resizeImageData = (imageData, width, height) => {
+  if (imageData.width === width && imageData.height === height) {
+    return imageData;
+  }
+
+  const canvas = createCanvas(width, height);
+  const ctx = createOptimizedContext(canvas);
+
+  // Draw and resize the image data
+  const tempCanvas = createCanvas(imageData.width, imageData.height);
+  const tempCtx = createOptimizedContext(tempCanvas);
+  tempCtx.putImageData(imageData, 0, 0);
+
+  // Scale to target size
+  ctx.drawImage(tempCanvas, 0, 0, width, height);
+
+  return ctx.getImageData(0, 0, width, height);
+};
+
+/**
+ * Binarizes grid-sized grayscale image data into checkbox states
+ * This is the only step that depends on the threshold and dither mode.
+ * @param {ImageData} imageData - Grayscale image data at grid size
+ * @param {number} threshold - Threshold value (0-255)
+ * @param {string} ditherMode - Dither mode from DITHER_MODES ('none' for a hard threshold)
+ * @returns {boolean[]} - Array of boolean values representing checkbox states
+ */
+export const binarizeGrayscale = (imageData, threshold, ditherMode = 'none') => {
+  const { width, height, data } = imageData;
+
+  if (ditherMode !== 'none') {
+    if (!isDitherMode(ditherMode)) {
+      throw new ImageProcessingError(`Unknown dither mode: ${ditherMode}`, 'INVALID_DITHER_MODE');
+    }
+
+    // All channels are the same in grayscale
+    const grays = new Uint8ClampedArray(width * height);
+    for (let i = 0; i < grays.length; i++) {
+      grays[i] = data[i * 4];
+    }
+    return ditherGrayscale(grays, width, height, ditherMode, threshold);
+  }
+
+  const result = [];
+  for (let i = 0; i < data.length; i += 4) {
+    const gray = data[i]; // All channels are the same in grayscale
+    result.push(gray < threshold);
+  }
+
+  return result;
+};
+
+/**
+ * Converts grid-sized grayscale image data into cell states
+ * Multi-level grids (more than two levels) use cut points, binary grids the
+ * threshold, or local thresholds when adaptive settings are given.
+ * @param {ImageData} imageData - Grayscale image data at grid size
+ * @param {number} threshold - Threshold value (0-255) for binary grids
+ * @param {Object} options - Conversion options
+ * @param {string} options.ditherMode - Dither mode from DITHER_MODES ('none' for hard cuts)
+ * @param {number} options.levels - Level count (2 for checked/unchecked)
+ * @param {number[]} options.cutPoints - Ascending cut points for multi-level grids
+ * @param {Object} options.adaptive - Adaptive settings (see ADAPTIVE_DEFAULTS) for binary grids, or null for the global threshold
+ * @returns {boolean[]|number[]} - Booleans for binary grids, level numbers otherwise
+ */
+export const convertGrayscaleToStates = (imageData, threshold, { ditherMode = 'none', levels = 2, cutPoints = null, adaptive = null } = {}) => {
+  if (levels > 2) return quantizeGrayscale(imageData, cutPoints, ditherMode);
+  return adaptive ? adaptiveThreshold(imageData, adaptive) : binarizeGrayscale(imageData, threshold, ditherMode);
+};
+
 /**
  * Applies threshold to grayscale image data
  * @param {ImageData} imageData - Grayscale image data
  * @param {number} threshold - Threshold value (0-255)
+ * @param {number} gridWidth - Target grid width
+ * @param {number} gridHeight - Target grid height
+ * @param {string} ditherMode - Dither mode from DITHER_MODES ('none' for a hard threshold)
  * @returns {boolean[]} - Array of boolean values representing checkbox states
  */
-export const applyThreshold = (imageData, threshold, gridSize) => {
+export const applyThreshold = (imageData, threshold, gridWidth, gridHeight, ditherMode = 'none') => {
   try {
-    const canvas = createCanvas(gridSize, gridSize);
-    const ctx = createOptimizedContext(canvas);
-    
-    // Draw and resize the image data
-    const tempCanvas = createCanvas(imageData.width, imageData.height);
-    const tempCtx = createOptimizedContext(tempCanvas);
-    tempCtx.putImageData(imageData, 0, 0);
-    
-    // Scale to target grid size
-    ctx.drawImage(tempCanvas, 0, 0, gridSize, gridSize);
-    
-    // Get scaled image data
-    const scaledData = ctx.getImageData(0, 0, gridSize, gridSize);
-    const data = scaledData.data;
-    
-    const result = [];
-    for (let i = 0; i < data.length; i += 4) {
-      const gray = data[i]; // All channels are the same in grayscale
-      result.push(gray < threshold);
-    }
-    
-    return result;
+    const scaledData = resizeImageData(imageData, gridWidth, gridHeight);
+    return binarizeGrayscale(scaledData, threshold, ditherMode);
   } catch (error) {
+    if (error instanceof ImageProcessingError) throw error;
     throw new ImageProcessingError(`Threshold application failed: ${error.message}`, 'THRESHOLD_ERROR');
   }
 };
@@ -290,38 +530,95 @@ export const calculateOtsuThreshold = (imageData) => {
 /**
  * Main image processing function
  * @param {File} file - Image file to process
- * @param {number} gridSize - Target grid size
+ * @param {number} gridWidth - Target grid width
+ * @param {number} gridHeight - Target grid height
  * @param {number} threshold - Brightness threshold
- * @returns {Promise<{checkboxStates: boolean[], threshold: number, imageData: ImageData}>}
+ * @param {Object} options - Processing options
+ * @param {string} options.ditherMode - Dither mode from DITHER_MODES ('none' for a hard threshold)
+ * @param {number} options.levels - Level count; more than 2 quantizes into levels instead of binarizing
+ * @param {number[]} options.cutPoints - Cut points for multi-level grids, or null for multi-level Otsu
+ * @param {Object} options.adjustments - Pre-threshold adjustments (see ADJUSTMENT_DEFAULTS), applied to the grayscale before thresholding
+ * @param {Object} options.adaptive - Adaptive settings (see ADAPTIVE_DEFAULTS) to use local thresholds on binary grids, or null
+ * @param {Object} options.edges - Edge settings (see EDGE_DEFAULTS) to check edge cells instead of thresholding, or null
+ * @param {Object} options.color - Color mode settings (see COLOR_MODE_DEFAULTS), or null for grayscale; cells then hold palette indices
+ * @param {Object} options.framing - Rotation, flips, crop and zoom/pan (see FRAMING_DEFAULTS) applied before resizing, or null for the whole image
+ * @param {Function} options.onProgress - Called with {stage, progress} as each stage starts
+ * @param {AbortSignal} options.signal - Cancels processing between stages
+ * @param {boolean} options.useCache - Reuse the grayscale buffer from an earlier run at the same grid size
+ * @returns {Promise<{checkboxStates: boolean[]|number[], threshold: number, cutPoints: number[]|null, palette: string[]|null, imageData: ImageData}>} - imageData is the adjusted grayscale, or the color pixels in color mode
  */
-export const processImage = async (file, gridSize, threshold = null) => {
-  try {
+export const processImage = async (file, gridWidth, gridHeight, threshold = null, { ditherMode = 'none', levels = 2, cutPoints = null, adjustments = null, adaptive = null, edges = null, color = null, framing = null, onProgress = () => {}, signal, useCache = true } = {}) => {
+  // Color mode keeps the resized pixels in color, so it caches separately; each framing is its own buffer
+  const cacheKey = getProcessingCacheKey(color ? 'image-color' : 'image', file, gridWidth, gridHeight, getFramingKey(framing));
+  let grayscaleData = useCache ? getCachedProcessing(cacheKey) : undefined;
+  const cached = Boolean(grayscaleData);
+
+  if (!cached) {
     // Validate file
+    throwIfAborted(signal);
+    onProgress({ stage: PROCESSING_STAGES.VALIDATE, progress: 0 });
     await validateImageFile(file);
 
     // Load image
-    const img = await loadImage(file);
+    throwIfAborted(signal);
+    onProgress({ stage: PROCESSING_STAGES.DECODE, progress: 10 });
+    const img = await decodeImage(file);
 
     // Convert to grayscale
-    const grayscaleData = await convertToGrayscale(img, gridSize, gridSize);
+    if (signal?.aborted) {
+      img.close?.();
+      throw createAbortError();
+    }
+    onProgress({ stage: PROCESSING_STAGES.GRAYSCALE, progress: 50 });
+    grayscaleData = await (color ? convertToColor : convertToGrayscale)(img, gridWidth, gridHeight, framing);
+    img.close?.();
 
-    // Calculate threshold if not provided
-    let finalThreshold = threshold;
-    if (finalThreshold === null) {
-      finalThreshold = calculateOtsuThreshold(grayscaleData);
+    if (useCache) {
+      setCachedProcessing(cacheKey, grayscaleData, grayscaleData.data.byteLength);
     }
+  }
+
+  throwIfAborted(signal);
+  onProgress({ stage: PROCESSING_STAGES.THRESHOLD, progress: 75, cached });
 
-    // Apply threshold
-    const checkboxStates = applyThreshold(grayscaleData, finalThreshold, gridSize);
+  // Map cells to the nearest palette color; thresholds do not apply
+  if (color) {
+    const palette = buildPalette([grayscaleData], color);
+    const checkboxStates = mapToPalette(grayscaleData, palette);
+    onProgress({ stage: PROCESSING_STAGES.COMPLETE, progress: 100, cached });
 
     return {
       checkboxStates,
-      threshold: finalThreshold,
+      threshold: threshold ?? PROCESSING_CONFIG.DEFAULT_THRESHOLD,
+      cutPoints: null,
+      palette,
       imageData: grayscaleData
     };
-  } catch (error) {
-    throw error;
   }
+
+  // The cache holds unadjusted grayscale, so adjustment changes only rerun this stage
+  const adjustedData = applyAdjustments(grayscaleData, adjustments);
+
+  // Calculate threshold if not provided
+  let finalThreshold = threshold;
+  if (finalThreshold === null) {
+    finalThreshold = calculateOtsuThreshold(adjustedData);
+  }
+  const finalCutPoints = !edges && levels > 2 ? cutPoints ?? calculateMultiOtsuThresholds(adjustedData, levels) : null;
+
+  // Trace edges, or apply threshold or cut points
+  const checkboxStates = edges
+    ? detectEdges(adjustedData, edges)
+    : convertGrayscaleToStates(adjustedData, finalThreshold, { ditherMode, levels, cutPoints: finalCutPoints, adaptive });
+  onProgress({ stage: PROCESSING_STAGES.COMPLETE, progress: 100, cached });
+
+  return {
+    checkboxStates,
+    threshold: finalThreshold,
+    cutPoints: finalCutPoints,
+    palette: null,
+    imageData: adjustedData
+  };
 };
 
 /**
@@ -346,30 +643,44 @@ export const createPreviewCanvas = (imageData, scale = 1) => {
   return canvas;
 };
 
+/**
+ * Pixels per cell for an export size
+ * @param {string} exportSize - Export size ('Small', 'Medium', 'Large')
+ * @returns {number}
+ */
+export const getExportPixelSize = (exportSize) => {
+  return exportSize === 'Small' ? 4 : exportSize === 'Medium' ? 8 : 12;
+};
+
 /**
  * Exports checkbox pattern as image
  * @param {boolean[]} checkboxStates - Checkbox states
- * @param {number} gridSize - Grid size
+ * @param {number} gridWidth - Grid width
+ * @param {number} gridHeight - Grid height
  * @param {string} exportSize - Export size ('Small', 'Medium', 'Large')
+ * @param {Object} [options] - Export options
+ * @param {number} [options.levels] - Level count; multi-level cells are drawn in shades of gray
+ * @param {string[]} [options.palette] - Palette of a color grid; cells are drawn in their palette color
  * @returns {Promise<Blob>}
  */
-export const exportAsImage = async (checkboxStates, gridSize, exportSize = 'Medium') => {
+export const exportAsImage = async (checkboxStates, gridWidth, gridHeight, exportSize = 'Medium', { levels = 2, palette = null } = {}) => {
   return new Promise((resolve, reject) => {
     try {
-      const pixelSize = exportSize === 'Small' ? 4 : exportSize === 'Medium' ? 8 : 12;
-      const canvas = createCanvas(gridSize * pixelSize, gridSize * pixelSize);
+      const pixelSize = getExportPixelSize(exportSize);
+      const canvas = createCanvas(gridWidth * pixelSize, gridHeight * pixelSize);
       const ctx = createOptimizedContext(canvas);
 
       // Fill background
       ctx.fillStyle = 'white';
       ctx.fillRect(0, 0, canvas.width, canvas.height);
 
-      // Draw pixels
-      ctx.fillStyle = 'black';
+      // Draw pixels, shaded by level in multi-level grids or colored from the palette
       for (let i = 0; i < checkboxStates.length; i++) {
-        if (checkboxStates[i]) {
-          const row = Math.floor(i / gridSize);
-          const col = i % gridSize;
+        const fill = getCellFill(checkboxStates[i], levels, palette);
+        if (fill) {
+          const row = Math.floor(i / gridWidth);
+          const col = i % gridWidth;
+          ctx.fillStyle = fill;
           ctx.fillRect(col * pixelSize, row * pixelSize, pixelSize, pixelSize);
         }
       }
@@ -391,24 +702,38 @@ export const exportAsImage = async (checkboxStates, gridSize, exportSize = 'Medi
 /**
  * Exports checkbox pattern as text
  * @param {boolean[]} checkboxStates - Checkbox states
- * @param {number} gridSize - Grid size
+ * @param {number} gridWidth - Grid width (cells per line)
+ * @param {string} [renderer] - Text renderer (see TEXT_RENDERERS)
+ * @param {Object} [options] - Renderer options
  * @returns {string} - Text pattern
  */
-export const exportAsText = (checkboxStates, gridSize) => {
+export const exportAsText = (checkboxStates, gridWidth, renderer = 'checkbox', options = {}) => {
   try {
-    let pattern = '';
-    for (let i = 0; i < checkboxStates.length; i++) {
-      pattern += checkboxStates[i] ? '☒' : '☐';
-      if ((i + 1) % gridSize === 0) {
-        pattern += '\n';
-      }
-    }
-    return pattern;
+    const gridHeight = Math.ceil(checkboxStates.length / gridWidth);
+    return `${renderText(checkboxStates, gridWidth, gridHeight, renderer, options)}\n`;
   } catch (error) {
     throw new ImageProcessingError(`Text export failed: ${error.message}`, 'EXPORT_ERROR');
   }
 };
 
+/**
+ * Triggers a browser download for a blob
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  // Clean up
+  URL.revokeObjectURL(url);
+};
+
 /**
  * Error handler utility
  * @param {Error} error - Error to handle
@@ -0,0 +1,70 @@
+/**
+ * JSON Exporter
+ * Writes grids as plain JSON rows of cell values, with the palette of color
+ * grids, so patterns can be consumed by other tools without decoding images.
+ */
+
+import { ImageProcessingError } from './imageProcessor.js';
+import { getCellLevel } from './quantization.js';
+
+/**
+ * JSON export identification
+ */
+export const JSON_EXPORT_FORMAT = {
+  NAME: 'checkbox-grid',
+  VERSION: 1
+};
+
+/**
+ * Splits cell states into rows of numbers
+ * @param {(boolean|number)[]} checkboxStates - Cell states
+ * @param {number} gridWidth - Grid width
+ * @param {number} gridHeight - Grid height
+ * @returns {number[][]}
+ */
+const toRows = (checkboxStates, gridWidth, gridHeight) => {
+  return Array.from({ length: gridHeight }, (_, row) =>
+    Array.from({ length: gridWidth }, (_, col) => getCellLevel(checkboxStates[row * gridWidth + col]))
+  );
+};
+
+/**
+ * Exports one or more frames as JSON
+ * Cells are 0/1 for binary grids, levels for multi-level grids and palette
+ * indices for color grids; the palette lists the color of each index.
+ * @param {{checkboxStates: (boolean|number)[], delay?: number}[]} frames - Frames in playback order (one for still images)
+ * @param {number} gridWidth - Grid width
+ * @param {number} gridHeight - Grid height
+ * @param {Object} [options] - Export options
+ * @param {number} [options.levels] - Level count of a grayscale grid
+ * @param {string[]} [options.palette] - Palette of a color grid
+ * @param {number} [options.loopCount] - GIF loop count, recorded for animations
+ * @returns {string} - JSON text
+ */
+export const exportAsJSON = (frames, gridWidth, gridHeight, { levels = 2, palette = null, loopCount = 0 } = {}) => {
+  if (frames.length === 0) {
+    throw new ImageProcessingError('No frames to export', 'NO_FRAMES');
+  }
+
+  const document = {
+    format: JSON_EXPORT_FORMAT.NAME,
+    version: JSON_EXPORT_FORMAT.VERSION,
+    gridWidth,
+    gridHeight,
+    mode: palette ? 'palette' : levels > 2 ? 'levels' : 'binary',
+    ...(palette ? { palette } : { levels })
+  };
+
+  if (frames.length === 1) {
+    return JSON.stringify({ ...document, cells: toRows(frames[0].checkboxStates, gridWidth, gridHeight) });
+  }
+
+  return JSON.stringify({
+    ...document,
+    loopCount,
+    frames: frames.map(({ checkboxStates, delay }) => ({
+      delay,
+      cells: toRows(checkboxStates, gridWidth, gridHeight)
+    }))
+  });
+};
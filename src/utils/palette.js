@@ -0,0 +1,316 @@
+/**
+ * Palette Quantization
+ * Reduces grid-sized color images to a small palette, by median cut, k-means
+ * or a fixed preset, and maps every cell to a palette index. Palettes are
+ * sorted lightest first, so index 0 is the background and higher indices read
+ * as "checked" wherever a grid is treated as on/off.
+ */
+
+import { ImageProcessingError } from './imageProcessor.js';
+
+/**
+ * Palette building methods
+ */
+export const PALETTE_METHODS = [
+  { value: 'median-cut', label: 'Median cut' },
+  { value: 'k-means', label: 'K-means' },
+  { value: 'preset', label: 'Preset palette' }
+];
+
+/**
+ * Fixed palettes
+ */
+export const PALETTE_PRESETS = [
+  {
+    value: 'pico-8',
+    label: 'PICO-8',
+    colors: [
+      '#000000', '#1d2b53', '#7e2553', '#008751', '#ab5236', '#5f574f', '#c2c3c7', '#fff1e8',
+      '#ff004d', '#ffa300', '#ffec27', '#00e436', '#29adff', '#83769c', '#ff77a8', '#ffccaa'
+    ]
+  },
+  {
+    value: 'game-boy',
+    label: 'Game Boy',
+    colors: ['#0f380f', '#306230', '#8bac0f', '#9bbc0f']
+  },
+  {
+    value: 'cga',
+    label: 'CGA (mode 4)',
+    colors: ['#000000', '#55ffff', '#ff55ff', '#ffffff']
+  }
+];
+
+/**
+ * Color mode configuration
+ */
+export const COLOR_MODE_CONFIG = {
+  MIN_COLORS: 2,
+  MAX_COLORS: 16,
+  MAX_SAMPLES: 65536, // Pixels sampled when building a palette from large inputs
+  KMEANS_ITERATIONS: 12
+};
+
+/**
+ * Default color mode settings
+ */
+export const COLOR_MODE_DEFAULTS = {
+  method: 'median-cut',
+  colorCount: 8,
+  preset: 'pico-8'
+};
+
+/**
+ * Parses a #rrggbb color
+ * @param {string} hex - Hex color
+ * @returns {number[]} - [r, g, b]
+ */
+export const hexToRgb = (hex) => {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+};
+
+/**
+ * Formats a color as #rrggbb
+ * @param {number[]} rgb - [r, g, b]
+ * @returns {string}
+ */
+export const rgbToHex = (rgb) => {
+  return `#${rgb.map((channel) => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+};
+
+/**
+ * Checks for a #rrggbb color
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+export const isHexColor = (value) => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+
+/**
+ * Relative luminance used to order palettes
+ * @param {number[]} rgb - [r, g, b]
+ * @returns {number}
+ */
+const getLuminance = ([r, g, b]) => 0.299 * r + 0.587 * g + 0.114 * b;
+
+/**
+ * Squared distance between two colors
+ * @returns {number}
+ */
+const distanceSquared = (a, b) => {
+  const dr = a[0] - b[0];
+  const dg = a[1] - b[1];
+  const db = a[2] - b[2];
+  return dr * dr + dg * dg + db * db;
+};
+
+/**
+ * Collects RGB samples from image data, spreading samples evenly over large inputs
+ * @param {ImageData[]} images - Grid-sized color images, e.g. every GIF frame
+ * @returns {number[][]} - [r, g, b] samples
+ */
+const collectSamples = (images) => {
+  const total = images.reduce((sum, { width, height }) => sum + width * height, 0);
+  const step = Math.max(1, Math.ceil(total / COLOR_MODE_CONFIG.MAX_SAMPLES));
+  const samples = [];
+
+  let position = 0;
+  images.forEach(({ data }) => {
+    for (let i = 0; i < data.length; i += 4, position++) {
+      if (position % step === 0) samples.push([data[i], data[i + 1], data[i + 2]]);
+    }
+  });
+  return samples;
+};
+
+/**
+ * Builds a palette by repeatedly splitting the box with the widest channel range at its median
+ * @param {number[][]} samples - RGB samples
+ * @param {number} colorCount - Maximum number of colors
+ * @returns {number[][]} - Average color of each box
+ */
+export const medianCut = (samples, colorCount) => {
+  if (samples.length === 0) return [];
+
+  const measure = (pixels) => {
+    let widest = 0;
+    let range = -1;
+    for (let channel = 0; channel < 3; channel++) {
+      let min = 255;
+      let max = 0;
+      pixels.forEach((pixel) => {
+        if (pixel[channel] < min) min = pixel[channel];
+        if (pixel[channel] > max) max = pixel[channel];
+      });
+      if (max - min > range) {
+        range = max - min;
+        widest = channel;
+      }
+    }
+    return { pixels, channel: widest, range };
+  };
+
+  const boxes = [measure(samples)];
+  while (boxes.length < colorCount) {
+    // Split the box with the widest range; boxes of one color cannot be split
+    let target = -1;
+    boxes.forEach((box, index) => {
+      if (box.range > 0 && (target === -1 || box.range > boxes[target].range)) target = index;
+    });
+    if (target === -1) break;
+
+    const { pixels, channel } = boxes[target];
+    const sorted = [...pixels].sort((a, b) => a[channel] - b[channel]);
+    const middle = Math.floor(sorted.length / 2);
+    boxes.splice(target, 1, measure(sorted.slice(0, middle)), measure(sorted.slice(middle)));
+  }
+
+  return boxes.map(({ pixels }) => {
+    const sum = [0, 0, 0];
+    pixels.forEach((pixel) => {
+      sum[0] += pixel[0];
+      sum[1] += pixel[1];
+      sum[2] += pixel[2];
+    });
+    return sum.map((channel) => channel / pixels.length);
+  });
+};
+
+/**
+ * Refines a palette with k-means, seeded by median cut so results are repeatable
+ * @param {number[][]} samples - RGB samples
+ * @param {number} colorCount - Maximum number of colors
+ * @returns {number[][]} - Cluster centers
+ */
+export const kMeans = (samples, colorCount) => {
+  let centers = medianCut(samples, colorCount);
+
+  for (let iteration = 0; iteration < COLOR_MODE_CONFIG.KMEANS_ITERATIONS; iteration++) {
+    const sums = centers.map(() => [0, 0, 0, 0]);
+    samples.forEach((pixel) => {
+      const sum = sums[findNearestColor(pixel, centers)];
+      sum[0] += pixel[0];
+      sum[1] += pixel[1];
+      sum[2] += pixel[2];
+      sum[3]++;
+    });
+
+    let moved = false;
+    // Empty clusters keep their previous center
+    const next = centers.map((center, index) => {
+      const [r, g, b, count] = sums[index];
+      if (count === 0) return center;
+      const updated = [r / count, g / count, b / count];
+      if (distanceSquared(updated, center) > 0.25) moved = true;
+      return updated;
+    });
+    centers = next;
+    if (!moved) break;
+  }
+
+  return centers;
+};
+
+/**
+ * Finds the palette entry closest to a color
+ * @param {number[]} rgb - [r, g, b]
+ * @param {number[][]} colors - Palette colors as [r, g, b]
+ * @returns {number} - Palette index
+ */
+export const findNearestColor = (rgb, colors) => {
+  let nearest = 0;
+  let nearestDistance = Infinity;
+  colors.forEach((color, index) => {
+    const distance = distanceSquared(rgb, color);
+    if (distance < nearestDistance) {
+      nearestDistance = distance;
+      nearest = index;
+    }
+  });
+  return nearest;
+};
+
+/**
+ * Sorts colors lightest first and removes duplicates
+ * @param {string[]} palette - Hex colors
+ * @returns {string[]}
+ */
+export const sortPalette = (palette) => {
+  return [...new Set(palette.map((color) => color.toLowerCase()))]
+    .sort((a, b) => getLuminance(hexToRgb(b)) - getLuminance(hexToRgb(a)));
+};
+
+/**
+ * Builds the palette for one or more grid-sized color images
+ * @param {ImageData[]} images - Images sharing the palette, e.g. every GIF frame
+ * @param {Object} settings - Color mode settings
+ * @param {string} settings.method - Palette method (see PALETTE_METHODS)
+ * @param {number} settings.colorCount - Number of colors for median cut and k-means
+ * @param {string} settings.preset - Preset value when method is 'preset'
+ * @returns {string[]} - Hex colors, lightest first
+ */
+export const buildPalette = (images, { method = COLOR_MODE_DEFAULTS.method, colorCount = COLOR_MODE_DEFAULTS.colorCount, preset = COLOR_MODE_DEFAULTS.preset } = {}) => {
+  if (method === 'preset') {
+    const presetPalette = PALETTE_PRESETS.find(({ value }) => value === preset);
+    if (!presetPalette) {
+      throw new ImageProcessingError(`Unknown palette preset: ${preset}`, 'INVALID_PALETTE');
+    }
+    return sortPalette(presetPalette.colors);
+  }
+
+  if (!PALETTE_METHODS.some(({ value }) => value === method)) {
+    throw new ImageProcessingError(`Unknown palette method: ${method}`, 'INVALID_PALETTE');
+  }
+  if (!Number.isInteger(colorCount) || colorCount < COLOR_MODE_CONFIG.MIN_COLORS || colorCount > COLOR_MODE_CONFIG.MAX_COLORS) {
+    throw new ImageProcessingError(
+      `Color count must be between ${COLOR_MODE_CONFIG.MIN_COLORS} and ${COLOR_MODE_CONFIG.MAX_COLORS}`,
+      'INVALID_PALETTE'
+    );
+  }
+
+  const samples = collectSamples(images);
+  const colors = method === 'k-means' ? kMeans(samples, colorCount) : medianCut(samples, colorCount);
+  const palette = sortPalette(colors.map(rgbToHex));
+
+  // Single-color images still get a background and a foreground
+  return palette.length >= COLOR_MODE_CONFIG.MIN_COLORS
+    ? palette
+    : sortPalette([...palette, palette[0] === '#ffffff' ? '#000000' : '#ffffff']);
+};
+
+/**
+ * Maps every cell of a grid-sized color image to its nearest palette color
+ * @param {ImageData} imageData - Color image data at grid size
+ * @param {string[]} palette - Hex colors
+ * @returns {number[]} - Palette index per cell
+ */
+export const mapToPalette = (imageData, palette) => {
+  const colors = palette.map(hexToRgb);
+  const { data } = imageData;
+  const indices = new Array(data.length / 4);
+  // Grids repeat colors a lot, so nearest lookups are memoized per packed RGB value
+  const lookup = new Map();
+
+  for (let i = 0; i < indices.length; i++) {
+    const key = (data[i * 4] << 16) | (data[i * 4 + 1] << 8) | data[i * 4 + 2];
+    let index = lookup.get(key);
+    if (index === undefined) {
+      index = findNearestColor([data[i * 4], data[i * 4 + 1], data[i * 4 + 2]], colors);
+      lookup.set(key, index);
+    }
+    indices[i] = index;
+  }
+  return indices;
+};
+
+/**
+ * Checks a saved palette: 2-16 hex colors
+ * @param {*} palette - Value to check
+ * @returns {boolean}
+ */
+export const isValidPalette = (palette) => {
+  return Array.isArray(palette) &&
+    palette.length >= COLOR_MODE_CONFIG.MIN_COLORS &&
+    palette.length <= COLOR_MODE_CONFIG.MAX_COLORS &&
+    palette.every(isHexColor);
+};
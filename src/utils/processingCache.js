@@ -0,0 +1,87 @@
+/**
+ * Processing Cache
+ * Keeps resized grayscale buffers per file and grid size so threshold and
+ * dither changes only redo binarization
+ */
+
+/**
+ * Cache configuration
+ */
+const CACHE_CONFIG = {
+  MAX_BYTES: 64 * 1024 * 1024, // Total buffer size kept across entries
+  MAX_ENTRIES: 16
+};
+
+// Insertion order doubles as least-recently-used order
+const entries = new Map();
+let totalBytes = 0;
+
+/**
+ * Builds a key identifying a file's contents
+ * Files posted to a worker arrive as new objects, so identity cannot be used.
+ * @param {File} file - Source file
+ * @returns {string}
+ */
+export const getFileCacheKey = (file) => {
+  return [file.name, file.size, file.lastModified, file.type].join(':');
+};
+
+/**
+ * Builds a cache key for a file converted at the given grid size
+ * @param {string} kind - Pipeline kind ('image' or 'gif')
+ * @param {File} file - Source file
+ * @param {number} gridWidth - Grid width
+ * @param {number} gridHeight - Grid height
+ * @param {string} [framingKey] - Framing the buffer was resized with (see getFramingKey), empty for the whole image
+ * @returns {string}
+ */
+export const getProcessingCacheKey = (kind, file, gridWidth, gridHeight, framingKey = '') => {
+  const key = `${kind}|${getFileCacheKey(file)}|${gridWidth}x${gridHeight}`;
+  return framingKey ? `${key}|${framingKey}` : key;
+};
+
+/**
+ * Reads a cache entry and marks it as recently used
+ * @param {string} key - Cache key
+ * @returns {*} - Cached value or undefined
+ */
+export const getCachedProcessing = (key) => {
+  const entry = entries.get(key);
+  if (!entry) return undefined;
+
+  entries.delete(key);
+  entries.set(key, entry);
+  return entry.value;
+};
+
+/**
+ * Stores a cache entry, evicting least recently used entries over budget
+ * @param {string} key - Cache key
+ * @param {*} value - Value to cache
+ * @param {number} byteSize - Approximate size of the value's buffers
+ */
+export const setCachedProcessing = (key, value, byteSize) => {
+  if (byteSize > CACHE_CONFIG.MAX_BYTES) return;
+
+  if (entries.has(key)) {
+    totalBytes -= entries.get(key).byteSize;
+    entries.delete(key);
+  }
+
+  entries.set(key, { value, byteSize });
+  totalBytes += byteSize;
+
+  for (const [oldestKey, oldest] of entries) {
+    if (totalBytes <= CACHE_CONFIG.MAX_BYTES && entries.size <= CACHE_CONFIG.MAX_ENTRIES) break;
+    entries.delete(oldestKey);
+    totalBytes -= oldest.byteSize;
+  }
+};
+
+/**
+ * Empties the cache
+ */
+export const clearProcessingCache = () => {
+  entries.clear();
+  totalBytes = 0;
+};
@@ -0,0 +1,177 @@
+/**
+ * Processing Client
+ * Sends image and GIF conversion to the processing worker, falling back to the
+ * main thread where workers cannot use OffscreenCanvas/ImageBitmap
+ */
+
+import { ImageProcessingError, processImage, createAbortError } from './imageProcessor.js';
+import { GIFFrame } from './gifFrameExtractor.js';
+import { processGIF } from './gifProcessor.js';
+
+let worker = null;
+let nextTaskId = 0;
+const pendingTasks = new Map();
+
+/**
+ * Checks whether the browser can run the pipeline in a worker
+ * @returns {boolean}
+ */
+export const supportsWorkerProcessing = () => {
+  return typeof Worker !== 'undefined' &&
+    typeof OffscreenCanvas !== 'undefined' &&
+    typeof createImageBitmap === 'function';
+};
+
+/**
+ * Rebuilds an error posted by the worker
+ * @param {{name: string, message: string, code?: string}} error - Serialized error
+ * @returns {Error}
+ */
+const deserializeError = ({ name, message, code }) => {
+  if (name === 'ImageProcessingError') {
+    return new ImageProcessingError(message, code);
+  }
+
+  const error = new Error(message);
+  error.name = name;
+  return error;
+};
+
+/**
+ * Rejects every pending task, used when the worker itself fails
+ * @param {Error} error - Failure reason
+ */
+const rejectAllTasks = (error) => {
+  pendingTasks.forEach(({ reject }) => reject(error));
+  pendingTasks.clear();
+};
+
+/**
+ * Handles a message posted by the worker
+ * @param {MessageEvent} event - Worker message
+ */
+const handleWorkerMessage = ({ data }) => {
+  const task = pendingTasks.get(data.id);
+  if (!task) return;
+
+  switch (data.type) {
+    case 'progress':
+      task.onProgress(data.update);
+      break;
+    case 'result':
+      pendingTasks.delete(data.id);
+      task.resolve(data.result);
+      break;
+    case 'error':
+      pendingTasks.delete(data.id);
+      task.reject(deserializeError(data.error));
+      break;
+    default:
+      break;
+  }
+};
+
+/**
+ * Lazily creates the shared processing worker
+ * @returns {Worker}
+ */
+const getWorker = () => {
+  if (!worker) {
+    worker = new Worker(new URL('../workers/processing.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = handleWorkerMessage;
+    worker.onerror = (event) => {
+      event.preventDefault();
+      rejectAllTasks(new ImageProcessingError(`Processing worker failed: ${event.message}`, 'WORKER_ERROR'));
+      worker.terminate();
+      worker = null;
+    };
+  }
+  return worker;
+};
+
+/**
+ * Runs a task in the worker
+ * Aborting the signal rejects immediately and tells the worker to stop at its next checkpoint.
+ * @param {string} task - Task name handled by the worker
+ * @param {Object} payload - Structured-cloneable task arguments
+ * @param {Function} onProgress - Progress callback
+ * @param {AbortSignal} [signal] - Cancels the task
+ * @returns {Promise<*>}
+ */
+const runWorkerTask = (task, payload, onProgress, signal) => {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const id = ++nextTaskId;
+    const onAbort = () => {
+      if (!pendingTasks.has(id)) return;
+      pendingTasks.delete(id);
+      worker?.postMessage({ id, type: 'cancel' });
+      reject(createAbortError());
+    };
+
+    pendingTasks.set(id, {
+      onProgress,
+      resolve: (result) => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve(result);
+      },
+      reject: (error) => {
+        signal?.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    });
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+    getWorker().postMessage({ id, type: 'run', task, payload });
+  });
+};
+
+/**
+ * Processes an image file, in the worker when supported
+ * Takes the same arguments as processImage
+ * @returns {Promise<{checkboxStates: boolean[], threshold: number, imageData: ImageData}>}
+ */
+export const processImageOffThread = (file, gridWidth, gridHeight, threshold = null, options = {}) => {
+  if (!supportsWorkerProcessing()) {
+    return processImage(file, gridWidth, gridHeight, threshold, options);
+  }
+
+  // AbortSignal and callbacks cannot be cloned, so they stay on this side
+  const { onProgress = () => {}, signal, ...workerOptions } = options;
+  return runWorkerTask(
+    'processImage',
+    { file, gridWidth, gridHeight, threshold, options: workerOptions },
+    onProgress,
+    signal
+  );
+};
+
+/**
+ * Processes a GIF file, in the worker when supported
+ * Takes the same arguments as processGIF
+ * @returns {Promise<{frames: GIFFrame[], width: number, height: number, frameCount: number, loopCount: number|null, cutPoints: number[]|null, palette: string[]|null}>}
+ */
+export const processGIFOffThread = async (file, gridWidth, gridHeight, threshold, options = {}) => {
+  if (!supportsWorkerProcessing()) {
+    return processGIF(file, gridWidth, gridHeight, threshold, options);
+  }
+
+  const { onProgress = () => {}, signal, ...workerOptions } = options;
+  const result = await runWorkerTask(
+    'processGIF',
+    { file, gridWidth, gridHeight, threshold, options: workerOptions },
+    onProgress,
+    signal
+  );
+
+  return {
+    ...result,
+    frames: result.frames.map(({ imageData, delay, disposalMethod, checkboxStates }) => (
+      new GIFFrame(imageData, delay, disposalMethod, checkboxStates)
+    ))
+  };
+};
@@ -0,0 +1,307 @@
+/**
+ * Project File
+ * Versioned `.checkbox.json` format for saving and reopening checkbox work:
+ * grid dimensions, settings, bit-packed checkbox states, GIF frames and
+ * optionally the source image.
+ */
+
+import { ImageProcessingError } from './imageProcessor.js';
+import { isLevelCount, getCellLevel } from './quantization.js';
+import { isValidPalette } from './palette.js';
+
+/**
+ * Project format constants
+ */
+export const PROJECT_FORMAT = {
+  NAME: 'checkbox-sketch-project',
+  VERSION: 1,
+  EXTENSION: '.checkbox.json',
+  MIME_TYPE: 'application/json',
+  STATE_ENCODING: 'bitpack-base64', // 8 cells per byte, most significant bit first
+  LEVEL_ENCODING: 'levelpack-base64', // Multi-level and color grids: ceil(log2(levels)) bits per cell, most significant bit first
+  MAX_FILE_SIZE: 100 * 1024 * 1024,
+  MAX_GRID_SIDE: 500
+};
+
+/**
+ * Encodes bytes as base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string}
+ */
+const bytesToBase64 = (bytes) => {
+  let binary = '';
+  const chunkSize = 0x8000; // Keeps String.fromCharCode under argument limits
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+};
+
+/**
+ * Decodes base64 into bytes
+ * @param {string} base64 - Base64 text
+ * @returns {Uint8Array}
+ */
+const base64ToBytes = (base64) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+/**
+ * Bits needed per cell for a level count
+ * @param {number} levels - Level count
+ * @returns {number}
+ */
+const getBitsPerCell = (levels) => Math.ceil(Math.log2(levels));
+
+/**
+ * Bit-packs checkbox states
+ * @param {(boolean|number)[]} states - Checkbox states
+ * @param {number} [bitsPerCell] - Bits per cell; 1 packs booleans, more packs level numbers
+ * @returns {string} - Base64 of the packed bits
+ */
+export const packCheckboxStates = (states, bitsPerCell = 1) => {
+  const bytes = new Uint8Array(Math.ceil((states.length * bitsPerCell) / 8));
+  states.forEach((state, i) => {
+    const level = bitsPerCell === 1 ? (state ? 1 : 0) : getCellLevel(state);
+    for (let bit = 0; bit < bitsPerCell; bit++) {
+      if (level & (1 << (bitsPerCell - 1 - bit))) {
+        const position = i * bitsPerCell + bit;
+        bytes[position >> 3] |= 0x80 >> (position & 7);
+      }
+    }
+  });
+  return bytesToBase64(bytes);
+};
+
+/**
+ * Unpacks checkbox states packed by packCheckboxStates
+ * @param {string} packed - Base64 of the packed bits
+ * @param {number} cellCount - Number of cells to unpack
+ * @param {number} [bitsPerCell] - Bits per cell used when packing
+ * @returns {(boolean|number)[]} - Booleans for 1 bit per cell, level numbers otherwise
+ */
+export const unpackCheckboxStates = (packed, cellCount, bitsPerCell = 1) => {
+  const bytes = base64ToBytes(packed);
+  if (bytes.length !== Math.ceil((cellCount * bitsPerCell) / 8)) {
+    throw new ImageProcessingError(
+      `Checkbox states hold ${Math.floor((bytes.length * 8) / bitsPerCell)} cells but the grid needs ${cellCount}`,
+      'PROJECT_INVALID_STATES'
+    );
+  }
+
+  const readBit = (position) => (bytes[position >> 3] & (0x80 >> (position & 7))) !== 0;
+  if (bitsPerCell === 1) {
+    return Array.from({ length: cellCount }, (_, i) => readBit(i));
+  }
+
+  return Array.from({ length: cellCount }, (_, i) => {
+    let level = 0;
+    for (let bit = 0; bit < bitsPerCell; bit++) {
+      level = (level << 1) | (readBit(i * bitsPerCell + bit) ? 1 : 0);
+    }
+    return level;
+  });
+};
+
+/**
+ * Builds a project file
+ * @param {Object} project - Project contents
+ * @param {number} project.gridWidth - Grid width
+ * @param {number} project.gridHeight - Grid height
+ * @param {Object} project.settings - App settings to restore (resolution, aspect mode, threshold, ...)
+ * @param {boolean[]} [project.checkboxStates] - States of a static image
+ * @param {{delay: number, checkboxStates: boolean[]}[]} [project.frames] - GIF frames; saves an animation when present
+ * @param {number} [project.loopCount] - GIF loop count
+ * @param {number} [project.levels] - Level count; multi-level states are packed with several bits per cell
+ * @param {string[]} [project.palette] - Palette of a color grid; states are palette indices packed like levels
+ * @param {File} [project.sourceFile] - Source image to embed
+ * @param {{width: number, height: number}} [project.sourceDimensions] - Source image size
+ * @returns {Promise<Blob>}
+ */
+export const createProjectFile = async ({
+  gridWidth,
+  gridHeight,
+  settings,
+  checkboxStates = [],
+  frames = null,
+  loopCount = 0,
+  levels = 2,
+  palette = null,
+  sourceFile = null,
+  sourceDimensions = null
+}) => {
+  const cellLevels = palette ? palette.length : levels;
+  const isMultiLevel = cellLevels > 2 || Boolean(palette);
+  const bitsPerCell = isMultiLevel ? getBitsPerCell(cellLevels) : 1;
+  const project = {
+    format: PROJECT_FORMAT.NAME,
+    version: PROJECT_FORMAT.VERSION,
+    createdAt: new Date().toISOString(),
+    grid: { width: gridWidth, height: gridHeight },
+    settings,
+    // Multi-level grids use their own encoding so older versions refuse them instead of misreading them
+    encoding: isMultiLevel ? PROJECT_FORMAT.LEVEL_ENCODING : PROJECT_FORMAT.STATE_ENCODING,
+    ...(isMultiLevel ? { levels: cellLevels } : {}),
+    ...(palette ? { palette } : {}),
+    mode: frames ? 'gif' : 'image',
+    checkboxStates: frames ? null : packCheckboxStates(checkboxStates, bitsPerCell),
+    animation: frames
+      ? {
+          loopCount,
+          frames: frames.map(({ delay, checkboxStates: states }) => ({
+            delay,
+            checkboxStates: packCheckboxStates(states, bitsPerCell)
+          }))
+        }
+      : null,
+    source: sourceFile
+      ? {
+          name: sourceFile.name,
+          type: sourceFile.type,
+          lastModified: sourceFile.lastModified,
+          dimensions: sourceDimensions,
+          data: bytesToBase64(new Uint8Array(await sourceFile.arrayBuffer()))
+        }
+      : null
+  };
+
+  return new Blob([JSON.stringify(project)], { type: PROJECT_FORMAT.MIME_TYPE });
+};
+
+/**
+ * Throws a schema validation error unless the condition holds
+ * @param {boolean} condition - Condition that must hold
+ * @param {string} message - Description of the problem
+ */
+const assertProject = (condition, message) => {
+  if (!condition) {
+    throw new ImageProcessingError(`Invalid project file: ${message}`, 'PROJECT_INVALID');
+  }
+};
+
+const isPositiveInteger = (value, max = Infinity) => Number.isInteger(value) && value > 0 && value <= max;
+
+/**
+ * Validates a parsed project object against the schema
+ * @param {Object} project - Parsed JSON
+ */
+const validateProject = (project) => {
+  assertProject(project && typeof project === 'object', 'expected a JSON object');
+  if (project.format !== PROJECT_FORMAT.NAME) {
+    throw new ImageProcessingError('This is not a Checkbox Sketch project file', 'PROJECT_INVALID_FORMAT');
+  }
+  if (!Number.isInteger(project.version) || project.version > PROJECT_FORMAT.VERSION) {
+    throw new ImageProcessingError(
+      `Project version ${project.version} is not supported. Please update the app to open it.`,
+      'PROJECT_UNSUPPORTED_VERSION'
+    );
+  }
+
+  const { grid, settings, mode } = project;
+  assertProject(grid && isPositiveInteger(grid.width, PROJECT_FORMAT.MAX_GRID_SIDE) &&
+    isPositiveInteger(grid.height, PROJECT_FORMAT.MAX_GRID_SIDE), 'grid dimensions are missing or out of range');
+  assertProject(settings && typeof settings === 'object', 'settings are missing');
+  assertProject(project.encoding === PROJECT_FORMAT.STATE_ENCODING || project.encoding === PROJECT_FORMAT.LEVEL_ENCODING,
+    `unknown state encoding "${project.encoding}"`);
+  if (project.encoding === PROJECT_FORMAT.LEVEL_ENCODING) {
+    if (project.palette !== undefined) {
+      assertProject(isValidPalette(project.palette) && project.levels === project.palette.length, 'palette is invalid');
+    } else {
+      assertProject(isLevelCount(project.levels) && project.levels > 2, 'level count is missing or out of range');
+    }
+  }
+  assertProject(mode === 'image' || mode === 'gif', `unknown mode "${mode}"`);
+
+  if (mode === 'image') {
+    assertProject(typeof project.checkboxStates === 'string', 'checkbox states are missing');
+  } else {
+    const { animation } = project;
+    assertProject(animation && Array.isArray(animation.frames) && animation.frames.length > 0, 'animation frames are missing');
+    assertProject(Number.isInteger(animation.loopCount), 'animation loop count is missing');
+    animation.frames.forEach((frame, index) => {
+      assertProject(frame && typeof frame.checkboxStates === 'string', `frame ${index + 1} has no checkbox states`);
+      assertProject(isPositiveInteger(frame.delay), `frame ${index + 1} has an invalid delay`);
+    });
+  }
+
+  if (project.source !== null && project.source !== undefined) {
+    const { source } = project;
+    assertProject(typeof source.name === 'string' && typeof source.type === 'string' &&
+      typeof source.data === 'string', 'embedded source image is incomplete');
+  }
+};
+
+/**
+ * Reads and validates a project file
+ * @param {Blob} file - `.checkbox.json` file, or a project blob from session storage
+ * @returns {Promise<Object>} - Restorable project: {gridWidth, gridHeight, settings, levels, palette, isGIF, checkboxStates, frames, loopCount, sourceFile, sourceDimensions}
+ */
+export const readProjectFile = async (file) => {
+  if (file.size > PROJECT_FORMAT.MAX_FILE_SIZE) {
+    throw new ImageProcessingError('Project file is too large to open', 'PROJECT_TOO_LARGE');
+  }
+
+  let text;
+  try {
+    text = await file.text();
+  } catch (error) {
+    throw new ImageProcessingError(`Failed to read project file: ${error.message}`, 'PROJECT_READ_ERROR');
+  }
+
+  let project;
+  try {
+    project = JSON.parse(text);
+  } catch {
+    throw new ImageProcessingError('Project file is not valid JSON', 'PROJECT_PARSE_ERROR');
+  }
+
+  validateProject(project);
+
+  const gridWidth = project.grid.width;
+  const gridHeight = project.grid.height;
+  const cellCount = gridWidth * gridHeight;
+  const isGIF = project.mode === 'gif';
+  const levels = project.encoding === PROJECT_FORMAT.LEVEL_ENCODING ? project.levels : 2;
+  const palette = project.encoding === PROJECT_FORMAT.LEVEL_ENCODING ? project.palette ?? null : null;
+  const bitsPerCell = levels > 2 ? getBitsPerCell(levels) : 1;
+
+  try {
+    const frames = isGIF
+      ? project.animation.frames.map(({ delay, checkboxStates }) => ({
+          delay,
+          checkboxStates: unpackCheckboxStates(checkboxStates, cellCount, bitsPerCell)
+        }))
+      : null;
+
+    const { source } = project;
+    const sourceFile = source
+      ? new File([base64ToBytes(source.data)], source.name, {
+          type: source.type,
+          lastModified: source.lastModified ?? Date.now()
+        })
+      : null;
+
+    return {
+      gridWidth,
+      gridHeight,
+      settings: project.settings,
+      levels,
+      palette,
+      isGIF,
+      checkboxStates: isGIF ? frames[0].checkboxStates : unpackCheckboxStates(project.checkboxStates, cellCount, bitsPerCell),
+      frames,
+      loopCount: isGIF ? project.animation.loopCount : 0,
+      sourceFile,
+      sourceDimensions: source?.dimensions ?? null
+    };
+  } catch (error) {
+    if (error instanceof ImageProcessingError) throw error;
+    // atob rejects malformed base64
+    throw new ImageProcessingError(`Invalid project file: ${error.message}`, 'PROJECT_INVALID');
+  }
+};
@@ -0,0 +1,205 @@
+/**
+ * Multi-Level Quantization
+ * Converts grayscale into N tone levels instead of checked/unchecked. Cells
+ * then hold level numbers, 0 for the lightest band up to N-1 for the darkest;
+ * boolean states read as levels 0 and 1, so binary grids work unchanged.
+ */
+
+import { ImageProcessingError } from './imageProcessor.js';
+import { isDitherMode, ditherGrayscaleLevels } from './dithering.js';
+
+/**
+ * Selectable level counts; 2 is the classic checked/unchecked grid
+ */
+export const LEVEL_OPTIONS = [
+  { value: 2, label: 'Binary (2 levels)' },
+  { value: 3, label: 'Tri-state (3 levels)' },
+  { value: 4, label: '4 levels' },
+  { value: 5, label: '5 levels' },
+  { value: 6, label: '6 levels' },
+  { value: 8, label: '8 levels' }
+];
+
+export const MIN_LEVELS = 2;
+export const MAX_LEVELS = 8;
+
+/**
+ * Checks whether a level count is supported
+ * @param {number} levels - Level count
+ * @returns {boolean}
+ */
+export const isLevelCount = (levels) => {
+  return Number.isInteger(levels) && levels >= MIN_LEVELS && levels <= MAX_LEVELS;
+};
+
+/**
+ * Evenly spaced cut points for a level count
+ * @param {number} levels - Level count
+ * @returns {number[]} - levels - 1 ascending gray values
+ */
+export const getDefaultCutPoints = (levels) => {
+  return Array.from({ length: levels - 1 }, (_, i) => Math.round((255 * (i + 1)) / levels));
+};
+
+/**
+ * Checks cut points for a level count: integers in 1-255, strictly ascending
+ * @param {*} cutPoints - Cut points to check
+ * @param {number} levels - Level count
+ * @returns {boolean}
+ */
+export const isValidCutPoints = (cutPoints, levels) => {
+  return Array.isArray(cutPoints) &&
+    cutPoints.length === levels - 1 &&
+    cutPoints.every((cut, i) => Number.isInteger(cut) && cut >= 1 && cut <= 255 && (i === 0 || cut > cutPoints[i - 1]));
+};
+
+/**
+ * Reads a cell as a level number; booleans count as 0 and 1
+ * @param {boolean|number} state - Cell state
+ * @returns {number}
+ */
+export const getCellLevel = (state) => Number(state) || 0;
+
+/**
+ * Darkness of a cell between 0 (empty) and 1 (fully checked)
+ * @param {boolean|number} state - Cell state
+ * @param {number} levels - Level count of the grid
+ * @returns {number}
+ */
+export const getCellTone = (state, levels = MIN_LEVELS) => {
+  return Math.min(1, getCellLevel(state) / (levels - 1));
+};
+
+/**
+ * Fill color of a cell in image exports, or null for empty cells
+ * Color grids (see palette.js) fill every cell, including the background entry.
+ * @param {boolean|number} state - Cell state
+ * @param {number} levels - Level count of the grid
+ * @param {string[]} [palette] - Palette of a color grid
+ * @returns {string|null}
+ */
+export const getCellFill = (state, levels = MIN_LEVELS, palette = null) => {
+  if (palette) return palette[Math.min(getCellLevel(state), palette.length - 1)];
+
+  const tone = getCellTone(state, levels);
+  if (tone === 0) return null;
+
+  const gray = Math.round(255 * (1 - tone));
+  return `rgb(${gray}, ${gray}, ${gray})`;
+};
+
+/**
+ * Inverts a cell, keeping booleans boolean
+ * @param {boolean|number} state - Cell state
+ * @param {number} levels - Level count of the grid
+ * @returns {boolean|number}
+ */
+export const invertCellState = (state, levels = MIN_LEVELS) => {
+  if (typeof state === 'boolean') return !state;
+  return levels - 1 - Math.min(getCellLevel(state), levels - 1);
+};
+
+/**
+ * Value written by drawing tools for checked or cleared cells
+ * @param {boolean} checked - Whether the cell is painted
+ * @param {number} levels - Level count of the grid
+ * @returns {boolean|number} - Booleans for binary grids, the darkest level or 0 otherwise
+ */
+export const getPaintValue = (checked, levels = MIN_LEVELS) => {
+  if (levels <= MIN_LEVELS) return checked;
+  return checked ? levels - 1 : 0;
+};
+
+/**
+ * Finds cut points that maximize between-class variance (multi-level Otsu)
+ * Dynamic programming over the 256-bin histogram keeps this exact for any level count.
+ * @param {ImageData} imageData - Grayscale image data
+ * @param {number} levels - Level count
+ * @returns {number[]} - levels - 1 ascending cut points; gray values below a cut fall into the darker class
+ */
+export const calculateMultiOtsuThresholds = (imageData, levels) => {
+  if (!isLevelCount(levels)) {
+    throw new ImageProcessingError(`Unsupported level count: ${levels}`, 'INVALID_LEVELS');
+  }
+
+  const histogram = new Float64Array(256);
+  for (let i = 0; i < imageData.data.length; i += 4) {
+    histogram[imageData.data[i]]++;
+  }
+
+  // Prefix sums of counts and weighted sums give any class's score in O(1)
+  const counts = new Float64Array(257);
+  const sums = new Float64Array(257);
+  for (let i = 0; i < 256; i++) {
+    counts[i + 1] = counts[i] + histogram[i];
+    sums[i + 1] = sums[i] + i * histogram[i];
+  }
+  const classScore = (from, to) => {
+    const count = counts[to] - counts[from];
+    if (count === 0) return 0;
+    const sum = sums[to] - sums[from];
+    return (sum * sum) / count;
+  };
+
+  // best[k][end]: highest score splitting gray values [0, end) into k + 1 classes
+  const best = [Float64Array.from({ length: 257 }, (_, end) => classScore(0, end))];
+  const splits = [];
+  for (let k = 1; k < levels; k++) {
+    const scores = new Float64Array(257).fill(-Infinity);
+    const starts = new Int32Array(257);
+    for (let end = k + 1; end <= 256; end++) {
+      for (let start = k; start < end; start++) {
+        const score = best[k - 1][start] + classScore(start, end);
+        if (score > scores[end]) {
+          scores[end] = score;
+          starts[end] = start;
+        }
+      }
+    }
+    best.push(scores);
+    splits.push(starts);
+  }
+
+  // Walk back from the full range to recover where each class starts
+  const cutPoints = [];
+  let end = 256;
+  for (let k = levels - 1; k >= 1; k--) {
+    end = splits[k - 1][end];
+    cutPoints.unshift(end);
+  }
+  return cutPoints;
+};
+
+/**
+ * Quantizes grid-sized grayscale image data into levels
+ * @param {ImageData} imageData - Grayscale image data at grid size
+ * @param {number[]} cutPoints - Ascending cut points, one fewer than the level count
+ * @param {string} ditherMode - Dither mode from DITHER_MODES ('none' for hard cut points)
+ * @returns {number[]} - Level per cell, higher is darker
+ */
+export const quantizeGrayscale = (imageData, cutPoints, ditherMode = 'none') => {
+  const { width, height, data } = imageData;
+  const levels = cutPoints.length + 1;
+  if (!isValidCutPoints(cutPoints, levels) || !isLevelCount(levels)) {
+    throw new ImageProcessingError('Cut points must be ascending values between 1 and 255', 'INVALID_CUT_POINTS');
+  }
+
+  // All channels are the same in grayscale
+  const grays = new Uint8ClampedArray(width * height);
+  for (let i = 0; i < grays.length; i++) {
+    grays[i] = data[i * 4];
+  }
+
+  if (ditherMode !== 'none') {
+    if (!isDitherMode(ditherMode)) {
+      throw new ImageProcessingError(`Unknown dither mode: ${ditherMode}`, 'INVALID_DITHER_MODE');
+    }
+    return ditherGrayscaleLevels(grays, width, height, ditherMode, cutPoints);
+  }
+
+  return Array.from(grays, (gray) => {
+    let band = 0;
+    while (band < cutPoints.length && gray >= cutPoints[band]) band++;
+    return cutPoints.length - band;
+  });
+};
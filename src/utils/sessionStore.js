@@ -0,0 +1,179 @@
+/**
+ * Session Store
+ * Crash-safe autosave of the current work to IndexedDB, stored as a project
+ * file blob so restoring goes through the same validation as Open Project.
+ * The source image is stored next to it as a Blob and only rewritten when it
+ * changes, so frequent autosaves while drawing stay small.
+ */
+
+import { ImageProcessingError } from './imageProcessor.js';
+import { createProjectFile } from './projectFile.js';
+import { getFileCacheKey } from './processingCache.js';
+
+/**
+ * Session storage configuration
+ */
+export const SESSION_CONFIG = {
+  DB_NAME: 'checkbox-sketch',
+  DB_VERSION: 1,
+  STORE_NAME: 'sessions',
+  SESSION_KEY: 'autosave',
+  SOURCE_KEY: 'autosave-source',
+  MAX_BYTES: 20 * 1024 * 1024, // Sessions over this are saved without the source image
+  SAVE_DELAY: 1500             // Debounce before autosaving (ms)
+};
+
+let databasePromise = null;
+
+// Key (see getFileCacheKey) of the source image in storage; undefined until known, so the first save syncs it
+let storedSourceKey;
+
+/**
+ * Wraps an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>}
+ */
+const requestToPromise = (request) => {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Opens the session database, creating its store on first use
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new ImageProcessingError('Session storage is not available in this browser', 'SESSION_STORAGE_UNAVAILABLE'));
+  }
+
+  if (!databasePromise) {
+    const request = indexedDB.open(SESSION_CONFIG.DB_NAME, SESSION_CONFIG.DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(SESSION_CONFIG.STORE_NAME);
+    };
+    databasePromise = requestToPromise(request).catch((error) => {
+      databasePromise = null;
+      throw new ImageProcessingError(`Failed to open session storage: ${error?.message}`, 'SESSION_STORAGE_UNAVAILABLE');
+    });
+  }
+  return databasePromise;
+};
+
+/**
+ * Runs requests against the session store in one transaction
+ * Write quota errors surface when the transaction aborts, not on the request.
+ * @param {IDBTransactionMode} mode - Transaction mode
+ * @param {Function} createRequest - Creates the request, or an array of requests, from the object store
+ * @returns {Promise<*>}
+ */
+const runTransaction = async (mode, createRequest) => {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(SESSION_CONFIG.STORE_NAME, mode);
+    const request = createRequest(transaction.objectStore(SESSION_CONFIG.STORE_NAME));
+    // Several requests resolve to their results in order
+    transaction.oncomplete = () => resolve(Array.isArray(request) ? request.map(({ result }) => result) : request.result);
+    const getError = () => transaction.error || (Array.isArray(request) ? null : request.error);
+    transaction.onerror = () => reject(getError());
+    transaction.onabort = () => reject(getError());
+  });
+};
+
+/**
+ * Stored source image
+ * @typedef {Object} SessionSource
+ * @property {string} key - File key (see getFileCacheKey)
+ * @property {File} file - Source image
+ * @property {{width: number, height: number}|null} dimensions - Source image size
+ */
+
+/**
+ * Reads the autosaved session
+ * Sessions saved before sources were stored separately embed the source in the blob instead.
+ * @returns {Promise<{blob: Blob, savedAt: number, sourceIncluded: boolean, source: SessionSource|null}|null>}
+ */
+export const loadSession = async () => {
+  const [session, source] = await runTransaction('readonly', (store) => [
+    store.get(SESSION_CONFIG.SESSION_KEY),
+    store.get(SESSION_CONFIG.SOURCE_KEY)
+  ]);
+  storedSourceKey = source?.key ?? null;
+  if (!session) return null;
+
+  const hasSource = Boolean(session.sourceKey) && session.sourceKey === source?.key;
+  return {
+    blob: session.blob,
+    savedAt: session.savedAt,
+    sourceIncluded: hasSource || Boolean(session.sourceIncluded),
+    source: hasSource ? source : null
+  };
+};
+
+/**
+ * Deletes the autosaved session and its source image
+ * @returns {Promise<void>}
+ */
+export const clearSession = async () => {
+  await runTransaction('readwrite', (store) => [
+    store.delete(SESSION_CONFIG.SESSION_KEY),
+    store.delete(SESSION_CONFIG.SOURCE_KEY)
+  ]);
+  storedSourceKey = null;
+};
+
+/**
+ * Writes a project blob as the autosaved session, replacing the stored source image only when it changed
+ * @param {Blob} blob - Project file blob, without the source image
+ * @param {SessionSource|null} source - Source image to keep with it
+ * @returns {Promise<number>} - Save time
+ */
+const writeSession = async (blob, source) => {
+  const savedAt = Date.now();
+  const sourceKey = source?.key ?? null;
+  await runTransaction('readwrite', (store) => {
+    if (sourceKey !== storedSourceKey) {
+      if (source) {
+        store.put(source, SESSION_CONFIG.SOURCE_KEY);
+      } else {
+        store.delete(SESSION_CONFIG.SOURCE_KEY);
+      }
+    }
+    return store.put({ blob, savedAt, sourceKey }, SESSION_CONFIG.SESSION_KEY);
+  });
+  storedSourceKey = sourceKey;
+  return savedAt;
+};
+
+/**
+ * Autosaves the current work within the size budget
+ * The source image is dropped first when the session is over budget or storage is full.
+ * @param {Object} session - Project contents, as taken by createProjectFile
+ * @returns {Promise<{savedAt: number, sourceIncluded: boolean}>}
+ */
+export const autosaveSession = async (session) => {
+  const { sourceFile, sourceDimensions } = session;
+  const blob = await createProjectFile({ ...session, sourceFile: null });
+  const source = sourceFile && blob.size + sourceFile.size <= SESSION_CONFIG.MAX_BYTES
+    ? { key: getFileCacheKey(sourceFile), file: sourceFile, dimensions: sourceDimensions ?? null }
+    : null;
+  const attempts = blob.size > SESSION_CONFIG.MAX_BYTES ? [] : source ? [source, null] : [null];
+
+  for (const attempt of attempts) {
+    try {
+      const savedAt = await writeSession(blob, attempt);
+      return { savedAt, sourceIncluded: Boolean(attempt) };
+    } catch (error) {
+      if (error?.name !== 'QuotaExceededError') {
+        throw new ImageProcessingError(`Autosave failed: ${error?.message}`, 'SESSION_SAVE_ERROR');
+      }
+    }
+  }
+
+  throw new ImageProcessingError(
+    'Browser storage is full or the session is too large, so autosave is paused. Save a project file to keep your work.',
+    'SESSION_QUOTA_EXCEEDED'
+  );
+};
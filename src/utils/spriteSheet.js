@@ -0,0 +1,211 @@
+/**
+ * Sprite Sheet Exporter
+ * Packs GIF frames into one PNG atlas with a JSON descriptor in the
+ * TexturePacker/Aseprite layout, so converted GIFs load as sprites in game engines.
+ */
+
+import {
+  ImageProcessingError,
+  createCanvas,
+  createOptimizedContext,
+  getExportPixelSize
+} from './imageProcessor.js';
+import { getCellFill } from './quantization.js';
+import { getFrameFileName } from './frameArchive.js';
+import { createZip } from './zipWriter.js';
+
+/**
+ * Descriptor layouts; both carry frame rects and per-frame durations
+ */
+export const SPRITE_SHEET_FORMATS = [
+  { value: 'aseprite', label: 'Aseprite (JSON array)' },
+  { value: 'texturepacker', label: 'TexturePacker (JSON hash)' }
+];
+
+/**
+ * Sprite sheet defaults
+ */
+export const SPRITE_SHEET_DEFAULTS = {
+  columns: 0, // 0 picks a near-square layout
+  padding: 0, // Pixels between frames and around the sheet edge
+  format: 'aseprite'
+};
+
+const MAX_CANVAS_SIDE = 16384; // Common browser canvas limit
+
+/**
+ * Computes where each frame goes in the sheet
+ * @param {number} frameCount - Number of frames
+ * @param {number} frameWidth - Frame width in pixels
+ * @param {number} frameHeight - Frame height in pixels
+ * @param {Object} [options] - Layout options
+ * @param {number} [options.columns] - Frames per row, 0 for a near-square layout
+ * @param {number} [options.padding] - Pixels between frames and around the edge
+ * @returns {{columns: number, rows: number, width: number, height: number, rects: {x: number, y: number, w: number, h: number}[]}}
+ */
+export const layoutSpriteSheet = (frameCount, frameWidth, frameHeight, { columns = 0, padding = 0 } = {}) => {
+  const columnCount = Math.min(frameCount, columns > 0 ? Math.floor(columns) : Math.ceil(Math.sqrt(frameCount)));
+  const rowCount = Math.ceil(frameCount / columnCount);
+  const gap = Math.max(0, Math.floor(padding));
+
+  const rects = [];
+  for (let i = 0; i < frameCount; i++) {
+    rects.push({
+      x: gap + (i % columnCount) * (frameWidth + gap),
+      y: gap + Math.floor(i / columnCount) * (frameHeight + gap),
+      w: frameWidth,
+      h: frameHeight
+    });
+  }
+
+  return {
+    columns: columnCount,
+    rows: rowCount,
+    width: gap + columnCount * (frameWidth + gap),
+    height: gap + rowCount * (frameHeight + gap),
+    rects
+  };
+};
+
+/**
+ * Builds the JSON descriptor of a sprite sheet
+ * @param {{delay: number}[]} frames - Frames in playback order
+ * @param {Object} layout - Result of layoutSpriteSheet
+ * @param {Object} options - Descriptor options
+ * @param {string} options.imageName - File name of the atlas PNG
+ * @param {string} [options.format] - 'aseprite' (frames array) or 'texturepacker' (frames hash)
+ * @returns {Object}
+ */
+export const createSpriteSheetDescriptor = (frames, layout, { imageName, format = 'aseprite' }) => {
+  const entries = frames.map(({ delay }, index) => {
+    const rect = layout.rects[index];
+    return {
+      filename: `${getFrameFileName(index, frames.length)}.png`,
+      frame: { x: rect.x, y: rect.y, w: rect.w, h: rect.h },
+      rotated: false,
+      trimmed: false,
+      spriteSourceSize: { x: 0, y: 0, w: rect.w, h: rect.h },
+      sourceSize: { w: rect.w, h: rect.h },
+      duration: delay
+    };
+  });
+
+  const meta = {
+    app: 'checkbox-sketch',
+    version: '1.0',
+    image: imageName,
+    format: 'RGBA8888',
+    size: { w: layout.width, h: layout.height },
+    scale: '1'
+  };
+
+  if (format === 'texturepacker') {
+    return {
+      frames: Object.fromEntries(entries.map(({ filename, ...entry }) => [filename, entry])),
+      meta
+    };
+  }
+
+  return {
+    frames: entries,
+    meta: {
+      ...meta,
+      frameTags: [{ name: 'animation', from: 0, to: frames.length - 1, direction: 'forward' }],
+      layers: [{ name: 'checkboxes', opacity: 255, blendMode: 'normal' }]
+    }
+  };
+};
+
+/**
+ * Draws all frames into one PNG atlas
+ * @param {{checkboxStates: boolean[]}[]} frames - Frames in playback order
+ * @param {number} gridWidth - Grid width
+ * @param {number} gridHeight - Grid height
+ * @param {Object} layout - Result of layoutSpriteSheet
+ * @param {number} pixelSize - Pixels per cell
+ * @param {number} levels - Level count; multi-level cells are shaded
+ * @param {string[]|null} palette - Palette of a color grid, or null
+ * @returns {Promise<Blob>}
+ */
+const renderSpriteSheet = (frames, gridWidth, gridHeight, layout, pixelSize, levels, palette) => {
+  return new Promise((resolve, reject) => {
+    const canvas = createCanvas(layout.width, layout.height);
+    const ctx = createOptimizedContext(canvas);
+
+    // Padding stays transparent so engines do not bleed it into neighbouring frames
+    frames.forEach(({ checkboxStates }, index) => {
+      const { x, y, w, h } = layout.rects[index];
+      ctx.fillStyle = 'white';
+      ctx.fillRect(x, y, w, h);
+
+      for (let i = 0; i < checkboxStates.length; i++) {
+        const fill = getCellFill(checkboxStates[i], levels, palette);
+        if (fill) {
+          ctx.fillStyle = fill;
+          ctx.fillRect(x + (i % gridWidth) * pixelSize, y + Math.floor(i / gridWidth) * pixelSize, pixelSize, pixelSize);
+        }
+      }
+    });
+
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new ImageProcessingError('Failed to create sprite sheet image', 'EXPORT_ERROR'));
+      }
+    }, 'image/png');
+  });
+};
+
+/**
+ * Exports frames as a ZIP holding the atlas PNG and its JSON descriptor
+ * @param {{checkboxStates: boolean[], delay: number}[]} frames - Frames in playback order
+ * @param {number} gridWidth - Grid width
+ * @param {number} gridHeight - Grid height
+ * @param {Object} [options] - Export options
+ * @param {string} [options.exportSize] - Cell size ('Small', 'Medium', 'Large')
+ * @param {number} [options.levels] - Level count; multi-level cells are shaded
+ * @param {string[]} [options.palette] - Palette of a color grid; cells are drawn in their palette color
+ * @param {number} [options.columns] - Frames per row, 0 for a near-square layout
+ * @param {number} [options.padding] - Pixels between frames and around the edge
+ * @param {string} [options.format] - Descriptor layout (see SPRITE_SHEET_FORMATS)
+ * @param {string} [options.baseName] - Base name of the PNG and JSON files
+ * @returns {Promise<Blob>}
+ */
+export const exportSpriteSheet = async (frames, gridWidth, gridHeight, {
+  exportSize = 'Medium',
+  levels = 2,
+  palette = null,
+  columns = SPRITE_SHEET_DEFAULTS.columns,
+  padding = SPRITE_SHEET_DEFAULTS.padding,
+  format = SPRITE_SHEET_DEFAULTS.format,
+  baseName = 'spritesheet'
+} = {}) => {
+  if (frames.length === 0) {
+    throw new ImageProcessingError('No frames to export', 'NO_FRAMES');
+  }
+
+  const pixelSize = getExportPixelSize(exportSize);
+  const layout = layoutSpriteSheet(frames.length, gridWidth * pixelSize, gridHeight * pixelSize, { columns, padding });
+
+  if (layout.width > MAX_CANVAS_SIDE || layout.height > MAX_CANVAS_SIDE) {
+    throw new ImageProcessingError(
+      `Sprite sheet would be ${layout.width}×${layout.height} pixels; use a smaller export size or change the column count to keep each side under ${MAX_CANVAS_SIDE}`,
+      'SPRITE_SHEET_TOO_LARGE'
+    );
+  }
+
+  try {
+    const imageName = `${baseName}.png`;
+    const image = await renderSpriteSheet(frames, gridWidth, gridHeight, layout, pixelSize, levels, palette);
+    const descriptor = createSpriteSheetDescriptor(frames, layout, { imageName, format });
+
+    return await createZip([
+      { name: imageName, data: image, compress: false },
+      { name: `${baseName}.json`, data: JSON.stringify(descriptor, null, 2) }
+    ]);
+  } catch (error) {
+    if (error instanceof ImageProcessingError) throw error;
+    throw new ImageProcessingError(`Sprite sheet export failed: ${error.message}`, 'EXPORT_ERROR');
+  }
+};
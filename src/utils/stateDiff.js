@@ -0,0 +1,79 @@
+/**
+ * Checkbox State Diffs
+ * Compact records of which cells changed between two checkbox state arrays.
+ * Cells are booleans or level numbers (see quantization.js), so a diff stores
+ * runs of cells with the XOR of their old and new levels, and applying the
+ * same diff again undoes it.
+ */
+
+/**
+ * Reads a cell as a level number; booleans count as 0 and 1
+ * @param {boolean|number} state - Cell state
+ * @returns {number}
+ */
+const toLevel = (state) => Number(state) || 0;
+
+/**
+ * Computes the cells that differ between two state arrays of the same length
+ * @param {(boolean|number)[]} before - States before the edit
+ * @param {(boolean|number)[]} after - States after the edit
+ * @returns {Uint32Array} - Flat [start, length, xor] triples of changed runs
+ */
+export const diffCheckboxStates = (before, after) => {
+  if (before.length !== after.length) {
+    throw new Error(`Cannot diff states of different lengths (${before.length} and ${after.length})`);
+  }
+
+  const runs = [];
+  let runStart = -1;
+  let runXor = 0;
+
+  for (let i = 0; i <= after.length; i++) {
+    const xor = i < after.length ? toLevel(before[i]) ^ toLevel(after[i]) : 0;
+    if (runStart !== -1 && xor !== runXor) {
+      runs.push(runStart, i - runStart, runXor);
+      runStart = -1;
+    }
+    if (xor !== 0 && runStart === -1) {
+      runStart = i;
+      runXor = xor;
+    }
+  }
+
+  return Uint32Array.from(runs);
+};
+
+/**
+ * Flips the cells listed in a diff
+ * Boolean cells stay boolean while their level is 0 or 1.
+ * @param {(boolean|number)[]} states - States to apply the diff to
+ * @param {Uint32Array} diff - Diff from diffCheckboxStates
+ * @returns {(boolean|number)[]} - New states array
+ */
+export const applyCheckboxDiff = (states, diff) => {
+  const result = [...states];
+
+  for (let i = 0; i < diff.length; i += 3) {
+    const end = diff[i] + diff[i + 1];
+    const xor = diff[i + 2];
+    for (let j = diff[i]; j < end; j++) {
+      const level = toLevel(result[j]) ^ xor;
+      result[j] = typeof result[j] === 'boolean' && level <= 1 ? level === 1 : level;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Counts the cells changed by a diff
+ * @param {Uint32Array} diff - Diff from diffCheckboxStates
+ * @returns {number}
+ */
+export const countDiffCells = (diff) => {
+  let count = 0;
+  for (let i = 1; i < diff.length; i += 3) {
+    count += diff[i];
+  }
+  return count;
+};
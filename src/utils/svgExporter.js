@@ -0,0 +1,295 @@
+/**
+ * SVG Exporter
+ * Vector export of checkbox patterns for printing and cutting. Filled cells
+ * are written as a single path: touching cells merge into rectangles, and
+ * separated or rounded cells become compact relative subpaths. Multi-level
+ * and color grids get one path per level or palette entry.
+ */
+
+import { ImageProcessingError } from './imageProcessor.js';
+import { getCellFill, getCellLevel } from './quantization.js';
+
+/**
+ * Default SVG export options
+ */
+export const SVG_EXPORT_DEFAULTS = {
+  cellSize: 10,                 // Cell pitch in SVG user units
+  foreground: '#000000',
+  background: '#ffffff',
+  gap: 0,                       // Space between cells as a fraction of the cell pitch (0-0.5)
+  cornerRadius: 0,              // Corner radius as a fraction of the filled cell size (0-0.5, 0.5 = circles)
+  transparentBackground: false
+};
+
+/**
+ * Rounds coordinates so paths stay short
+ * @param {number} value - Coordinate
+ * @returns {number}
+ */
+const formatNumber = (value) => Number(value.toFixed(3));
+
+/**
+ * Falls back to a default for anything that is not a hex color, since colors are written into markup
+ * @param {string} color - Color from the options
+ * @param {string} fallback - Default color
+ * @returns {string}
+ */
+const sanitizeColor = (color, fallback) => {
+  return /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(color) ? color : fallback;
+};
+
+/**
+ * Resolves export options, clamping numeric ones to their supported range
+ * @param {Object} options - Partial export options
+ * @returns {Object}
+ */
+const resolveOptions = (options) => {
+  const resolved = { ...SVG_EXPORT_DEFAULTS, ...options };
+  return {
+    ...resolved,
+    cellSize: Math.max(1, Number(resolved.cellSize) || SVG_EXPORT_DEFAULTS.cellSize),
+    gap: Math.min(0.5, Math.max(0, Number(resolved.gap) || 0)),
+    cornerRadius: Math.min(0.5, Math.max(0, Number(resolved.cornerRadius) || 0)),
+    foreground: sanitizeColor(resolved.foreground, SVG_EXPORT_DEFAULTS.foreground),
+    background: sanitizeColor(resolved.background, SVG_EXPORT_DEFAULTS.background),
+    levels: Number.isInteger(resolved.levels) && resolved.levels > 2 ? resolved.levels : 2,
+    palette: Array.isArray(resolved.palette)
+      ? resolved.palette.map((color) => sanitizeColor(color, SVG_EXPORT_DEFAULTS.foreground))
+      : null
+  };
+};
+
+/**
+ * Merges filled cells into rectangles: horizontal runs first, then identical runs on consecutive rows
+ * @param {boolean[]} checkboxStates - Checkbox states
+ * @param {number} gridWidth - Grid width
+ * @param {number} gridHeight - Grid height
+ * @returns {{x: number, y: number, width: number, height: number}[]} - Rectangles in cells
+ */
+export const mergeFilledCells = (checkboxStates, gridWidth, gridHeight) => {
+  const rectangles = [];
+  let openRuns = new Map();
+
+  for (let y = 0; y < gridHeight; y++) {
+    const rowRuns = new Map();
+    let x = 0;
+
+    while (x < gridWidth) {
+      if (!checkboxStates[y * gridWidth + x]) {
+        x++;
+        continue;
+      }
+
+      const start = x;
+      while (x < gridWidth && checkboxStates[y * gridWidth + x]) x++;
+
+      const key = `${start}:${x - start}`;
+      let rectangle = openRuns.get(key);
+      if (rectangle) {
+        rectangle.height++;
+      } else {
+        rectangle = { x: start, y, width: x - start, height: 1 };
+        rectangles.push(rectangle);
+      }
+      rowRuns.set(key, rectangle);
+    }
+
+    openRuns = rowRuns;
+  }
+
+  return rectangles;
+};
+
+/**
+ * Builds the path data for the filled cells
+ * @param {boolean[]} checkboxStates - Checkbox states
+ * @param {number} gridWidth - Grid width
+ * @param {number} gridHeight - Grid height
+ * @param {Object} options - Resolved export options
+ * @returns {string}
+ */
+export const buildCellPath = (checkboxStates, gridWidth, gridHeight, options) => {
+  const { cellSize, gap, cornerRadius } = options;
+
+  // Touching square cells can share edges
+  if (gap === 0 && cornerRadius === 0) {
+    return mergeFilledCells(checkboxStates, gridWidth, gridHeight)
+      .map(({ x, y, width, height }) => (
+        `M${x * cellSize} ${y * cellSize}h${width * cellSize}v${height * cellSize}h${-width * cellSize}z`
+      ))
+      .join('');
+  }
+
+  // Separate or rounded cells: one subpath per cell, each moved relative to the previous one
+  const inset = (gap * cellSize) / 2;
+  const size = formatNumber(cellSize - gap * cellSize);
+  const radius = formatNumber(cornerRadius * size);
+  const straight = formatNumber(size - 2 * radius);
+  // Circles (radius = half the size) have no straight edges
+  const edge = (command, length) => (straight > 0 ? `${command}${length}` : '');
+  const cellPath = radius > 0
+    ? `${edge('h', straight)}a${radius} ${radius} 0 0 1 ${radius} ${radius}${edge('v', straight)}` +
+      `a${radius} ${radius} 0 0 1 ${-radius} ${radius}${edge('h', -straight)}` +
+      `a${radius} ${radius} 0 0 1 ${-radius} ${-radius}${edge('v', -straight)}` +
+      `a${radius} ${radius} 0 0 1 ${radius} ${-radius}z`
+    : `h${size}v${size}h${-size}z`;
+
+  let path = '';
+  let previous = null;
+  for (let index = 0; index < checkboxStates.length; index++) {
+    if (!checkboxStates[index]) continue;
+
+    // Subpaths start at the top-left corner, after the rounded corner if any
+    const startX = (index % gridWidth) * cellSize + inset + radius;
+    const startY = Math.floor(index / gridWidth) * cellSize + inset;
+    path += previous
+      ? `m${formatNumber(startX - previous.x)} ${formatNumber(startY - previous.y)}`
+      : `M${formatNumber(startX)} ${formatNumber(startY)}`;
+    path += cellPath;
+    previous = { x: startX, y: startY };
+  }
+
+  return path;
+};
+
+/**
+ * Builds one filled path per cell value
+ * Binary grids use the foreground color; multi-level grids use gray shades and
+ * color grids their palette, as in image exports.
+ * @param {(boolean|number)[]} checkboxStates - Cell states
+ * @param {number} gridWidth - Grid width
+ * @param {number} gridHeight - Grid height
+ * @param {Object} options - Resolved export options, with levels and palette
+ * @returns {{fill: string, path: string}[]} - Non-empty layers, lightest first
+ */
+export const buildCellLayers = (checkboxStates, gridWidth, gridHeight, options) => {
+  const { levels = 2, palette = null } = options;
+  if (!palette && levels <= 2) {
+    const path = buildCellPath(checkboxStates, gridWidth, gridHeight, options);
+    return path ? [{ fill: options.foreground, path }] : [];
+  }
+
+  const cellLevels = checkboxStates.map(getCellLevel);
+  const layers = [];
+  for (let level = 0; level < (palette ? palette.length : levels); level++) {
+    const fill = getCellFill(level, levels, palette);
+    if (!fill) continue;
+    const mask = cellLevels.map((cellLevel) => cellLevel === level);
+    const path = buildCellPath(mask, gridWidth, gridHeight, options);
+    if (path) layers.push({ fill, path });
+  }
+  return layers;
+};
+
+/**
+ * Writes layers as path elements
+ * @param {{fill: string, path: string}[]} layers - Layers from buildCellLayers
+ * @returns {string}
+ */
+const createLayerMarkup = (layers) => layers.map(({ fill, path }) => `<path fill="${fill}" d="${path}"/>`).join('');
+
+/**
+ * Opening SVG markup and background shared by still and animated exports
+ * @param {number} gridWidth - Grid width
+ * @param {number} gridHeight - Grid height
+ * @param {Object} options - Resolved export options
+ * @returns {string}
+ */
+const createSVGHeader = (gridWidth, gridHeight, options) => {
+  const width = gridWidth * options.cellSize;
+  const height = gridHeight * options.cellSize;
+  const background = options.transparentBackground
+    ? ''
+    : `<rect width="${width}" height="${height}" fill="${options.background}"/>`;
+
+  // Square cells stay sharp; rounded cells need anti-aliasing
+  const rendering = options.cornerRadius === 0 ? ' shape-rendering="crispEdges"' : '';
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"${rendering}>${background}`;
+};
+
+/**
+ * Creates an SVG document for one grid
+ * @param {(boolean|number)[]} checkboxStates - Cell states
+ * @param {number} gridWidth - Grid width
+ * @param {number} gridHeight - Grid height
+ * @param {Object} [options] - Export options (see SVG_EXPORT_DEFAULTS), plus levels and palette of multi-level or color grids
+ * @returns {string}
+ */
+export const createSVG = (checkboxStates, gridWidth, gridHeight, options = {}) => {
+  const resolved = resolveOptions(options);
+  const layers = buildCellLayers(checkboxStates, gridWidth, gridHeight, resolved);
+  return `${createSVGHeader(gridWidth, gridHeight, resolved)}${createLayerMarkup(layers)}</svg>`;
+};
+
+/**
+ * Creates an animated SVG showing each frame for its delay (SMIL)
+ * @param {{checkboxStates: (boolean|number)[], delay: number}[]} frames - Frames in playback order
+ * @param {number} gridWidth - Grid width
+ * @param {number} gridHeight - Grid height
+ * @param {Object} [options] - Export options (see createSVG) plus loopCount (GIF semantics: 0 forever, -1 once, n repeats)
+ * @returns {string}
+ */
+export const createAnimatedSVG = (frames, gridWidth, gridHeight, { loopCount = 0, ...options } = {}) => {
+  const resolved = resolveOptions(options);
+  const totalDuration = frames.reduce((total, frame) => total + frame.delay, 0);
+  const repeatCount = loopCount === 0 ? 'indefinite' : String(loopCount < 0 ? 1 : loopCount + 1);
+
+  let elapsed = 0;
+  const frameGroups = frames.map((frame) => {
+    const start = elapsed / totalDuration;
+    const end = (elapsed + frame.delay) / totalDuration;
+    elapsed += frame.delay;
+
+    // Visible from start to end of its slot; discrete steps need no values past the end of the timeline
+    const keyFrames = [[0, start === 0 ? 'visible' : 'hidden']];
+    if (start > 0) keyFrames.push([start, 'visible']);
+    if (end < 1) keyFrames.push([end, 'hidden']);
+
+    const values = keyFrames.map(([, value]) => value).join(';');
+    const keyTimes = keyFrames.map(([time]) => formatNumber(time)).join(';');
+    const layers = buildCellLayers(frame.checkboxStates, gridWidth, gridHeight, resolved);
+
+    return `<g visibility="hidden"><animate attributeName="visibility" values="${values}" ` +
+      `keyTimes="${keyTimes}" calcMode="discrete" dur="${totalDuration}ms" repeatCount="${repeatCount}" fill="freeze"/>` +
+      `${createLayerMarkup(layers)}</g>`;
+  });
+
+  return `${createSVGHeader(gridWidth, gridHeight, resolved)}${frameGroups.join('')}</svg>`;
+};
+
+/**
+ * Exports checkbox states as an SVG file
+ * @param {(boolean|number)[]} checkboxStates - Cell states
+ * @param {number} gridWidth - Grid width
+ * @param {number} gridHeight - Grid height
+ * @param {Object} [options] - Export options (see createSVG)
+ * @returns {Blob}
+ */
+export const exportAsSVG = (checkboxStates, gridWidth, gridHeight, options = {}) => {
+  try {
+    return new Blob([createSVG(checkboxStates, gridWidth, gridHeight, options)], { type: 'image/svg+xml' });
+  } catch (error) {
+    throw new ImageProcessingError(`SVG export failed: ${error.message}`, 'EXPORT_ERROR');
+  }
+};
+
+/**
+ * Exports GIF frames as one animated SVG file
+ * @param {{checkboxStates: (boolean|number)[], delay: number}[]} frames - Frames in playback order
+ * @param {number} gridWidth - Grid width
+ * @param {number} gridHeight - Grid height
+ * @param {Object} [options] - Export options (see createAnimatedSVG)
+ * @returns {Blob}
+ */
+export const exportAnimatedSVG = (frames, gridWidth, gridHeight, options = {}) => {
+  if (frames.length === 0) {
+    throw new ImageProcessingError('No frames to export', 'NO_FRAMES');
+  }
+
+  try {
+    return new Blob([createAnimatedSVG(frames, gridWidth, gridHeight, options)], { type: 'image/svg+xml' });
+  } catch (error) {
+    throw new ImageProcessingError(`Animated SVG export failed: ${error.message}`, 'EXPORT_ERROR');
+  }
+};
@@ -0,0 +1,484 @@
+/**
+ * Text Importer
+ * Parses patterns written by the text renderers back into checkbox states.
+ * The format is detected from the characters used, grid dimensions come from
+ * line lengths or a "Grid W×H" line, and "Frame N (Xms)" headers split the
+ * text into GIF frames.
+ */
+
+import { ImageProcessingError, CUSTOM_GRID_LIMITS } from './imageProcessor.js';
+import { DEFAULT_GLYPHS } from './textRenderers.js';
+
+/**
+ * Text import configuration
+ */
+const TEXT_IMPORT_CONFIG = {
+  MAX_REPORTED_ISSUES: 5,
+  DEFAULT_DELAY: 100, // Frame delay when a header has none (ms)
+  MIN_DELAY: 20       // Header delays below this are treated as unset, as for decoded GIFs
+};
+
+// Frame headers as written by renderFramesText, with or without a markdown heading
+const FRAME_HEADER = /^(?:#+\s*)?Frame\s+\d+(?:\s*\((\d+)\s*ms\))?\s*$/i;
+
+// Grid size line written above padded packed text
+const GRID_SIZE_LINE = /^Grid\s+(\d+)\s*[×x]\s*(\d+)\s*$/i;
+
+// Markdown task list lines as written by the markdown renderer
+const MARKDOWN_ROW = /^\s*[-*]\s+Row\b/i;
+const MARKDOWN_TASK = /^\s*[-*]\s+\[([ xX])\]/;
+
+// Glyphs that look empty, used to tell which of two custom glyphs is unchecked
+const EMPTY_LOOKING_GLYPHS = [' ', '.', '·', '0', '-', '_', '☐', '□', '○', '◯', '⬜', '░'];
+
+// Splits lines into user-perceived characters, so glyphs such as ☑️ (with a variation selector) stay whole
+const GRAPHEMES = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+const HALF_BLOCKS = { ' ': [false, false], '▀': [true, false], '▄': [false, true], '█': [true, true] };
+
+// Quadrant characters indexed by top-left (1), top-right (2), bottom-left (4) and bottom-right (8)
+const QUADRANT_CHARS = [' ', '▘', '▝', '▀', '▖', '▌', '▞', '▛', '▗', '▚', '▐', '▜', '▄', '▙', '▟', '█'];
+
+// Braille dot bit for each [dx][dy] position in a 2x4 cell block
+const BRAILLE_DOTS = [
+  [0x01, 0x02, 0x04, 0x40],
+  [0x08, 0x10, 0x20, 0x80]
+];
+
+/**
+ * Block formats: each character holds a block of cells
+ * decode returns the block's cells row-major, or null for characters outside the format.
+ */
+const BLOCK_FORMATS = {
+  checkbox: {
+    label: 'Checkboxes (☒/☐)',
+    blockWidth: 1,
+    blockHeight: 1,
+    decode: (char) => (char === '☒' || char === '☑' ? [true] : char === '☐' ? [false] : null)
+  },
+  braille: {
+    label: 'Braille',
+    blockWidth: 2,
+    blockHeight: 4,
+    decode: (char) => {
+      const bits = char.length === 1 ? char.codePointAt(0) - 0x2800 : -1;
+      if (bits < 0 || bits > 0xff) return null;
+      const cells = [];
+      for (let dy = 0; dy < 4; dy++) {
+        for (let dx = 0; dx < 2; dx++) {
+          cells.push((bits & BRAILLE_DOTS[dx][dy]) !== 0);
+        }
+      }
+      return cells;
+    },
+    padChar: '⠀'
+  },
+  'half-blocks': {
+    label: 'Half blocks',
+    blockWidth: 1,
+    blockHeight: 2,
+    decode: (char) => HALF_BLOCKS[char] ?? null,
+    padChar: ' ' // Editors strip trailing spaces, which are empty blocks here
+  },
+  quadrants: {
+    label: 'Quadrant blocks',
+    blockWidth: 2,
+    blockHeight: 2,
+    decode: (char) => {
+      const bits = QUADRANT_CHARS.indexOf(char);
+      return bits === -1 ? null : [(bits & 1) !== 0, (bits & 2) !== 0, (bits & 4) !== 0, (bits & 8) !== 0];
+    },
+    padChar: ' '
+  }
+};
+
+/**
+ * Splits a line into characters
+ * @param {string} text - Line text
+ * @returns {string[]}
+ */
+const splitGraphemes = (text) => Array.from(GRAPHEMES.segment(text), ({ segment }) => segment);
+
+/**
+ * Splits a line into custom glyphs, which may be several characters long
+ * Text that matches neither glyph is split into single characters.
+ * @param {string} text - Line text
+ * @param {{checked: string, unchecked: string}} glyphs - Custom glyphs
+ * @returns {string[]}
+ */
+const splitGlyphs = (text, { checked, unchecked }) => {
+  // Try the longer glyph first in case one starts with the other
+  const glyphs = checked.length >= unchecked.length ? [checked, unchecked] : [unchecked, checked];
+  const parts = [];
+  let index = 0;
+  while (index < text.length) {
+    const part = glyphs.find((glyph) => text.startsWith(glyph, index)) ?? GRAPHEMES.segment(text).containing(index).segment;
+    parts.push(part);
+    index += part.length;
+  }
+  return parts;
+};
+
+/**
+ * Issue found while parsing
+ * @typedef {Object} TextImportIssue
+ * @property {number} row - 1-based line in the imported text
+ * @property {number} column - 1-based character, or custom glyph, on that line
+ * @property {string} message - What is wrong
+ */
+
+/**
+ * Throws the parse error for the collected issues
+ * @param {TextImportIssue[]} issues - Issues found
+ */
+const throwIssues = (issues) => {
+  const shown = issues.slice(0, TEXT_IMPORT_CONFIG.MAX_REPORTED_ISSUES)
+    .map(({ row, column, message }) => `Line ${row}, column ${column}: ${message}`);
+  const more = issues.length > shown.length ? `\n…and ${issues.length - shown.length} more` : '';
+
+  const error = new ImageProcessingError(`Could not import text:\n${shown.join('\n')}${more}`, 'TEXT_PARSE_ERROR');
+  error.issues = issues;
+  throw error;
+};
+
+/**
+ * Whether a line only separates sections
+ * @param {string} text - Line text
+ * @returns {boolean}
+ */
+const isBlankLine = (text) => text.trim() === '' && !/^ +$/.test(text);
+
+/**
+ * Reads the delay of a frame header, falling back to the default for missing or too short delays
+ * @param {string} [value] - Delay digits from the header
+ * @returns {number} - Delay in ms
+ */
+const parseFrameDelay = (value) => {
+  const delay = value ? parseInt(value) : 0;
+  return delay < TEXT_IMPORT_CONFIG.MIN_DELAY ? TEXT_IMPORT_CONFIG.DEFAULT_DELAY : delay;
+};
+
+/**
+ * Splits text into frame sections at frame headers, dropping blank lines around each section
+ * @param {string} text - Imported text
+ * @returns {{gridSize: {width: number, height: number, row: number}|null, sections: {delay: number, lines: {text: string, row: number}[]}[]}}
+ */
+const splitFrames = (text) => {
+  const sections = [];
+  let current = null;
+  let gridSize = null;
+
+  text.replace(/\r\n?/g, '\n').split('\n').forEach((line, index) => {
+    const size = line.match(GRID_SIZE_LINE);
+    if (size) {
+      gridSize = { width: parseInt(size[1]), height: parseInt(size[2]), row: index + 1 };
+      return;
+    }
+
+    const header = line.match(FRAME_HEADER);
+    if (header) {
+      current = { delay: parseFrameDelay(header[1]), lines: [] };
+      sections.push(current);
+      return;
+    }
+
+    if (!current) {
+      current = { delay: TEXT_IMPORT_CONFIG.DEFAULT_DELAY, lines: [] };
+      sections.push(current);
+    }
+    current.lines.push({ text: line, row: index + 1 });
+  });
+
+  const frameSections = sections
+    .map((section) => {
+      const lines = [...section.lines];
+      // Lines of spaces are kept: they are rows of empty blocks in block formats
+      while (lines.length > 0 && isBlankLine(lines[0].text)) lines.shift();
+      while (lines.length > 0 && isBlankLine(lines[lines.length - 1].text)) lines.pop();
+      return { ...section, lines };
+    })
+    .filter((section) => section.lines.length > 0);
+  return { gridSize, sections: frameSections };
+};
+
+/**
+ * Picks custom glyphs for text written with two distinct characters
+ * @param {Map<string, number>} counts - Occurrences per character
+ * @returns {{checked: string, unchecked: string}|null}
+ */
+const detectCustomGlyphs = (counts) => {
+  const chars = [...counts.keys()];
+  if (chars.length === 0 || chars.length > 2) return null;
+
+  if (chars.length === 1) {
+    const [char] = chars;
+    return EMPTY_LOOKING_GLYPHS.includes(char)
+      ? { checked: DEFAULT_GLYPHS.checked, unchecked: char }
+      : { checked: char, unchecked: DEFAULT_GLYPHS.unchecked };
+  }
+
+  const emptyLooking = chars.find((char) => EMPTY_LOOKING_GLYPHS.includes(char));
+  // Otherwise assume the more common glyph is the background
+  const unchecked = emptyLooking ?? (counts.get(chars[0]) >= counts.get(chars[1]) ? chars[0] : chars[1]);
+  return { checked: chars.find((char) => char !== unchecked), unchecked };
+};
+
+/**
+ * Detects the text format from the characters used
+ * @param {{text: string, row: number}[]} lines - Pattern lines of every frame
+ * @param {{checked: string, unchecked: string}} [glyphs] - Custom glyphs to use instead of detecting
+ * @returns {{format: string, label: string, glyphs?: Object}}
+ */
+export const detectTextFormat = (lines, glyphs = null) => {
+  if (glyphs) {
+    return { format: 'custom', label: 'Custom glyphs', glyphs };
+  }
+
+  if (lines.some(({ text }) => MARKDOWN_TASK.test(text))) {
+    return { format: 'markdown', label: 'Markdown task list' };
+  }
+
+  const counts = new Map();
+  lines.forEach(({ text }) => {
+    splitGraphemes(text).forEach((char) => counts.set(char, (counts.get(char) || 0) + 1));
+  });
+  const chars = [...counts.keys()];
+
+  // Prefer the format that explains every character, in order of specificity
+  const exact = ['checkbox', 'braille', 'half-blocks', 'quadrants']
+    .find((format) => chars.length > 0 && chars.every((char) => BLOCK_FORMATS[format].decode(char) !== null));
+  if (exact) return { format: exact, label: BLOCK_FORMATS[exact].label };
+
+  const customGlyphs = detectCustomGlyphs(counts);
+  if (customGlyphs) return { format: 'custom', label: 'Custom glyphs', glyphs: customGlyphs };
+
+  // Several unknown characters: report against the closest format
+  const total = lines.reduce((sum, { text }) => sum + splitGraphemes(text).length, 0);
+  const [closest] = Object.keys(BLOCK_FORMATS)
+    .map((format) => ({
+      format,
+      matched: chars.reduce((sum, char) => sum + (BLOCK_FORMATS[format].decode(char) ? counts.get(char) : 0), 0)
+    }))
+    .sort((a, b) => b.matched - a.matched);
+
+  if (!closest || closest.matched === 0 || total === 0) {
+    throw new ImageProcessingError(
+      'Could not recognize the text format. Use ☒/☐, braille, block characters, a markdown task list or two custom glyphs.',
+      'TEXT_UNKNOWN_FORMAT'
+    );
+  }
+  return { format: closest.format, label: BLOCK_FORMATS[closest.format].label };
+};
+
+/**
+ * Parses one frame of a block format
+ * @param {{text: string, row: number}[]} lines - Frame lines
+ * @param {Object} blockFormat - Entry of BLOCK_FORMATS
+ * @param {TextImportIssue[]} issues - Collects problems
+ * @param {number} [minWidth] - Grid width from a size line, so padded lines stripped by editors keep their length
+ * @returns {{checkboxStates: boolean[], gridWidth: number, gridHeight: number}}
+ */
+const parseBlockFrame = (lines, blockFormat, issues, minWidth = 0) => {
+  const rows = lines.map(({ text }) => (blockFormat.split ? blockFormat.split(text) : splitGraphemes(text)));
+  const minChars = blockFormat.padChar === undefined ? 0 : Math.ceil(minWidth / blockFormat.blockWidth);
+  const charsPerLine = Math.max(minChars, ...rows.map((chars) => chars.length));
+  const gridWidth = charsPerLine * blockFormat.blockWidth;
+  const gridHeight = rows.length * blockFormat.blockHeight;
+  const states = new Array(gridWidth * gridHeight).fill(false);
+
+  rows.forEach((chars, lineIndex) => {
+    const { row } = lines[lineIndex];
+    if (chars.length < charsPerLine) {
+      if (blockFormat.padChar === undefined) {
+        issues.push({ row, column: chars.length + 1, message: `line has ${chars.length} characters, expected ${charsPerLine}` });
+        return;
+      }
+      while (chars.length < charsPerLine) chars.push(blockFormat.padChar);
+    }
+
+    chars.forEach((char, charIndex) => {
+      const cells = blockFormat.decode(char);
+      if (!cells) {
+        issues.push({ row, column: charIndex + 1, message: `unexpected character "${char}"` });
+        return;
+      }
+
+      cells.forEach((checked, cellIndex) => {
+        const x = charIndex * blockFormat.blockWidth + (cellIndex % blockFormat.blockWidth);
+        const y = lineIndex * blockFormat.blockHeight + Math.floor(cellIndex / blockFormat.blockWidth);
+        states[y * gridWidth + x] = checked;
+      });
+    });
+  });
+
+  return { checkboxStates: states, gridWidth, gridHeight };
+};
+
+/**
+ * Crops a frame to its top-left cells
+ * @param {{checkboxStates: boolean[], gridWidth: number, gridHeight: number}} frame - Parsed frame
+ * @param {number} width - Cropped width
+ * @param {number} height - Cropped height
+ * @returns {{checkboxStates: boolean[], gridWidth: number, gridHeight: number}}
+ */
+const cropFrame = ({ checkboxStates, gridWidth }, width, height) => {
+  const states = [];
+  for (let y = 0; y < height; y++) {
+    states.push(...checkboxStates.slice(y * gridWidth, y * gridWidth + width));
+  }
+  return { checkboxStates: states, gridWidth: width, gridHeight: height };
+};
+
+/**
+ * Size of a packed frame without empty cells in its last block row and column,
+ * which is where the renderer pads grids that don't fill their blocks
+ * @param {{checkboxStates: boolean[], gridWidth: number, gridHeight: number}} frame - Parsed frame
+ * @param {Object} blockFormat - Entry of BLOCK_FORMATS
+ * @returns {{width: number, height: number}}
+ */
+const getUnpaddedSize = ({ checkboxStates, gridWidth, gridHeight }, blockFormat) => {
+  const isColumnEmpty = (x) => checkboxStates.every((checked, index) => !checked || index % gridWidth !== x);
+  const isRowEmpty = (y) => !checkboxStates.slice(y * gridWidth, (y + 1) * gridWidth).some(Boolean);
+
+  let width = gridWidth;
+  while (width > gridWidth - blockFormat.blockWidth + 1 && isColumnEmpty(width - 1)) width--;
+  let height = gridHeight;
+  while (height > gridHeight - blockFormat.blockHeight + 1 && isRowEmpty(height - 1)) height--;
+  return { width, height };
+};
+
+/**
+ * Parses one frame of a markdown task list, one "Row" item with one task per cell
+ * @param {{text: string, row: number}[]} lines - Frame lines
+ * @param {TextImportIssue[]} issues - Collects problems
+ * @returns {{checkboxStates: boolean[], gridWidth: number, gridHeight: number}}
+ */
+const parseMarkdownFrame = (lines, issues) => {
+  const gridRows = [];
+
+  lines.forEach(({ text, row }) => {
+    if (text.trim() === '') return;
+    if (MARKDOWN_ROW.test(text)) {
+      gridRows.push({ row, cells: [] });
+      return;
+    }
+
+    const task = text.match(MARKDOWN_TASK);
+    if (!task) {
+      issues.push({ row, column: 1, message: 'expected a "- Row" item or a "- [x]" task' });
+      return;
+    }
+    // Flat task lists without row items form a single row
+    if (gridRows.length === 0) gridRows.push({ row, cells: [] });
+    gridRows[gridRows.length - 1].cells.push(task[1] !== ' ');
+  });
+
+  const gridWidth = Math.max(0, ...gridRows.map(({ cells }) => cells.length));
+  gridRows.forEach(({ row, cells }) => {
+    if (cells.length !== gridWidth) {
+      issues.push({ row, column: 1, message: `row has ${cells.length} tasks, expected ${gridWidth}` });
+    }
+  });
+
+  return {
+    checkboxStates: gridRows.flatMap(({ cells }) => [...cells, ...new Array(Math.max(0, gridWidth - cells.length)).fill(false)]),
+    gridWidth,
+    gridHeight: gridRows.length
+  };
+};
+
+/**
+ * Parses exported text into checkbox states
+ * @param {string} text - Text written by a text renderer
+ * @param {Object} [options] - Import options
+ * @param {{checked: string, unchecked: string}} [options.glyphs] - Custom glyphs, skipping format detection
+ * @returns {{format: string, formatLabel: string, glyphs: Object|null, gridWidth: number, gridHeight: number, frames: {checkboxStates: boolean[], delay: number}[]}}
+ */
+export const parseTextPattern = (text, { glyphs = null } = {}) => {
+  const { gridSize, sections } = splitFrames(text);
+  if (sections.length === 0) {
+    throw new ImageProcessingError('There is no pattern to import', 'TEXT_EMPTY');
+  }
+
+  // Empty glyphs fall back to the defaults, as they do in the custom glyph renderer
+  const customGlyphs = glyphs && {
+    checked: glyphs.checked || DEFAULT_GLYPHS.checked,
+    unchecked: glyphs.unchecked || DEFAULT_GLYPHS.unchecked
+  };
+  const detected = detectTextFormat(sections.flatMap((section) => section.lines), customGlyphs);
+  const blockFormat = detected.format === 'custom'
+    ? {
+        blockWidth: 1,
+        blockHeight: 1,
+        decode: (char) => (char === detected.glyphs.checked ? [true] : char === detected.glyphs.unchecked ? [false] : null),
+        split: (line) => splitGlyphs(line, detected.glyphs),
+        padChar: detected.glyphs.unchecked === ' ' ? ' ' : undefined
+      }
+    : BLOCK_FORMATS[detected.format];
+
+  const issues = [];
+  let parsed = sections.map((section) => ({
+    delay: section.delay,
+    ...(detected.format === 'markdown'
+      ? parseMarkdownFrame(section.lines, issues)
+      : parseBlockFrame(section.lines, blockFormat, issues, gridSize?.width))
+  }));
+
+  const [first] = parsed;
+  parsed.forEach((frame, index) => {
+    if (frame.gridWidth !== first.gridWidth || frame.gridHeight !== first.gridHeight) {
+      issues.push({
+        row: sections[index].lines[0].row,
+        column: 1,
+        message: `frame ${index + 1} is ${frame.gridWidth}×${frame.gridHeight}, expected ${first.gridWidth}×${first.gridHeight} like frame 1`
+      });
+    }
+  });
+
+  if (issues.length > 0) throwIssues(issues);
+
+  // Packed text is padded to whole blocks: trim to the written grid size, or else to the last checked cells of the padding
+  if (detected.format !== 'markdown' && (blockFormat.blockWidth > 1 || blockFormat.blockHeight > 1)) {
+    const { gridWidth: paddedWidth, gridHeight: paddedHeight } = parsed[0];
+    let size;
+    if (gridSize) {
+      const fits = gridSize.width <= paddedWidth && gridSize.width > paddedWidth - blockFormat.blockWidth &&
+        gridSize.height <= paddedHeight && gridSize.height > paddedHeight - blockFormat.blockHeight;
+      if (!fits) {
+        throwIssues([{
+          row: gridSize.row,
+          column: 1,
+          message: `grid size ${gridSize.width}×${gridSize.height} does not match the pattern, which holds ${paddedWidth}×${paddedHeight} cells`
+        }]);
+      }
+      size = gridSize;
+    } else {
+      const sizes = parsed.map((frame) => getUnpaddedSize(frame, blockFormat));
+      size = {
+        width: Math.max(...sizes.map(({ width }) => width)),
+        height: Math.max(...sizes.map(({ height }) => height))
+      };
+    }
+    parsed = parsed.map((frame) => ({ delay: frame.delay, ...cropFrame(frame, size.width, size.height) }));
+  }
+
+  const [{ gridWidth, gridHeight }] = parsed;
+
+  // Any shape the editor produces imports, including thin Auto aspect grids; the largest is a custom grid
+  const { max } = CUSTOM_GRID_LIMITS;
+  if (gridWidth < 1 || gridHeight < 1 || gridWidth > max || gridHeight > max) {
+    throw new ImageProcessingError(
+      `Imported grid is ${gridWidth}×${gridHeight} cells; each side must be between 1 and ${max}`,
+      'TEXT_INVALID_DIMENSIONS'
+    );
+  }
+
+  return {
+    format: detected.format,
+    formatLabel: detected.label,
+    glyphs: detected.glyphs ?? null,
+    gridWidth,
+    gridHeight,
+    frames: parsed.map(({ checkboxStates, delay }) => ({ checkboxStates, delay }))
+  };
+};
@@ -0,0 +1,241 @@
+/**
+ * Text Renderers
+ * Registry of plain-text encodings for checkbox grids, from one glyph per
+ * cell to packed block and braille characters that fit several cells into
+ * one character.
+ */
+
+import { getCellTone } from './quantization.js';
+
+/**
+ * Default glyphs of the checkbox renderer
+ */
+export const DEFAULT_GLYPHS = {
+  checked: '☒',
+  unchecked: '☐'
+};
+
+/**
+ * Reads a cell, treating cells outside the grid as unchecked
+ * @returns {boolean}
+ */
+const isChecked = (states, gridWidth, gridHeight, x, y) => {
+  return x < gridWidth && y < gridHeight && Boolean(states[y * gridWidth + x]);
+};
+
+/**
+ * Renders a grid by packing blocks of cells into single characters
+ * @param {boolean[]} states - Checkbox states
+ * @param {number} gridWidth - Grid width
+ * @param {number} gridHeight - Grid height
+ * @param {number} blockWidth - Cells per character horizontally
+ * @param {number} blockHeight - Cells per character vertically
+ * @param {Function} toChar - Maps the checked cells of a block, as [dx, dy] => boolean, to a character
+ * @returns {string}
+ */
+const renderPacked = (states, gridWidth, gridHeight, blockWidth, blockHeight, toChar) => {
+  const lines = [];
+  for (let y = 0; y < gridHeight; y += blockHeight) {
+    let line = '';
+    for (let x = 0; x < gridWidth; x += blockWidth) {
+      line += toChar((dx, dy) => isChecked(states, gridWidth, gridHeight, x + dx, y + dy));
+    }
+    lines.push(line);
+  }
+  return lines.join('\n');
+};
+
+/**
+ * Renders one glyph per cell
+ * @returns {string}
+ */
+const renderGlyphs = (states, gridWidth, gridHeight, checked, unchecked) => {
+  return renderPacked(states, gridWidth, gridHeight, 1, 1, (cell) => (cell(0, 0) ? checked : unchecked));
+};
+
+/**
+ * Density ramp from empty to darkest, used for multi-level grids
+ */
+export const DENSITY_RAMP = ' .:-=+*#%@';
+
+// Braille dot bit for each [dx][dy] position in a 2x4 cell block
+const BRAILLE_DOTS = [
+  [0x01, 0x02, 0x04, 0x40],
+  [0x08, 0x10, 0x20, 0x80]
+];
+
+// Quadrant characters indexed by top-left (1), top-right (2), bottom-left (4) and bottom-right (8)
+const QUADRANT_CHARS = [' ', '▘', '▝', '▀', '▖', '▌', '▞', '▛', '▗', '▚', '▐', '▜', '▄', '▙', '▟', '█'];
+
+/**
+ * Available text renderers, in display order
+ * Each renders one grid; frameHeader labels frames when several are rendered together.
+ * Packed renderers give their blockWidth and blockHeight in cells.
+ */
+export const TEXT_RENDERERS = [
+  {
+    value: 'checkbox',
+    label: 'Checkboxes (☒/☐)',
+    extension: 'txt',
+    render: (states, gridWidth, gridHeight) => (
+      renderGlyphs(states, gridWidth, gridHeight, DEFAULT_GLYPHS.checked, DEFAULT_GLYPHS.unchecked)
+    )
+  },
+  {
+    value: 'custom',
+    label: 'Custom glyphs',
+    extension: 'txt',
+    // Empty glyphs would collapse the grid, so they fall back to the defaults
+    render: (states, gridWidth, gridHeight, { glyphs = DEFAULT_GLYPHS } = {}) => (
+      renderGlyphs(
+        states,
+        gridWidth,
+        gridHeight,
+        glyphs.checked || DEFAULT_GLYPHS.checked,
+        glyphs.unchecked || DEFAULT_GLYPHS.unchecked
+      )
+    )
+  },
+  {
+    value: 'density',
+    label: 'Density ramp ( .:-=+*#%@)',
+    extension: 'txt',
+    // Levels map onto the ramp so binary grids use its two ends
+    render: (states, gridWidth, gridHeight, { levels = 2 } = {}) => {
+      const lines = [];
+      for (let y = 0; y < gridHeight; y++) {
+        let line = '';
+        for (let x = 0; x < gridWidth; x++) {
+          line += DENSITY_RAMP[Math.round(getCellTone(states[y * gridWidth + x], levels) * (DENSITY_RAMP.length - 1))];
+        }
+        lines.push(line);
+      }
+      return lines.join('\n');
+    }
+  },
+  {
+    value: 'braille',
+    label: 'Braille (2×4 cells per character)',
+    extension: 'txt',
+    blockWidth: 2,
+    blockHeight: 4,
+    render: (states, gridWidth, gridHeight) => renderPacked(states, gridWidth, gridHeight, 2, 4, (cell) => {
+      let bits = 0;
+      for (let dx = 0; dx < 2; dx++) {
+        for (let dy = 0; dy < 4; dy++) {
+          if (cell(dx, dy)) bits |= BRAILLE_DOTS[dx][dy];
+        }
+      }
+      return String.fromCharCode(0x2800 + bits);
+    })
+  },
+  {
+    value: 'half-blocks',
+    label: 'Half blocks (1×2 cells per character)',
+    extension: 'txt',
+    blockWidth: 1,
+    blockHeight: 2,
+    render: (states, gridWidth, gridHeight) => renderPacked(states, gridWidth, gridHeight, 1, 2, (cell) => {
+      const top = cell(0, 0);
+      const bottom = cell(0, 1);
+      if (top && bottom) return '█';
+      if (top) return '▀';
+      if (bottom) return '▄';
+      return ' ';
+    })
+  },
+  {
+    value: 'quadrants',
+    label: 'Quadrant blocks (2×2 cells per character)',
+    extension: 'txt',
+    blockWidth: 2,
+    blockHeight: 2,
+    render: (states, gridWidth, gridHeight) => renderPacked(states, gridWidth, gridHeight, 2, 2, (cell) => (
+      QUADRANT_CHARS[(cell(0, 0) ? 1 : 0) | (cell(1, 0) ? 2 : 0) | (cell(0, 1) ? 4 : 0) | (cell(1, 1) ? 8 : 0)]
+    ))
+  },
+  {
+    value: 'markdown',
+    label: 'Markdown task list',
+    extension: 'md',
+    // GitHub only renders task items at the start of a list item, so each row nests one item per cell
+    render: (states, gridWidth, gridHeight) => {
+      const lines = [];
+      for (let y = 0; y < gridHeight; y++) {
+        lines.push(`- Row ${y + 1}`);
+        for (let x = 0; x < gridWidth; x++) {
+          lines.push(`  - [${states[y * gridWidth + x] ? 'x' : ' '}] ${x + 1}`);
+        }
+      }
+      return lines.join('\n');
+    },
+    frameHeader: (index, delay) => `## Frame ${index + 1} (${delay}ms)`
+  }
+];
+
+/**
+ * Looks up a text renderer by value
+ * @param {string} value - Renderer value
+ * @returns {Object} - The renderer, or the checkbox renderer for unknown values
+ */
+export const getTextRenderer = (value) => {
+  return TEXT_RENDERERS.find((renderer) => renderer.value === value) || TEXT_RENDERERS[0];
+};
+
+/**
+ * Plain frame header, also recognized by the text importer
+ * @param {number} index - Frame index
+ * @param {number} delay - Frame delay in milliseconds
+ * @returns {string}
+ */
+const plainFrameHeader = (index, delay) => `Frame ${index + 1} (${delay}ms)`;
+
+/**
+ * Grid size line, also recognized by the text importer
+ * Packed text pads the last block row and column with empty cells, so it is
+ * written above packed grids that don't fill their blocks to keep the real size.
+ * @param {Object} renderer - Text renderer
+ * @param {number} gridWidth - Grid width
+ * @param {number} gridHeight - Grid height
+ * @returns {string} - The line with a trailing newline, or an empty string when not needed
+ */
+const gridSizeHeader = (renderer, gridWidth, gridHeight) => {
+  const isPadded = renderer.blockWidth && (gridWidth % renderer.blockWidth !== 0 || gridHeight % renderer.blockHeight !== 0);
+  return isPadded ? `Grid ${gridWidth}×${gridHeight}\n` : '';
+};
+
+/**
+ * Renders one grid as text
+ * @param {boolean[]} checkboxStates - Checkbox states
+ * @param {number} gridWidth - Grid width
+ * @param {number} gridHeight - Grid height
+ * @param {string} rendererValue - Renderer value (see TEXT_RENDERERS)
+ * @param {Object} [options] - Renderer options, e.g. {glyphs: {checked, unchecked}}
+ * @returns {string}
+ */
+export const renderText = (checkboxStates, gridWidth, gridHeight, rendererValue, options = {}) => {
+  const renderer = getTextRenderer(rendererValue);
+  return `${gridSizeHeader(renderer, gridWidth, gridHeight)}${renderer.render(checkboxStates, gridWidth, gridHeight, options)}`;
+};
+
+/**
+ * Renders GIF frames as text, each after a header with its number and delay
+ * @param {{checkboxStates: boolean[], delay: number}[]} frames - Frames in playback order
+ * @param {number} gridWidth - Grid width
+ * @param {number} gridHeight - Grid height
+ * @param {string} rendererValue - Renderer value (see TEXT_RENDERERS)
+ * @param {Object} [options] - Renderer options
+ * @returns {string}
+ */
+export const renderFramesText = (frames, gridWidth, gridHeight, rendererValue, options = {}) => {
+  const renderer = getTextRenderer(rendererValue);
+  const frameHeader = renderer.frameHeader || plainFrameHeader;
+
+  const sizeHeader = gridSizeHeader(renderer, gridWidth, gridHeight);
+
+  return `${sizeHeader && `${sizeHeader}\n`}${frames
+    .map(({ checkboxStates, delay }, index) => (
+      `${frameHeader(index, delay)}\n${renderer.render(checkboxStates, gridWidth, gridHeight, options)}`
+    ))
+    .join('\n\n')}`;
+};
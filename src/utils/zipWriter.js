@@ -0,0 +1,169 @@
+/**
+ * ZIP Writer
+ * Minimal dependency-free ZIP archive writer. Entries are stored, or deflated
+ * with the browser's CompressionStream when it is available and saves space.
+ */
+
+import { ImageProcessingError } from './imageProcessor.js';
+
+/**
+ * ZIP format constants
+ */
+const ZIP_FORMAT = {
+  LOCAL_HEADER_SIGNATURE: 0x04034b50,
+  CENTRAL_HEADER_SIGNATURE: 0x02014b50,
+  END_SIGNATURE: 0x06054b50,
+  VERSION: 20, // 2.0: deflate and folders
+  UTF8_FLAG: 0x0800, // File names are UTF-8
+  METHOD_STORE: 0,
+  METHOD_DEFLATE: 8,
+  MAX_ENTRIES: 0xffff, // Without ZIP64 extensions
+  MAX_SIZE: 0xffffffff
+};
+
+const textEncoder = new TextEncoder();
+
+let crcTable = null;
+
+/**
+ * Computes the CRC-32 checksum of the data
+ * @param {Uint8Array} data - Data to checksum
+ * @returns {number}
+ */
+export const crc32 = (data) => {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Converts a date to MS-DOS time and date fields
+ * @param {Date} date - Modification date
+ * @returns {{time: number, date: number}}
+ */
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Reads entry data into bytes
+ * @param {Uint8Array|Blob|string} data - Entry data; strings are UTF-8 encoded
+ * @returns {Promise<Uint8Array>}
+ */
+const toBytes = async (data) => {
+  if (typeof data === 'string') return textEncoder.encode(data);
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof Blob) return new Uint8Array(await data.arrayBuffer());
+  throw new ImageProcessingError('ZIP entries must be text, bytes or a Blob', 'ZIP_INVALID_ENTRY');
+};
+
+/**
+ * Deflates data with the browser's raw deflate stream
+ * @param {Uint8Array} data - Data to compress
+ * @returns {Promise<Uint8Array|null>} - Compressed data, or null if deflate is unsupported
+ */
+const deflateRaw = async (data) => {
+  if (typeof CompressionStream === 'undefined') return null;
+
+  try {
+    const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  } catch {
+    // Older browsers only support gzip and deflate with zlib headers
+    return null;
+  }
+};
+
+/**
+ * Creates a ZIP archive
+ * @param {{name: string, data: Uint8Array|Blob|string, compress?: boolean}[]} entries - Files in archive order;
+ *   compress defaults to true and is worth turning off for already compressed data such as PNGs
+ * @param {Object} [options] - Archive options
+ * @param {Date} [options.modified] - Modification date of every entry
+ * @returns {Promise<Blob>}
+ */
+export const createZip = async (entries, { modified = new Date() } = {}) => {
+  if (entries.length > ZIP_FORMAT.MAX_ENTRIES) {
+    throw new ImageProcessingError(`A ZIP archive can hold at most ${ZIP_FORMAT.MAX_ENTRIES} files`, 'ZIP_TOO_LARGE');
+  }
+
+  const { time, date } = toDosDateTime(modified);
+  const parts = [];
+  const centralHeaders = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = textEncoder.encode(entry.name);
+    const data = await toBytes(entry.data);
+    const deflated = entry.compress === false ? null : await deflateRaw(data);
+    const useDeflate = deflated !== null && deflated.length < data.length;
+    const body = useDeflate ? deflated : data;
+
+    if (data.length > ZIP_FORMAT.MAX_SIZE || offset + body.length > ZIP_FORMAT.MAX_SIZE) {
+      throw new ImageProcessingError('The ZIP archive would exceed 4 GB', 'ZIP_TOO_LARGE');
+    }
+
+    const fields = {
+      method: useDeflate ? ZIP_FORMAT.METHOD_DEFLATE : ZIP_FORMAT.METHOD_STORE,
+      crc: crc32(data),
+      compressedSize: body.length,
+      size: data.length
+    };
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, ZIP_FORMAT.LOCAL_HEADER_SIGNATURE, true);
+    local.setUint16(4, ZIP_FORMAT.VERSION, true);
+    local.setUint16(6, ZIP_FORMAT.UTF8_FLAG, true);
+    local.setUint16(8, fields.method, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, fields.crc, true);
+    local.setUint32(18, fields.compressedSize, true);
+    local.setUint32(22, fields.size, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true); // Extra field length
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, ZIP_FORMAT.CENTRAL_HEADER_SIGNATURE, true);
+    central.setUint16(4, ZIP_FORMAT.VERSION, true); // Version made by
+    central.setUint16(6, ZIP_FORMAT.VERSION, true); // Version needed
+    central.setUint16(8, ZIP_FORMAT.UTF8_FLAG, true);
+    central.setUint16(10, fields.method, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, fields.crc, true);
+    central.setUint32(20, fields.compressedSize, true);
+    central.setUint32(24, fields.size, true);
+    central.setUint16(28, name.length, true);
+    // Extra, comment, disk number, internal and external attributes stay zero
+    central.setUint32(42, offset, true);
+
+    parts.push(local, name, body);
+    centralHeaders.push(central, name);
+    offset += 30 + name.length + body.length;
+  }
+
+  const centralSize = centralHeaders.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, ZIP_FORMAT.END_SIGNATURE, true);
+  end.setUint16(8, entries.length, true); // Entries on this disk
+  end.setUint16(10, entries.length, true); // Total entries
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...centralHeaders, end], { type: 'application/zip' });
+};
@@ -0,0 +1,80 @@
+/**
+ * Processing Worker
+ * Runs image and GIF conversion off the main thread and streams stage progress back
+ */
+
+import { processImage } from '../utils/imageProcessor.js';
+import { processGIF } from '../utils/gifProcessor.js';
+
+/**
+ * Task handlers keyed by message task name
+ * Results are copied rather than transferred: their grayscale buffers stay in
+ * the processing cache for the next threshold change.
+ */
+const TASKS = {
+  processImage: async ({ file, gridWidth, gridHeight, threshold, options, signal }, onProgress) => {
+    return await processImage(file, gridWidth, gridHeight, threshold, { ...options, onProgress, signal });
+  },
+
+  processGIF: async ({ file, gridWidth, gridHeight, threshold, options, signal }, onProgress) => {
+    const result = await processGIF(file, gridWidth, gridHeight, threshold, { ...options, onProgress, signal });
+    return {
+      ...result,
+      // GIFFrame instances lose their prototype in transit, so send plain objects
+      frames: result.frames.map(({ imageData, delay, disposalMethod, checkboxStates }) => ({
+        imageData,
+        delay,
+        disposalMethod,
+        checkboxStates
+      }))
+    };
+  }
+};
+
+/**
+ * Abort controllers of running tasks, keyed by task id
+ */
+const runningTasks = new Map();
+
+/**
+ * Runs a task and posts its result or error
+ * @param {number} id - Task id
+ * @param {string} task - Task name
+ * @param {Object} payload - Task arguments
+ */
+const runTask = async (id, task, payload) => {
+  const controller = new AbortController();
+  runningTasks.set(id, controller);
+  const onProgress = (update) => self.postMessage({ id, type: 'progress', update });
+
+  try {
+    const handler = TASKS[task];
+    if (!handler) {
+      throw new Error(`Unknown processing task: ${task}`);
+    }
+
+    const result = await handler({ ...payload, signal: controller.signal }, onProgress);
+    self.postMessage({ id, type: 'result', result });
+  } catch (error) {
+    self.postMessage({
+      id,
+      type: 'error',
+      error: { name: error.name, message: error.message, code: error.code }
+    });
+  } finally {
+    runningTasks.delete(id);
+  }
+};
+
+self.onmessage = ({ data }) => {
+  switch (data.type) {
+    case 'run':
+      runTask(data.id, data.task, data.payload);
+      break;
+    case 'cancel':
+      runningTasks.get(data.id)?.abort();
+      break;
+    default:
+      break;
+  }
+};